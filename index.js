@@ -2,6 +2,14 @@
 
 // Export router functionality
 const Router = require('./router/router');
+const { toKoaMiddleware, toExpressMiddleware } = require('./router/bridges');
+const { SandboxViolation } = require('./router/sandbox');
+const { ValidationError } = require('./router/validator');
+const { ResponseValidationError } = require('./router/response-schema');
+const { AuthorizationError, createStoragePolicyResolver } = require('./router/authorization');
+const { getTraceContext, getTraceHeaders } = require('./router/tracing');
+const { MetricsRegistry, createTransactionRecorder } = require('./router/metrics');
+const { RouteNotFoundError, MethodNotAllowedError } = require('./router/dispatch');
 
 // Export storage functionality
 const Entity = require('./storage/Entity');
@@ -12,6 +20,19 @@ const JSONAdapter = require('./storage/adapters/JSONAdapter');
 module.exports = {
   // Router
   Router,
+  toKoaMiddleware,
+  toExpressMiddleware,
+  SandboxViolation,
+  ValidationError,
+  ResponseValidationError,
+  AuthorizationError,
+  createStoragePolicyResolver,
+  getTraceContext,
+  getTraceHeaders,
+  MetricsRegistry,
+  createTransactionRecorder,
+  RouteNotFoundError,
+  MethodNotAllowedError,
   
   // Storage
   Entity,
@@ -0,0 +1,156 @@
+// 角色和权限校验
+const { AppError } = require('./middlewares/error-handler');
+
+/**
+ * 角色和权限校验
+ * 路由 config 中声明 roles（满足任意一个即可）和 permissions（需要全部满足），
+ * Router 在 before 中间件之后通过策略解析器获取当前用户的角色和权限并校验。
+ * 未登录返回 401，权限不足返回 403，错误经 onError 中间件链统一处理。
+ */
+
+/**
+ * 授权错误
+ */
+class AuthorizationError extends AppError {
+  constructor(message, status = 403, details = {}) {
+    super(message, status, details);
+    this.name = 'AuthorizationError';
+  }
+}
+
+/**
+ * 将值转换为字符串数组
+ * @param {string|Array|undefined} value - 原始值
+ * @returns {Array<string>} - 字符串数组
+ */
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * 读取路由配置中的授权要求，兼容旧的 requireRoles / requirePermissions
+ * @param {Object} config - 路由配置
+ * @returns {Object|null} - { roles, permissions }，没有要求时返回null
+ */
+function getRequirements(config) {
+  const roles = toList(config.roles || config.requireRoles);
+  const permissions = toList(config.permissions || config.requirePermissions);
+  return roles.length > 0 || permissions.length > 0 ? { roles, permissions } : null;
+}
+
+/**
+ * 默认策略解析器：从 jwt-auth 注入的用户信息中读取角色和权限
+ * 支持 roles / role 和 permissions / scope（空格分隔）
+ * @param {Object} ctx - 上下文对象
+ * @returns {Object|null} - { roles, permissions }，未登录返回null
+ */
+function defaultPolicyResolver(ctx) {
+  const user = (ctx.state && ctx.state.user) || ctx.user;
+  if (!user) {
+    return null;
+  }
+  const scope = typeof user.scope === 'string' ? user.scope.split(' ').filter(Boolean) : user.scope;
+  return {
+    roles: toList(user.roles || user.role),
+    permissions: toList(user.permissions || scope)
+  };
+}
+
+/**
+ * 判断已授予的权限是否覆盖所需权限，支持 '*' 和 'user.*' 形式的通配
+ * @param {string} granted - 已授予的权限
+ * @param {string} required - 所需权限
+ * @returns {boolean} - 是否覆盖
+ */
+function permissionMatches(granted, required) {
+  if (granted === '*' || granted === required) {
+    return true;
+  }
+  return granted.endsWith('.*') && required.startsWith(granted.slice(0, -1));
+}
+
+/**
+ * 校验当前请求是否满足授权要求
+ * @param {Object} ctx - 上下文对象
+ * @param {Object} requirements - { roles, permissions }
+ * @param {Function} resolver - 策略解析器 (ctx, requirements) => { roles, permissions } | null
+ * @throws {AuthorizationError} - 未登录（401）或权限不足（403）
+ */
+async function authorize(ctx, requirements, resolver = defaultPolicyResolver) {
+  const principal = await resolver(ctx, requirements);
+  if (!principal) {
+    throw new AuthorizationError('Authentication required', 401, { required: requirements });
+  }
+
+  const roles = toList(principal.roles);
+  const permissions = toList(principal.permissions);
+
+  if (requirements.roles.length > 0 && !requirements.roles.some(role => roles.includes(role))) {
+    throw new AuthorizationError('Forbidden: missing required role', 403, { requiredRoles: requirements.roles });
+  }
+
+  const missing = requirements.permissions.filter(required => !permissions.some(granted => permissionMatches(granted, required)));
+  if (missing.length > 0) {
+    throw new AuthorizationError('Forbidden: missing required permission', 403, { missingPermissions: missing });
+  }
+
+  ctx.state.principal = { roles, permissions };
+}
+
+/**
+ * 创建从存储层读取角色的策略解析器
+ * @param {Object} adapter - 存储适配器（SQLiteAdapter / JSONAdapter）
+ * @param {Object} options - 可选项
+ * @param {string} options.table - 用户角色表，默认 'UserRole'
+ * @param {string} options.userField - 角色表中的用户ID字段，默认 'user_id'
+ * @param {string} options.roleField - 角色表中的角色字段，默认 'role'
+ * @param {Object} options.rolePermissions - 角色到权限的映射，例如 { admin: ['*'] }
+ * @param {string} options.permissionTable - 角色权限表，设置后从表中读取权限
+ * @param {string} options.permissionField - 角色权限表中的权限字段，默认 'permission'
+ * @param {Function} options.getUserId - 从上下文获取用户ID，默认读取 userId / id / sub
+ * @returns {Function} - 策略解析器
+ */
+function createStoragePolicyResolver(adapter, options = {}) {
+  const {
+    table = 'UserRole',
+    userField = 'user_id',
+    roleField = 'role',
+    rolePermissions = {},
+    permissionTable = null,
+    permissionField = 'permission',
+    getUserId = (ctx) => {
+      const user = (ctx.state && ctx.state.user) || ctx.user;
+      return user ? (user.userId || user.id || user.sub) : undefined;
+    }
+  } = options;
+
+  return async (ctx) => {
+    const userId = getUserId(ctx);
+    if (userId === undefined || userId === null) {
+      return null;
+    }
+
+    const rows = await adapter.find(table, { [userField]: userId });
+    const roles = [...new Set(rows.map(row => String(row[roleField])))];
+
+    const permissions = new Set();
+    for (const role of roles) {
+      toList(rolePermissions[role]).forEach(permission => permissions.add(permission));
+      if (permissionTable) {
+        const granted = await adapter.find(permissionTable, { [roleField]: role });
+        granted.forEach(row => permissions.add(String(row[permissionField])));
+      }
+    }
+
+    return { roles, permissions: [...permissions] };
+  };
+}
+
+module.exports = {
+  AuthorizationError,
+  getRequirements,
+  defaultPolicyResolver,
+  authorize,
+  createStoragePolicyResolver
+};
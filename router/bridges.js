@@ -0,0 +1,121 @@
+// 框架集成桥接
+const { createContext, parseBody, respond, resolveRouteHandler, defaultLevelResolver } = require('./server');
+
+/**
+ * 框架集成桥接
+ * 将Router挂载为Koa或Express中间件：在宿主框架的请求/响应对象与Router上下文之间转换，
+ * 由Router执行完整的生命周期（onRequest、before、after、onResponse、onError、onFinish），
+ * 没有匹配的路由时交给宿主框架的 next() 继续处理
+ */
+
+/**
+ * 如宿主框架未解析请求体，则由Router解析
+ * @param {Object} ctx - Router上下文
+ * @param {any} parsedBody - 宿主框架已解析的请求体
+ * @param {Object} options - 选项 { bodyLimit }
+ */
+async function fillRequestBody(ctx, parsedBody, options) {
+  if (parsedBody !== undefined) {
+    ctx.request.body = parsedBody;
+    return;
+  }
+  if (ctx.req.readableEnded) {
+    return;
+  }
+  const { body, rawBody } = await parseBody(ctx.req, { limit: options.bodyLimit || '1mb' });
+  ctx.request.body = body;
+  ctx.request.rawBody = rawBody;
+}
+
+/**
+ * 解析请求体后执行路由处理函数
+ * 请求体过大（413）或不是合法的JSON（400）时不执行路由，错误经全局中间件的生命周期处理
+ * @param {Router} router - 路由实例
+ * @param {Object} ctx - Router上下文
+ * @param {Function} handler - resolveRouteHandler 返回的分发函数
+ * @param {any} parsedBody - 宿主框架已解析的请求体
+ * @param {Object} options - 选项 { bodyLimit }
+ */
+async function runWithBody(router, ctx, handler, parsedBody, options) {
+  try {
+    await fillRequestBody(ctx, parsedBody, options);
+  } catch (error) {
+    await router.dispatchError(ctx, error);
+    return;
+  }
+  await handler(ctx);
+}
+
+/**
+ * 将Router转换为Koa中间件
+ * @param {Router} router - 路由实例
+ * @param {Object} options - 选项 { levelResolver, bodyLimit }
+ * @returns {Function} - async (ctx, next) => {}
+ */
+function toKoaMiddleware(router, options = {}) {
+  const levelResolver = options.levelResolver || router.levelResolver || defaultLevelResolver;
+
+  return async function routerKoaMiddleware(koaCtx, next) {
+    const ctx = createContext(koaCtx.req, koaCtx.res);
+
+    // 使用Koa解析后的路径信息（支持挂载前缀），并共享Koa的state
+    ctx.koa = koaCtx;
+    ctx.url = koaCtx.url;
+    ctx.path = koaCtx.path;
+    ctx.query = koaCtx.query;
+    ctx.querystring = koaCtx.querystring;
+    ctx.ip = koaCtx.ip;
+    ctx.state = koaCtx.state;
+    ctx.params = { ...(koaCtx.params || {}) };
+
+    const handler = await resolveRouteHandler(router, ctx, levelResolver);
+    if (!handler) {
+      return next();
+    }
+
+    await runWithBody(router, ctx, handler, koaCtx.request.body, { bodyLimit: options.bodyLimit || router.bodyLimit });
+
+    // 将结果写回Koa上下文，由Koa负责序列化
+    koaCtx.body = ctx.body;
+    if (ctx.status) {
+      koaCtx.status = ctx.status;
+    }
+  };
+}
+
+/**
+ * 将Router转换为Express中间件
+ * @param {Router} router - 路由实例
+ * @param {Object} options - 选项 { levelResolver, bodyLimit }
+ * @returns {Function} - (req, res, next) => {}
+ */
+function toExpressMiddleware(router, options = {}) {
+  const levelResolver = options.levelResolver || router.levelResolver || defaultLevelResolver;
+
+  return function routerExpressMiddleware(req, res, next) {
+    const ctx = createContext(req, res);
+
+    // 使用Express解析后的路径信息（支持挂载前缀），并共享res.locals作为state
+    if (req.path) ctx.path = req.path;
+    if (req.query) ctx.query = req.query;
+    if (req.ip) ctx.ip = req.ip;
+    ctx.state = res.locals || ctx.state;
+    ctx.params = { ...(req.params || {}) };
+
+    (async () => {
+      const handler = await resolveRouteHandler(router, ctx, levelResolver);
+      if (!handler) {
+        next();
+        return;
+      }
+
+      await runWithBody(router, ctx, handler, req.body, { bodyLimit: options.bodyLimit || router.bodyLimit });
+      respond(ctx);
+    })().catch(next);
+  };
+}
+
+module.exports = {
+  toKoaMiddleware,
+  toExpressMiddleware
+};
@@ -0,0 +1,90 @@
+// 请求分发
+const { AppError } = require('./middlewares/error-handler');
+
+/**
+ * 请求分发
+ * Router.dispatch 的辅助函数：没有匹配的路由时区分 404 和 405，生成 Allow 响应头，
+ * HEAD 请求回退到 GET 路由，OPTIONS 请求自动应答，请求体解析失败时返回对应的错误。
+ * 这些情况都以内置的兜底路由执行全局中间件的生命周期，日志、CORS、指标等照常生效
+ */
+
+/**
+ * 路由不存在错误
+ */
+class RouteNotFoundError extends AppError {
+  constructor(message = 'Not Found') {
+    super(message, 404);
+    this.name = 'RouteNotFoundError';
+  }
+}
+
+/**
+ * 方法不允许错误
+ */
+class MethodNotAllowedError extends AppError {
+  constructor(allowed, message = 'Method Not Allowed') {
+    super(message, 405, { allowed });
+    this.name = 'MethodNotAllowedError';
+    this.allowed = allowed;
+  }
+}
+
+/**
+ * 计算路径允许的方法：注册了 GET 时隐含 HEAD，始终包含 OPTIONS
+ * @param {Array<string>} methods - 路径上注册的方法
+ * @returns {Array<string>} - 排序后的方法列表，路径不存在时为空数组
+ */
+function getAllowedMethods(methods) {
+  if (methods.length === 0) {
+    return [];
+  }
+  const allowed = new Set(methods);
+  if (allowed.has('GET')) {
+    allowed.add('HEAD');
+  }
+  allowed.add('OPTIONS');
+  return [...allowed].sort();
+}
+
+/**
+ * 创建兜底路由，结构与注册的路由一致，由 Router._runLifecycle 执行
+ * @param {Object} resolved - Router.resolve 的返回值，或 { type: 'error', error, allowed: [] }
+ * @returns {Object} - 路由对象 { config, handler }
+ */
+function createFallbackRoute(resolved) {
+  const allow = resolved.allowed.join(', ');
+  const handlers = {
+    // OPTIONS：返回 Allow，CORS 预检由 cors 中间件补充响应头
+    options: async (ctx) => {
+      ctx.set('Allow', allow);
+      ctx.status = 204;
+      ctx.body = null;
+    },
+    'method-not-allowed': async (ctx) => {
+      ctx.set('Allow', allow);
+      throw new MethodNotAllowedError(resolved.allowed);
+    },
+    'not-found': async () => {
+      throw new RouteNotFoundError();
+    },
+    // 进入路由之前就失败的请求（如请求体解析失败）
+    error: async () => {
+      throw resolved.error;
+    }
+  };
+
+  return {
+    config: {},
+    handler: handlers[resolved.type],
+    authorization: null,
+    validation: null,
+    outputSchema: null
+  };
+}
+
+module.exports = {
+  RouteNotFoundError,
+  MethodNotAllowedError,
+  getAllowedMethods,
+  createFallbackRoute
+};
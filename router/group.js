@@ -0,0 +1,76 @@
+// 路由分组
+
+/**
+ * 路由分组
+ * 通过 router.group({ prefix, level, middlewares }, g => {...}) 为一组路由共享路径前缀、安全级别和中间件，
+ * 分组可以嵌套：前缀逐层拼接，安全级别就近继承，中间件按外层到内层合并。
+ * 分组中间件只作用于组内路由，与全局和安全级别中间件合并后按 order 排序执行
+ */
+
+/**
+ * 拼接路径前缀
+ * @param {string} prefix - 前缀
+ * @param {string} path - 路径
+ * @returns {string} - 拼接后的路径，去掉重复和末尾的斜杠
+ */
+function joinPaths(prefix, path) {
+  const joined = `${prefix || ''}/${path || ''}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : '/';
+}
+
+class RouteGroup {
+  /**
+   * @param {Router} router - 路由实例
+   * @param {Object} options - 分组选项 { prefix: 路径前缀, level: 安全级别, middlewares: 分组中间件 }
+   * @param {RouteGroup} parent - 外层分组
+   */
+  constructor(router, options = {}, parent = null) {
+    this.router = router;
+    this.prefix = joinPaths(parent ? parent.prefix : '', options.prefix);
+    this.level = options.level || (parent ? parent.level : 'public');
+    this.middlewares = [...(parent ? parent.middlewares : [])];
+
+    (options.middlewares || []).forEach(middleware => {
+      router._applyMiddlewareDefaults(middleware);
+      if (!this.middlewares.includes(middleware)) {
+        this.middlewares.push(middleware);
+      }
+    });
+  }
+
+  /**
+   * 在分组中注册路由，路径拼接分组前缀
+   * @param {Object} routeConfig - 路由配置，path 相对于分组前缀
+   * @param {Function} handler - 路由处理函数
+   * @param {string} securityLevel - 安全级别，默认使用分组的安全级别
+   * @returns {RouteGroup} - 返回自身，支持链式调用
+   */
+  register(routeConfig, handler, securityLevel = this.level) {
+    this.router.register(
+      { ...routeConfig, path: joinPaths(this.prefix, routeConfig.path) },
+      handler,
+      securityLevel,
+      { middlewares: this.middlewares }
+    );
+    return this;
+  }
+
+  /**
+   * 创建嵌套分组
+   * @param {Object} options - 分组选项 { prefix, level, middlewares }
+   * @param {Function} callback - 接收子分组的回调
+   * @returns {RouteGroup} - 子分组
+   */
+  group(options, callback) {
+    const child = new RouteGroup(this.router, options, this);
+    if (callback) {
+      callback(child);
+    }
+    return child;
+  }
+}
+
+module.exports = {
+  RouteGroup,
+  joinPaths
+};
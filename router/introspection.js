@@ -0,0 +1,48 @@
+// 路由清单格式化
+
+/**
+ * 路由清单格式化
+ * 将 router.describe() 生成的路由清单渲染为便于在启动日志中审计的文本表格
+ */
+
+// 表格列定义：标题和取值函数
+const COLUMNS = [
+  { title: 'METHOD', value: entry => entry.method },
+  { title: 'PATH', value: entry => entry.path },
+  { title: 'LEVEL', value: entry => entry.securityLevel },
+  { title: 'ALIASES', value: entry => entry.aliases.join(', ') || '-' },
+  { title: 'MIDDLEWARES', value: entry => entry.middlewares.map(mw => mw.name).join(' > ') || '-' },
+  { title: 'SOURCE', value: entry => entry.source || '-' }
+];
+
+/**
+ * 将路由清单渲染为文本表格
+ * @param {Array<Object>} manifest - router.describe() 的返回值
+ * @param {Object} options - 可选项 { columns: 需要显示的列标题数组 }
+ * @returns {string} - 表格文本
+ */
+function formatRouteTable(manifest, options = {}) {
+  const columns = options.columns
+    ? COLUMNS.filter(column => options.columns.includes(column.title))
+    : COLUMNS;
+
+  const rows = manifest.map(entry => columns.map(column => String(column.value(entry))));
+  const widths = columns.map((column, index) => Math.max(
+    column.title.length,
+    ...rows.map(row => row[index].length)
+  ));
+
+  const renderRow = cells => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  const separator = widths.map(width => '-'.repeat(width)).join('  ');
+
+  return [
+    renderRow(columns.map(column => column.title)),
+    separator,
+    ...rows.map(renderRow),
+    `${manifest.length} route(s)`
+  ].join('\n');
+}
+
+module.exports = {
+  formatRouteTable
+};
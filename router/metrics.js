@@ -0,0 +1,257 @@
+// 指标统计
+/**
+ * 指标统计
+ * 提供计数器和直方图，按 Prometheus 文本格式（0.0.4）输出。
+ * metrics 中间件通过 Router 生命周期记录请求指标，createTransactionRecorder 记录存储层事务指标
+ */
+
+// 默认的耗时分桶（秒）
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * 转义标签值
+ * @param {any} value - 标签值
+ * @returns {string} - 转义后的字符串
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * 格式化标签
+ * @param {Object} labels - 标签键值
+ * @returns {string} - {name="value",...}，没有标签时返回空字符串
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * 指标基类：按标签组合保存数据
+ */
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * 获取标签组合对应的数据，不存在时创建
+   * @param {Object} labels - 标签键值
+   * @param {Function} create - 创建初始数据
+   * @returns {Object} - { labels, value }
+   */
+  _getSeries(labels, create) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] !== undefined ? labels[name] : '';
+    });
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * 清空数据
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * 计数器
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super(name, help, labelNames);
+    this.type = 'counter';
+  }
+
+  /**
+   * 增加计数
+   * @param {Object} labels - 标签键值
+   * @param {number} value - 增加的值，默认1
+   */
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, () => ({ count: 0 })).value.count += value;
+  }
+
+  /**
+   * 读取计数
+   * @param {Object} labels - 标签键值
+   * @returns {number} - 计数
+   */
+  get(labels = {}) {
+    return this._getSeries(labels, () => ({ count: 0 })).value.count;
+  }
+
+  /**
+   * 输出 Prometheus 文本
+   * @returns {Array<string>} - 样本行
+   */
+  render() {
+    return [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value.count}`);
+  }
+}
+
+/**
+ * 直方图
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.type = 'histogram';
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * 记录一次观测值
+   * @param {Object} labels - 标签键值
+   * @param {number} value - 观测值
+   */
+  observe(labels = {}, value) {
+    const data = this._getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        data.counts[index]++;
+      }
+    });
+    data.sum += value;
+    data.count++;
+  }
+
+  /**
+   * 读取观测次数和总和
+   * @param {Object} labels - 标签键值
+   * @returns {Object} - { count, sum }
+   */
+  get(labels = {}) {
+    const data = this._getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).value;
+    return { count: data.count, sum: data.sum };
+  }
+
+  /**
+   * 输出 Prometheus 文本，分桶为累计值
+   * @returns {Array<string>} - 样本行
+   */
+  render() {
+    const lines = [];
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * 获取或创建指标，同名指标类型不同时抛出错误
+   * @param {Function} Type - 指标类
+   * @param {Array} args - 构造参数
+   * @returns {Metric} - 指标
+   */
+  _getOrCreate(Type, args) {
+    const [name] = args;
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof Type)) {
+        throw new Error(`Metric ${name} is already registered as ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new Type(...args);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * 获取或创建计数器
+   * @param {string} name - 指标名
+   * @param {string} help - 说明
+   * @param {Array<string>} labelNames - 标签名
+   * @returns {Counter} - 计数器
+   */
+  counter(name, help, labelNames = []) {
+    return this._getOrCreate(Counter, [name, help, labelNames]);
+  }
+
+  /**
+   * 获取或创建直方图
+   * @param {string} name - 指标名
+   * @param {string} help - 说明
+   * @param {Array<string>} labelNames - 标签名
+   * @param {Array<number>} buckets - 分桶上界
+   * @returns {Histogram} - 直方图
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._getOrCreate(Histogram, [name, help, labelNames, buckets]);
+  }
+
+  /**
+   * 输出 Prometheus 文本格式
+   * @returns {string} - 文本
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * 清空所有指标的数据
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+const defaultRegistry = new MetricsRegistry();
+
+/**
+ * 创建存储层事务指标记录函数，作为 SqlFunctionParser 的 onTransactionEnd 选项
+ * @param {MetricsRegistry} registry - 指标注册表，默认使用全局注册表
+ * @returns {Function} - ({ name, durationMs, outcome }) => void
+ */
+function createTransactionRecorder(registry = defaultRegistry) {
+  const total = registry.counter('db_transactions_total', 'Storage transactions by outcome', ['transaction', 'outcome']);
+  const duration = registry.histogram('db_transaction_duration_seconds', 'Storage transaction execution time in seconds', ['transaction', 'outcome']);
+
+  return ({ name, durationMs, outcome }) => {
+    total.inc({ transaction: name, outcome });
+    duration.observe({ transaction: name, outcome }, durationMs / 1000);
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  Counter,
+  Histogram,
+  MetricsRegistry,
+  defaultRegistry,
+  createTransactionRecorder
+};
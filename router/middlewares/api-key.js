@@ -0,0 +1,237 @@
+// API Key认证中间件
+const crypto = require('crypto');
+const { AppError } = require('./error-handler');
+
+/**
+ * API Key认证中间件
+ * 用于没有用户的服务间调用（如匹配服务、支付回调）。从请求头或查询参数读取 API Key，
+ * 与存储的哈希值比对，通过后将服务身份注入 ctx.state.service。
+ * 路由通过 config.apiKey 要求 API Key 认证，与三个安全级别相互独立，由 Router 强制执行
+ */
+const config = {
+  name: 'api-key',
+  level: ['global'],
+  order: 35, // 在jwt-auth之前执行，rate-limit可以按服务计数
+  enabled: true,
+  exclude: [], // 不排除任何路径
+  options: {
+    header: 'X-API-Key', // 读取API Key的请求头
+    queryParam: null, // 读取API Key的查询参数，如 'api_key'；默认只接受请求头，查询参数会出现在代理和访问日志的URL中
+    keys: [], // 静态密钥列表：[{ id, hash, service, scopes }]，hash 由 hashApiKey 生成
+    store: null // 密钥存储，如 new AdapterKeyStore(adapter)，设置后优先于 keys
+  }
+};
+
+// 由本模块校验后注入的服务身份，其他代码写入的 ctx.state.service 不视为已认证
+const verifiedServices = new WeakSet();
+
+/**
+ * API Key认证错误
+ */
+class ApiKeyError extends AppError {
+  constructor(message, status = 401) {
+    super(message, status);
+    this.name = 'ApiKeyError';
+  }
+}
+
+/**
+ * 计算API Key的哈希值，存储中只保存哈希
+ * @param {string} key - API Key
+ * @returns {string} - sha256十六进制哈希
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * 生成新的API Key，格式为 <id>.<secret>，id 用于查找密钥记录
+ * @param {Object} options - { service: 服务名, scopes: 权限列表 }
+ * @returns {Object} - { key: 交给调用方的API Key（只显示一次）, record: 需要保存的记录 }
+ */
+function generateApiKey({ service, scopes = [] } = {}) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = `${id}.${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, record: { id, hash: hashApiKey(key), service, scopes } };
+}
+
+/**
+ * 存储适配器密钥存储，通过 SQLiteAdapter / JSONAdapter 的 findOne / insert / update 保存密钥记录
+ */
+class AdapterKeyStore {
+  /**
+   * @param {Object} adapter - 存储适配器
+   * @param {Object} options - 可选项 { table: 表名，默认 'ApiKey' }
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.table = options.table || 'ApiKey';
+    this.ready = null;
+  }
+
+  /**
+   * 确保密钥表存在
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.adapter.ensureTable(this.table, {
+        name: this.table,
+        fields: {
+          key_id: { rawType: 'str[32][primary]' },
+          key_hash: { rawType: 'str[64]' },
+          service: { rawType: 'str[100]' },
+          scopes: { rawType: 'str[1000]' },
+          revoked: { rawType: 'str[1]' }
+        }
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * 按id查找密钥记录
+   * @param {string} id - 密钥id
+   * @returns {Promise<Object|null>} - { id, hash, service, scopes }，不存在或已吊销返回null
+   */
+  async find(id) {
+    await this.init();
+    const row = await this.adapter.findOne(this.table, { key_id: id });
+    if (!row || row.revoked === '1') {
+      return null;
+    }
+    return { id: row.key_id, hash: row.key_hash, service: row.service, scopes: row.scopes ? row.scopes.split(' ') : [] };
+  }
+
+  /**
+   * 保存密钥记录
+   * @param {Object} record - generateApiKey 返回的 record
+   */
+  async add(record) {
+    await this.init();
+    await this.adapter.insert(this.table, {
+      key_id: record.id,
+      key_hash: record.hash,
+      service: record.service,
+      scopes: (record.scopes || []).join(' '),
+      revoked: '0'
+    });
+  }
+
+  /**
+   * 吊销密钥
+   * @param {string} id - 密钥id
+   */
+  async revoke(id) {
+    await this.init();
+    if (await this.adapter.findOne(this.table, { key_id: id })) {
+      await this.adapter.update(this.table, { key_id: id }, { revoked: '1' });
+    }
+  }
+}
+
+/**
+ * 从请求中读取API Key
+ * @param {Object} ctx - Koa上下文
+ * @returns {string|null} - API Key
+ */
+function readApiKey(ctx) {
+  const { header, queryParam } = config.options;
+  const fromHeader = header && ctx.headers[header.toLowerCase()];
+  if (fromHeader) {
+    return String(fromHeader);
+  }
+  const fromQuery = queryParam && ctx.query && ctx.query[queryParam];
+  return fromQuery ? String(fromQuery) : null;
+}
+
+/**
+ * 查找并校验API Key，哈希使用常量时间比较
+ * @param {string} key - API Key
+ * @returns {Promise<Object|null>} - 密钥记录，无效返回null
+ */
+async function verifyApiKey(key) {
+  const { store, keys } = config.options;
+  const id = key.split('.')[0];
+  const record = store ? await store.find(id) : keys.find(candidate => candidate.id === id);
+  if (!record) {
+    return null;
+  }
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? record : null;
+}
+
+/**
+ * 检查密钥的权限范围是否满足路由要求
+ * @param {Array<string>} scopes - 密钥的权限范围
+ * @param {Object|boolean} requirement - 路由的 config.apiKey
+ */
+function assertScopes(scopes, requirement) {
+  const requiredScopes = (requirement && requirement.scopes) || [];
+  const missing = requiredScopes.filter(scope => !scopes.includes(scope));
+  if (missing.length > 0) {
+    throw new ApiKeyError(`API key missing scopes: ${missing.join(', ')}`, 403);
+  }
+}
+
+/**
+ * 读取并校验请求携带的API Key，通过后注入服务身份
+ * @param {Object} ctx - Koa上下文
+ * @param {Object|boolean} requirement - 路由的 config.apiKey，未要求时为空
+ */
+async function authenticate(ctx, requirement) {
+  const key = readApiKey(ctx);
+
+  if (!key) {
+    if (requirement) {
+      throw new ApiKeyError('API key required');
+    }
+    return;
+  }
+
+  const record = await verifyApiKey(key);
+  if (!record) {
+    throw new ApiKeyError('Invalid API key');
+  }
+
+  const scopes = record.scopes || [];
+  assertScopes(scopes, requirement);
+
+  // 注入服务身份
+  ctx.state.service = { type: 'service', id: record.id, service: record.service, scopes };
+  verifiedServices.add(ctx.state.service);
+}
+
+/**
+ * 校验路由的 config.apiKey 要求，由 Router 在角色校验处调用，
+ * 中间件未注册、被禁用或通过 exclude / skipMiddlewares 跳过时路由仍然要求 API Key
+ * @param {Object} ctx - Koa上下文
+ * @param {Object|boolean} requirement - 路由的 config.apiKey
+ */
+async function requireApiKey(ctx, requirement) {
+  // 中间件已经校验过密钥时只检查权限范围
+  if (verifiedServices.has(ctx.state.service)) {
+    assertScopes(ctx.state.service.scopes, requirement);
+    return;
+  }
+  await authenticate(ctx, requirement);
+}
+
+/**
+ * API Key认证中间件的before钩子
+ * @param {Object} ctx - Koa上下文
+ */
+async function before(ctx) {
+  const routeConfig = ctx.state.routeConfig || {};
+  await authenticate(ctx, routeConfig.apiKey);
+}
+
+// 导出中间件
+exports.config = config;
+exports.before = before;
+exports.ApiKeyError = ApiKeyError;
+exports.requireApiKey = requireApiKey;
+exports.AdapterKeyStore = AdapterKeyStore;
+exports.hashApiKey = hashApiKey;
+exports.generateApiKey = generateApiKey;
@@ -0,0 +1,246 @@
+// 响应缓存中间件
+const crypto = require('crypto');
+const { getMiddlewareOptions } = require('../route-middlewares');
+
+/**
+ * 响应缓存中间件
+ * 根据 response-formatter 包装后的最终响应体计算 ETag，请求携带匹配的 If-None-Match 时返回 304；
+ * 设置了 ttl 时按 方法 + 路径 + 查询参数 + 身份 缓存响应，在授权和请求校验之后查找，命中时跳过路由处理函数。
+ * protected 路由默认不缓存，需要在路由 config.cache 中显式开启，且不为未识别身份的请求读写缓存
+ */
+const config = {
+  name: 'cache',
+  level: ['global'],
+  order: 60, // 在jwt-auth和rate-limit之后执行，缓存键可以包含用户
+  enabled: true,
+  exclude: [], // 不排除任何路径
+  options: {
+    ttl: 0, // 缓存时间（秒），0 表示只计算ETag不缓存响应
+    methods: ['GET', 'HEAD'], // 可缓存的HTTP方法
+    maxEntries: 1000, // 最大缓存条目数，超出时淘汰最早写入的条目
+    ignoreFields: ['timestamp'], // 计算ETag时忽略的响应体顶层字段（response-formatter的时间戳）
+    store: null // 缓存存储，默认使用内存存储
+  }
+};
+
+/**
+ * 内存缓存，按写入顺序淘汰
+ */
+class MemoryCache {
+  /**
+   * @param {Object} options - 可选项 { maxEntries: 最大条目数 }
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || config.options.maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * 读取缓存
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} - 缓存条目，不存在或已过期返回null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key - 缓存键
+   * @param {Object} value - 缓存条目
+   * @param {number} ttlMs - 过期时间（毫秒）
+   */
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * 删除缓存
+   * @param {string} key - 缓存键，不传时清空所有条目
+   */
+  async delete(key) {
+    if (key === undefined) {
+      this.entries.clear();
+    } else {
+      this.entries.delete(key);
+    }
+  }
+}
+
+const defaultStore = new MemoryCache();
+
+/**
+ * 合并默认配置、路由 config.middlewares 中的覆盖和路由的 config.cache
+ * @param {Object} ctx - Koa上下文
+ * @returns {Object|null} - 生效的缓存配置，不缓存时返回null
+ */
+function resolveOptions(ctx) {
+  const routeConfig = ctx.state.routeConfig || {};
+  const routeCache = routeConfig.cache;
+  const override = routeCache === true ? { enabled: true } : (routeCache || {});
+
+  // SSE路由的响应是事件流，不计算ETag也不缓存
+  if (override.enabled === false || routeCache === false || routeConfig.sse) {
+    return null;
+  }
+  // protected路由返回用户数据，需要显式开启，且只为已识别身份的请求缓存
+  if (ctx.state.securityLevel === 'protected' && (override.enabled !== true || !getPrincipalId(ctx))) {
+    return null;
+  }
+
+  const options = { ...getMiddlewareOptions(ctx, config), ...override };
+  return options.methods.includes(ctx.method) ? options : null;
+}
+
+/**
+ * 获取当前请求的身份标识：用户的 userId / id / sub（JWT），或 api-key 注入的服务身份
+ * @param {Object} ctx - Koa上下文
+ * @returns {string} - 身份标识，未识别身份返回空字符串
+ */
+function getPrincipalId(ctx) {
+  const user = ctx.state.user || ctx.user;
+  if (user) {
+    const id = [user.userId, user.id, user.sub].find(value => value !== undefined && value !== null);
+    if (id !== undefined) {
+      return `user:${id}`;
+    }
+  }
+  const service = ctx.state.service;
+  return service && service.id !== undefined ? `service:${service.id}` : '';
+}
+
+/**
+ * 生成缓存键：方法 + 路径 + 排序后的查询参数 + API版本 + 身份
+ * @param {Object} ctx - Koa上下文
+ * @returns {string} - 缓存键
+ */
+function getCacheKey(ctx) {
+  const query = ctx.query || {};
+  const search = Object.keys(query).sort()
+    .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(String(query[name]))}`)
+    .join('&');
+  // HEAD与GET共用缓存
+  const method = ctx.method === 'HEAD' ? 'GET' : ctx.method;
+  // 版本可能来自请求头，同一路径的不同版本分别缓存
+  return `${method} ${ctx.path}?${search} ${ctx.state.apiVersion || ''} ${getPrincipalId(ctx)}`;
+}
+
+/**
+ * 判断响应体是否可以计算ETag（流式响应不处理）
+ * @param {any} body - 响应体
+ * @returns {boolean} - 是否可以计算
+ */
+function isCacheableBody(body) {
+  return body != null && typeof body.pipe !== 'function';
+}
+
+/**
+ * 根据响应体计算弱ETag，忽略时间戳等每次请求都会变化的字段
+ * @param {any} body - 响应体
+ * @param {Array<string>} ignoreFields - 忽略的顶层字段
+ * @returns {string} - ETag
+ */
+function computeETag(body, ignoreFields = []) {
+  let content = body;
+  if (!Buffer.isBuffer(body) && typeof body === 'object') {
+    const stable = { ...body };
+    ignoreFields.forEach(field => delete stable[field]);
+    content = JSON.stringify(stable);
+  } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    content = JSON.stringify(body);
+  }
+  const hash = crypto.createHash('sha1').update(content).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+/**
+ * 检查 If-None-Match 是否与ETag匹配（弱比较）
+ * @param {string} header - If-None-Match 请求头
+ * @param {string} etag - 当前ETag
+ * @returns {boolean} - 是否匹配
+ */
+function isNotModified(header, etag) {
+  if (!header) {
+    return false;
+  }
+  const opaque = value => value.trim().replace(/^W\//, '');
+  return header.split(',').some(value => value.trim() === '*' || opaque(value) === opaque(etag));
+}
+
+/**
+ * 缓存中间件的beforeHandler钩子：在授权和请求校验通过后查找缓存，命中时直接返回缓存的响应
+ * @param {Object} ctx - Koa上下文
+ */
+async function beforeHandler(ctx) {
+  if (ctx.status && ctx.status >= 400) {
+    return;
+  }
+
+  const options = resolveOptions(ctx);
+  if (!options) {
+    return;
+  }
+
+  const key = getCacheKey(ctx);
+  ctx.state.cache = { key, hit: false, options };
+  if (!(options.ttl > 0)) {
+    return;
+  }
+
+  const entry = await (options.store || defaultStore).get(key);
+  if (entry) {
+    ctx.state.cache.hit = true;
+    ctx.state.cache.etag = entry.etag;
+    // 标记请求已处理，Router跳过路由处理函数
+    ctx.state.responded = true;
+    ctx.status = entry.status;
+    ctx.body = entry.body;
+  }
+}
+
+/**
+ * 缓存中间件的after钩子：在response-formatter包装之后计算ETag并写入缓存
+ * @param {Object} ctx - Koa上下文
+ */
+async function after(ctx) {
+  const state = ctx.state.cache;
+  if (!state || ctx.status !== 200 || ctx.state.streaming || !isCacheableBody(ctx.body)) {
+    return;
+  }
+
+  const { options } = state;
+  const etag = state.etag || computeETag(ctx.body, options.ignoreFields);
+  ctx.set('ETag', etag);
+
+  if (options.ttl > 0) {
+    ctx.set('Cache-Control', `${getPrincipalId(ctx) ? 'private' : 'public'}, max-age=${options.ttl}`);
+    ctx.set('X-Cache', state.hit ? 'HIT' : 'MISS');
+    if (!state.hit) {
+      await (options.store || defaultStore).set(state.key, { status: ctx.status, body: ctx.body, etag }, options.ttl * 1000);
+    }
+  }
+
+  if (isNotModified(ctx.headers && ctx.headers['if-none-match'], etag)) {
+    ctx.status = 304;
+    ctx.body = null;
+  }
+}
+
+// 导出中间件
+exports.config = config;
+exports.beforeHandler = beforeHandler;
+exports.after = after;
+exports.MemoryCache = MemoryCache;
+exports.computeETag = computeETag;
@@ -1,8 +1,10 @@
 // CORS中间件
+const { getMiddlewareOptions } = require('../route-middlewares');
 
 /**
  * CORS中间件
- * 处理跨域请求，支持配置允许的源、方法、头信息等
+ * 处理跨域请求，支持配置允许的源、方法、头信息等。
+ * 路由可以通过 config.middlewares 中的 { name: 'cors', options } 覆盖配置
  */
 const config = {
   name: 'cors',
@@ -48,19 +50,20 @@ function getAllowedOrigin(origin, allowedOrigins) {
  * @param {string} origin - 请求源
  */
 function setCorsHeaders(ctx, origin) {
-  const allowedOrigin = getAllowedOrigin(origin, config.options.origin);
+  const options = getMiddlewareOptions(ctx, config);
+  const allowedOrigin = getAllowedOrigin(origin, options.origin);
   if (!allowedOrigin) {
     return;
   }
 
   // 设置CORS响应头
   ctx.set('Access-Control-Allow-Origin', allowedOrigin);
-  ctx.set('Access-Control-Allow-Methods', config.options.methods);
-  ctx.set('Access-Control-Allow-Headers', config.options.headers);
-  ctx.set('Access-Control-Expose-Headers', config.options.exposeHeaders);
-  ctx.set('Access-Control-Max-Age', config.options.maxAge.toString());
+  ctx.set('Access-Control-Allow-Methods', options.methods);
+  ctx.set('Access-Control-Allow-Headers', options.headers);
+  ctx.set('Access-Control-Expose-Headers', options.exposeHeaders);
+  ctx.set('Access-Control-Max-Age', options.maxAge.toString());
 
-  if (config.options.credentials) {
+  if (options.credentials) {
     ctx.set('Access-Control-Allow-Credentials', 'true');
   }
 }
@@ -21,6 +21,7 @@ const config = {
       403: 'Forbidden',
       404: 'Not Found',
       405: 'Method Not Allowed',
+      429: 'Too Many Requests',
       500: 'Internal Server Error'
     } // 错误码映射
   }
@@ -44,6 +45,11 @@ function formatErrorResponse(error, ctx) {
     }
   };
 
+  // 字段级错误列表（如请求参数校验失败）返回给客户端；5xx 错误（如响应校验失败）不暴露内部 Schema
+  if (Array.isArray(error.errors) && status < 500) {
+    errorResponse.error.errors = error.errors;
+  }
+
   // 在开发环境中显示详细错误信息
   if (config.options.showStack) {
     errorResponse.error.stack = error.stack;
@@ -3,74 +3,348 @@ const crypto = require('crypto');
 
 /**
  * JWT认证中间件
- * 从请求头提取token，验证有效性，注入用户信息到ctx对象
+ * 从请求头提取token，验证签名和标准声明，检查吊销状态，注入用户信息到ctx对象。
+ * 支持 HS256 / RS256 / ES256、按 kid 轮换的密钥集，以及刷新令牌的签发和轮换
  */
 const config = {
   name: 'jwt-auth',
   level: ['protected'],
   order: 40,
   enabled: true,
-  exclude: ['/public'] // 排除公开路径
+  exclude: ['/public'], // 排除公开路径
+  options: {
+    algorithms: ['HS256', 'RS256', 'ES256'], // 允许的签名算法
+    secret: null, // HS256密钥，未设置时读取 ctx.state.jwtSecret 或 JWT_SECRET 环境变量
+    keys: [], // 密钥集：[{ kid, alg, secret | privateKey | publicKey }]，按token头部的kid选择
+    signingKid: null, // 签发新token使用的kid，默认使用密钥集中第一个可签名的密钥
+    issuer: null, // 签发方（iss），设置后签发时写入、验证时校验
+    audience: null, // 接收方（aud），字符串或数组，设置后签发时写入、验证时校验
+    clockTolerance: 30, // 校验exp/nbf/iat时允许的时钟偏差（秒）
+    accessTokenTtl: 900, // 访问令牌有效期（秒）
+    refreshTokenTtl: 30 * 24 * 3600, // 刷新令牌有效期（秒）
+    revocation: null // 吊销检查：{ isRevoked(payload), revoke(payload) }，可使用 createRevocationStore(adapter)
+  }
+};
+
+// 各算法的签名参数
+const ALGORITHMS = {
+  HS256: { type: 'hmac', hash: 'sha256' },
+  RS256: { type: 'rsa', hash: 'sha256' },
+  ES256: { type: 'ec', hash: 'sha256', dsaEncoding: 'ieee-p1363' }
 };
 
 /**
- * 生成JWT token
+ * 合并选项：未传入的选项使用中间件配置
+ * @param {Object|string} options - 选项，字符串视为HS256密钥
+ * @returns {Object} - 合并后的选项
+ */
+function resolveOptions(options = {}) {
+  const overrides = typeof options === 'string' ? { secret: options } : options;
+  return { ...config.options, ...overrides };
+}
+
+/**
+ * 获取密钥集，HS256的secret作为没有kid的密钥加入
+ * @param {Object} options - 合并后的选项
+ * @returns {Array<Object>} - 密钥列表
+ */
+function getKeys(options) {
+  const keys = [...(options.keys || [])];
+  const secret = options.secret || process.env.JWT_SECRET;
+  if (secret) {
+    keys.push({ kid: null, alg: 'HS256', secret });
+  }
+  return keys;
+}
+
+/**
+ * 选择签名密钥
+ * @param {Object} options - 合并后的选项
+ * @returns {Object} - 密钥
+ * @throws {Error} - 没有可用的签名密钥
+ */
+function getSigningKey(options) {
+  const signable = getKeys(options).filter(key => key.secret || key.privateKey);
+  const key = options.signingKid
+    ? signable.find(candidate => candidate.kid === options.signingKid)
+    : signable[0];
+  if (!key) {
+    throw new Error(options.signingKid ? `JWT signing key not found: ${options.signingKid}` : 'JWT signing key not configured');
+  }
+  return key;
+}
+
+/**
+ * 按token头部选择验证密钥，算法必须与密钥声明的算法一致，防止算法混淆
+ * @param {Object} header - token头部
+ * @param {Object} options - 合并后的选项
+ * @returns {Object|null} - 密钥或null
+ */
+function getVerificationKey(header, options) {
+  if (!options.algorithms.includes(header.alg) || !ALGORITHMS[header.alg]) {
+    return null;
+  }
+  const kid = header.kid || null;
+  return getKeys(options).find(key => (key.kid || null) === kid && key.alg === header.alg) || null;
+}
+
+/**
+ * 计算签名
+ * @param {string} data - header.payload
+ * @param {Object} key - 密钥
+ * @returns {string} - base64url签名
+ */
+function sign(data, key) {
+  const algorithm = ALGORITHMS[key.alg];
+  if (algorithm.type === 'hmac') {
+    return crypto.createHmac(algorithm.hash, key.secret).update(data).digest('base64url');
+  }
+  return crypto.sign(algorithm.hash, Buffer.from(data), { key: key.privateKey, dsaEncoding: algorithm.dsaEncoding })
+    .toString('base64url');
+}
+
+/**
+ * 验证签名，HMAC使用常量时间比较
+ * @param {string} data - header.payload
+ * @param {string} signature - base64url签名
+ * @param {Object} key - 密钥
+ * @returns {boolean} - 签名是否有效
+ */
+function verifySignature(data, signature, key) {
+  const algorithm = ALGORITHMS[key.alg];
+  const actual = Buffer.from(signature, 'base64url');
+  if (algorithm.type === 'hmac') {
+    const expected = crypto.createHmac(algorithm.hash, key.secret).update(data).digest();
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+  const publicKey = key.publicKey || key.privateKey;
+  return crypto.verify(algorithm.hash, Buffer.from(data), { key: publicKey, dsaEncoding: algorithm.dsaEncoding }, actual);
+}
+
+/**
+ * 签发JWT
  * @param {Object} payload - token负载
- * @param {string} secret - 密钥
+ * @param {Object} options - 选项 { expiresIn: 有效期（秒）, 以及中间件 options 中的任意项 }
+ * @returns {string} - JWT token
+ */
+function signToken(payload, options = {}) {
+  const resolved = resolveOptions(options);
+  const key = getSigningKey(resolved);
+  const now = Math.floor(Date.now() / 1000);
+
+  const claims = { ...payload, iat: now, exp: now + (resolved.expiresIn || resolved.accessTokenTtl) };
+  if (resolved.issuer && claims.iss === undefined) claims.iss = resolved.issuer;
+  if (resolved.audience && claims.aud === undefined) claims.aud = resolved.audience;
+
+  const header = { alg: key.alg, typ: 'JWT' };
+  if (key.kid) header.kid = key.kid;
+
+  const data = `${Buffer.from(JSON.stringify(header)).toString('base64url')}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}`;
+  return `${data}.${sign(data, key)}`;
+}
+
+/**
+ * 生成JWT token（兼容旧接口）
+ * @param {Object} payload - token负载
+ * @param {string|Object} secret - HS256密钥或选项
  * @param {number} expiresIn - 过期时间（秒）
  * @returns {string} - JWT token
  */
 function generateToken(payload, secret, expiresIn = 3600) {
-  // 设置过期时间
-  const exp = Math.floor(Date.now() / 1000) + expiresIn;
-  const claims = {
-    ...payload,
-    exp,
-    iat: Math.floor(Date.now() / 1000)
-  };
+  return signToken(payload, { ...resolveOptions(secret), expiresIn });
+}
 
-  // 生成header
-  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
-  // 生成payload
-  const payloadStr = Buffer.from(JSON.stringify(claims)).toString('base64url');
-  // 生成signature
-  const signature = crypto
-    .createHmac('sha256', secret)
-    .update(`${header}.${payloadStr}`)
-    .digest('base64url');
+/**
+ * 校验标准声明
+ * @param {Object} payload - token负载
+ * @param {Object} options - 合并后的选项
+ * @returns {string|null} - 失败原因，通过时返回null
+ */
+function validateClaims(payload, options) {
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
 
-  return `${header}.${payloadStr}.${signature}`;
+  if (typeof payload.exp === 'number' && now > payload.exp + tolerance) {
+    return 'expired';
+  }
+  if (typeof payload.nbf === 'number' && now + tolerance < payload.nbf) {
+    return 'not active';
+  }
+  if (typeof payload.iat === 'number' && payload.iat > now + tolerance) {
+    return 'issued in the future';
+  }
+  if (options.issuer && payload.iss !== options.issuer) {
+    return 'invalid issuer';
+  }
+  if (options.audience) {
+    const expected = [].concat(options.audience);
+    const actual = [].concat(payload.aud || []);
+    if (!actual.some(aud => expected.includes(aud))) {
+      return 'invalid audience';
+    }
+  }
+  return null;
 }
 
 /**
- * 验证JWT token
+ * 解析并验证JWT，返回失败原因
  * @param {string} token - JWT token
- * @param {string} secret - 密钥
- * @returns {Object|null} - 解析后的payload或null
+ * @param {Object|string} options - 选项，字符串视为HS256密钥
+ * @returns {Object} - { payload, header, error }，验证失败时 payload 为 null
  */
-function verifyToken(token, secret) {
+function decodeToken(token, options = {}) {
+  const resolved = resolveOptions(options);
   try {
-    const [header, payloadStr, signature] = token.split('.');
-    const expectedSignature = crypto
-      .createHmac('sha256', secret)
-      .update(`${header}.${payloadStr}`)
-      .digest('base64url');
-
-    if (signature !== expectedSignature) {
-      return null;
+    const [headerStr, payloadStr, signature] = String(token).split('.');
+    if (!headerStr || !payloadStr || !signature) {
+      return { payload: null, error: 'malformed' };
     }
 
-    const payload = JSON.parse(Buffer.from(payloadStr, 'base64url').toString());
-    
-    // 检查过期时间
-    if (payload.exp && Date.now() / 1000 > payload.exp) {
-      return null;
+    const header = JSON.parse(Buffer.from(headerStr, 'base64url').toString());
+    const key = getVerificationKey(header, resolved);
+    if (!key) {
+      return { payload: null, header, error: 'unknown key or algorithm' };
+    }
+    if (!verifySignature(`${headerStr}.${payloadStr}`, signature, key)) {
+      return { payload: null, header, error: 'invalid signature' };
     }
 
-    return payload;
+    const payload = JSON.parse(Buffer.from(payloadStr, 'base64url').toString());
+    const error = validateClaims(payload, resolved);
+    return error ? { payload: null, header, error } : { payload, header, error: null };
   } catch (error) {
+    return { payload: null, error: 'malformed' };
+  }
+}
+
+/**
+ * 验证JWT token（兼容旧接口）
+ * @param {string} token - JWT token
+ * @param {string|Object} secret - HS256密钥或选项
+ * @returns {Object|null} - 解析后的payload或null
+ */
+function verifyToken(token, secret) {
+  return decodeToken(token, secret).payload;
+}
+
+/**
+ * 去掉签发时生成的声明，用于基于旧token签发新token
+ * @param {Object} payload - token负载
+ * @returns {Object} - 业务负载
+ */
+function stripReservedClaims(payload) {
+  const { iat, exp, nbf, jti, typ, iss, aud, ...rest } = payload;
+  return rest;
+}
+
+/**
+ * 签发访问令牌和刷新令牌
+ * @param {Object} payload - 业务负载（如 { id, roles }）
+ * @param {Object} options - 选项，同中间件 options
+ * @returns {Object} - { accessToken, refreshToken, expiresIn, refreshExpiresIn }
+ */
+function issueTokenPair(payload, options = {}) {
+  const resolved = resolveOptions(options);
+  return {
+    accessToken: signToken({ ...payload, typ: 'access', jti: crypto.randomUUID() }, { ...resolved, expiresIn: resolved.accessTokenTtl }),
+    refreshToken: signToken({ ...payload, typ: 'refresh', jti: crypto.randomUUID() }, { ...resolved, expiresIn: resolved.refreshTokenTtl }),
+    expiresIn: resolved.accessTokenTtl,
+    refreshExpiresIn: resolved.refreshTokenTtl
+  };
+}
+
+/**
+ * 轮换刷新令牌：验证旧的刷新令牌并吊销，签发新的令牌对。
+ * 已吊销的刷新令牌再次使用时拒绝，防止被盗用的令牌重复换取访问令牌
+ * @param {string} refreshToken - 刷新令牌
+ * @param {Object} options - 选项，同中间件 options
+ * @returns {Promise<Object|null>} - 新的令牌对，刷新令牌无效或已吊销时返回null
+ */
+async function rotateRefreshToken(refreshToken, options = {}) {
+  const resolved = resolveOptions(options);
+  const { payload } = decodeToken(refreshToken, resolved);
+  if (!payload || payload.typ !== 'refresh') {
     return null;
   }
+
+  const { revocation } = resolved;
+  if (revocation) {
+    if (await revocation.isRevoked(payload)) {
+      return null;
+    }
+    // 检查和吊销之间可能有并发请求使用同一个刷新令牌，以吊销是否成功为准，只有一个请求能换取新令牌
+    if (await revocation.revoke(payload) === false) {
+      return null;
+    }
+  }
+
+  return issueTokenPair(stripReservedClaims(payload), resolved);
+}
+
+/**
+ * 创建基于存储层的吊销记录，保存已吊销token的jti
+ * @param {Object} adapter - 存储适配器（SQLiteAdapter / JSONAdapter）
+ * @param {Object} options - 可选项 { table: 表名，默认 'RevokedToken' }
+ * @returns {Object} - { isRevoked(payload), revoke(payload) }，revoke 以 jti 主键插入，已吊销时返回false
+ */
+function createRevocationStore(adapter, options = {}) {
+  const table = options.table || 'RevokedToken';
+  let ready = null;
+
+  const init = () => {
+    if (!ready) {
+      ready = adapter.ensureTable(table, {
+        name: table,
+        fields: {
+          jti: { rawType: 'str[64][primary]' },
+          expires_at: { rawType: 'str[20]' }
+        }
+      });
+    }
+    return ready;
+  };
+
+  return {
+    async isRevoked(payload) {
+      if (!payload.jti) {
+        return false;
+      }
+      await init();
+      return Boolean(await adapter.findOne(table, { jti: payload.jti }));
+    },
+
+    async revoke(payload) {
+      if (!payload.jti) {
+        throw new Error('Token without jti cannot be revoked');
+      }
+      await init();
+      // 直接插入，由 jti 主键保证原子性：并发吊销同一个token时只有一个插入成功
+      try {
+        await adapter.insert(table, { jti: payload.jti, expires_at: String(payload.exp || '') });
+        return true;
+      } catch (error) {
+        if (await adapter.findOne(table, { jti: payload.jti })) {
+          return false;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * 返回401响应
+ * @param {Object} ctx - Koa上下文
+ * @param {string} message - 错误消息
+ */
+function reject(ctx, message) {
+  ctx.status = 401;
+  ctx.body = {
+    success: false,
+    error: {
+      message
+    }
+  };
 }
 
 /**
@@ -78,33 +352,30 @@ function verifyToken(token, secret) {
  * @param {Object} ctx - Koa上下文
  */
 async function before(ctx) {
-  // 获取JWT密钥（从环境变量或配置中获取）
-  const secret = ctx.state.jwtSecret || process.env.JWT_SECRET || 'your-secret-key';
-  
+  // ctx.state.jwtSecret 可以按请求覆盖HS256密钥
+  const options = ctx.state.jwtSecret ? resolveOptions({ secret: ctx.state.jwtSecret }) : resolveOptions();
+  if (getKeys(options).length === 0) {
+    throw new Error('JWT key not configured: set jwt-auth options.secret, options.keys or JWT_SECRET');
+  }
+
   // 从请求头提取token
   const authHeader = ctx.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    ctx.status = 401;
-    ctx.body = {
-      success: false,
-      error: {
-        message: 'Missing or invalid authorization header'
-      }
-    };
+    reject(ctx, 'Missing or invalid authorization header');
     return;
   }
 
   const token = authHeader.split(' ')[1];
-  const payload = verifyToken(token, secret);
-
-  if (!payload) {
-    ctx.status = 401;
-    ctx.body = {
-      success: false,
-      error: {
-        message: 'Invalid or expired token'
-      }
-    };
+  const { payload } = decodeToken(token, options);
+
+  // 刷新令牌不能用作访问令牌
+  if (!payload || payload.typ === 'refresh') {
+    reject(ctx, 'Invalid or expired token');
+    return;
+  }
+
+  if (options.revocation && await options.revocation.isRevoked(payload)) {
+    reject(ctx, 'Token has been revoked');
     return;
   }
 
@@ -116,10 +387,15 @@ async function before(ctx) {
 // 导出JWT工具函数，供其他模块使用
 const jwtUtils = {
   generateToken,
-  verifyToken
+  verifyToken,
+  signToken,
+  decodeToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  createRevocationStore
 };
 
 // 导出中间件
 exports.config = config;
 exports.before = before;
-exports.jwtUtils = jwtUtils;
\ No newline at end of file
+exports.jwtUtils = jwtUtils;
@@ -1,8 +1,13 @@
 // 日志中间件
+const fs = require('fs');
+const path = require('path');
+const { getTraceContext } = require('../tracing');
+const { getMiddlewareOptions } = require('../route-middlewares');
 
 /**
  * 日志中间件
- * 记录请求的方法、URL、IP、响应时间等信息
+ * 为每个请求生成结构化日志记录（时间、级别、方法、URL、状态码、耗时、IP、用户ID、请求ID），
+ * 按级别过滤后交给传输器输出，记录请求头和请求体时按脱敏规则隐藏敏感字段
  */
 const config = {
   name: 'logger',
@@ -11,11 +16,23 @@ const config = {
   enabled: true,
   exclude: [], // 不排除任何路径
   options: {
-    logLevel: 'info', // 日志级别：debug, info, warn, error
-    format: 'combined' // 日志格式：combined, simple
+    logLevel: 'info', // 最低日志级别：debug, info, warn, error
+    format: 'combined', // 日志行格式：combined, simple, json；传给函数传输器的记录始终是结构化对象
+    transports: ['stdout'], // 传输器：'stdout'、createFileTransport() 的返回值，或函数 (record, line) => void
+    logHeaders: false, // 是否记录请求头
+    logBody: false, // 是否记录请求体
+    redact: {
+      headers: ['authorization', 'cookie', 'set-cookie', 'x-api-key'], // 脱敏的请求头（不区分大小写）
+      fields: ['password', 'token', 'refreshToken', 'secret'], // 脱敏的请求体字段（任意层级）
+      query: ['api_key', 'access_token', 'token'], // 脱敏的URL查询参数（不区分大小写）
+      censor: '[REDACTED]' // 替换值
+    }
   }
 };
 
+// 日志级别的优先级
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
 /**
  * 格式化日期时间
  * @param {Date} date - 日期对象
@@ -39,46 +56,254 @@ function formatDate(date) {
  * @returns {string} - 客户端IP地址
  */
 function getClientIP(ctx) {
-  return ctx.headers['x-forwarded-for'] || 
-         ctx.headers['x-real-ip'] || 
-         (ctx.socket && ctx.socket.remoteAddress) || 
+  return ctx.headers['x-forwarded-for'] ||
+         ctx.headers['x-real-ip'] ||
+         (ctx.socket && ctx.socket.remoteAddress) ||
          'unknown';
 }
 
 /**
- * 格式化日志
+ * 按脱敏规则处理请求头和请求体
+ * @param {Object} value - 请求头或请求体
+ * @param {Array<string>} keys - 需要隐藏的键名（不区分大小写）
+ * @param {string} censor - 替换值
+ * @param {boolean} deep - 是否递归处理嵌套对象和数组
+ * @returns {any} - 脱敏后的副本
+ */
+function redact(value, keys, censor = config.options.redact.censor, deep = true) {
+  if (value === null || typeof value !== 'object' || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return deep ? value.map(item => redact(item, keys, censor, deep)) : value;
+  }
+
+  const hidden = new Set(keys.map(key => key.toLowerCase()));
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (hidden.has(key.toLowerCase())) {
+      output[key] = censor;
+    } else {
+      output[key] = deep ? redact(item, keys, censor, deep) : item;
+    }
+  }
+  return output;
+}
+
+/**
+ * 按脱敏规则处理URL中的查询参数，其他部分原样保留
+ * @param {string} url - 请求URL
+ * @param {Array<string>} keys - 需要隐藏的查询参数名（不区分大小写）
+ * @param {string} censor - 替换值
+ * @returns {string} - 脱敏后的URL
+ */
+function redactUrl(url, keys, censor = config.options.redact.censor) {
+  const index = url.indexOf('?');
+  if (index === -1 || !keys || keys.length === 0) {
+    return url;
+  }
+
+  const hidden = new Set(keys.map(key => key.toLowerCase()));
+  const query = url.slice(index + 1).split('&').map((pair) => {
+    const name = pair.split('=')[0];
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (error) {
+      // 无法解码的参数名按原文比较
+    }
+    return hidden.has(decoded.toLowerCase()) ? `${name}=${censor}` : pair;
+  });
+  return `${url.slice(0, index)}?${query.join('&')}`;
+}
+
+/**
+ * 计算响应体字节数：优先使用已设置的 Content-Length 响应头，
+ * 否则按 server.js 的序列化方式计算（onResponse 执行时响应尚未写出）
+ * @param {Object} ctx - Koa上下文
+ * @returns {number|null} - 字节数，流式响应无法预先确定时返回null
+ */
+function getContentLength(ctx) {
+  const header = typeof ctx.get === 'function' ? ctx.get('Content-Length') : '';
+  if (header !== '' && header !== undefined && Number.isFinite(Number(header))) {
+    return Number(header);
+  }
+
+  const body = ctx.body;
+  if (body == null || ctx.status === 204 || ctx.status === 304) {
+    return 0;
+  }
+  if (Buffer.isBuffer(body)) {
+    return body.length;
+  }
+  if (typeof body === 'string') {
+    return Buffer.byteLength(body);
+  }
+  if (ctx.state.streaming || typeof body.pipe === 'function') {
+    return null;
+  }
+  try {
+    return Buffer.byteLength(JSON.stringify(body));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 生成请求的结构化日志记录
  * @param {Object} ctx - Koa上下文
  * @param {number} startTime - 请求开始时间
+ * @param {Error} error - 错误对象，可选
+ * @returns {Object} - 日志记录
+ */
+function buildRecord(ctx, startTime, error) {
+  // onError钩子先于error-handler执行，此时状态码以错误为准
+  const status = error ? (error.status || error.statusCode || 500) : (ctx.status || 200);
+  const user = ctx.user || ctx.state.user;
+  const options = getMiddlewareOptions(ctx, config);
+  const { redact: rules } = options;
+
+  const record = {
+    time: new Date().toISOString(),
+    level: status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info',
+    method: ctx.method,
+    url: redactUrl(ctx.url || ctx.path, rules.query, rules.censor),
+    status,
+    durationMs: Date.now() - startTime,
+    ip: getClientIP(ctx),
+    userId: user && user.id !== undefined ? user.id : null,
+    requestId: ctx.state.requestId || null,
+    userAgent: ctx.headers['user-agent'] || '',
+    contentLength: getContentLength(ctx)
+  };
+
+  if (options.logHeaders) {
+    record.headers = redact(ctx.headers, rules.headers, rules.censor, false);
+  }
+  if (options.logBody && ctx.request && ctx.request.body !== undefined) {
+    record.body = redact(ctx.request.body, rules.fields, rules.censor);
+  }
+  if (error) {
+    record.error = { message: error.message, name: error.name };
+    if (status >= 500) {
+      record.error.stack = error.stack;
+    }
+  }
+  return record;
+}
+
+/**
+ * 将日志记录格式化为一行文本
+ * @param {Object} record - 日志记录
  * @param {string} format - 日志格式
- * @returns {string} - 格式化后的日志字符串
+ * @returns {string} - 日志行
  */
-function formatLog(ctx, startTime, format = 'combined') {
-  const endTime = Date.now();
-  const responseTime = endTime - startTime;
-  const date = formatDate(new Date(startTime));
-  const ip = getClientIP(ctx);
-  const method = ctx.method;
-  const url = ctx.url;
-  const status = ctx.status;
-  const contentLength = ctx.length || 0;
-  const userAgent = ctx.headers['user-agent'] || '';
+function formatRecord(record, format = 'combined') {
+  if (format === 'json') {
+    return JSON.stringify(record);
+  }
+
+  const date = formatDate(new Date(record.time));
+  const level = record.level.toUpperCase();
+  const requestId = record.requestId ? ` [${record.requestId}]` : '';
+
+  // 没有请求信息的日志（如业务代码调用 log()）
+  if (!record.method) {
+    return `${date} [${level}]${requestId} ${record.msg || ''}`;
+  }
 
+  const error = record.error ? ` - ${record.error.message}` : '';
   if (format === 'simple') {
-    return `${date} [INFO] ${method} ${url} ${status} ${responseTime}ms`;
+    return `${date} [${level}]${requestId} ${record.method} ${record.url} ${record.status} ${record.durationMs}ms${error}`;
   }
 
   // combined格式
-  return `${date} [INFO] ${ip} - ${method} ${url} ${status} ${contentLength} "${userAgent}" ${responseTime}ms`;
+  return `${date} [${level}]${requestId} ${record.ip} - ${record.method} ${record.url} ${record.status} ${record.contentLength === null ? '-' : record.contentLength} "${record.userAgent}" ${record.durationMs}ms${error}`;
 }
 
 /**
- * 记录日志
- * @param {string} message - 日志消息
+ * 创建按大小轮转的文件传输器
+ * @param {Object} options - { path: 日志文件路径, maxSize: 单个文件最大字节数（默认10MB）, maxFiles: 保留的历史文件数（默认5） }
+ * @returns {Function} - 传输器 (record, line) => void，带 close() 方法
+ */
+function createFileTransport(options) {
+  const filePath = options.path;
+  const maxSize = options.maxSize || 10 * 1024 * 1024;
+  const maxFiles = options.maxFiles || 5;
+
+  // 同步打开文件，保证轮转时文件已经存在；写入仍通过流异步进行
+  const open = () => fs.createWriteStream(null, { fd: fs.openSync(filePath, 'a') });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  let stream = open();
+
+  // app.log → app.log.1 → app.log.2 ...，超出maxFiles的文件被覆盖
+  const rotate = () => {
+    stream.end();
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      const source = `${filePath}.${index}`;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+    stream = open();
+    size = 0;
+  };
+
+  const transport = (record, line) => {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (size > 0 && size + bytes > maxSize) {
+      rotate();
+    }
+    stream.write(`${line}\n`);
+    size += bytes;
+  };
+  transport.close = () => new Promise(resolve => stream.end(resolve));
+  return transport;
+}
+
+/**
+ * 输出日志记录到所有传输器
+ * @param {Object} record - 日志记录
+ * @param {Object} options - 日志配置，默认使用中间件配置
+ */
+function write(record, options = config.options) {
+  if ((LEVELS[record.level] || 0) < (LEVELS[options.logLevel] || 0)) {
+    return;
+  }
+
+  const line = formatRecord(record, options.format);
+  for (const transport of options.transports) {
+    try {
+      if (transport === 'stdout') {
+        console.log(line);
+      } else if (typeof transport === 'function') {
+        transport(record, line);
+      }
+    } catch (error) {
+      // 传输器失败不影响请求处理
+      console.error(`[Logger] Transport failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 记录日志，供业务代码使用；在请求作用域中调用时自动带上请求ID
  * @param {string} level - 日志级别
+ * @param {string} message - 日志消息
+ * @param {Object} fields - 附加字段
  */
-function log(message, level = 'info') {
-  // 简单的日志实现，生产环境可以替换为更强大的日志库
-  console.log(message);
+function log(level, message, fields = {}) {
+  const trace = getTraceContext();
+  write({
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    requestId: trace ? trace.requestId : null,
+    ...fields
+  });
 }
 
 /**
@@ -96,8 +321,7 @@ async function onRequest(ctx) {
  */
 async function onResponse(ctx) {
   const startTime = ctx.state.startTime || Date.now();
-  const logMessage = formatLog(ctx, startTime, config.options.format);
-  log(logMessage, config.options.logLevel);
+  write(buildRecord(ctx, startTime), getMiddlewareOptions(ctx, config));
 }
 
 /**
@@ -107,12 +331,16 @@ async function onResponse(ctx) {
  */
 async function onError(ctx, error) {
   const startTime = ctx.state.startTime || Date.now();
-  const logMessage = `${formatDate(new Date(startTime))} [ERROR] ${getClientIP(ctx)} - ${ctx.method} ${ctx.url} ${ctx.status || 500} - ${error.message}`;
-  log(logMessage, 'error');
+  write(buildRecord(ctx, startTime, error), getMiddlewareOptions(ctx, config));
 }
 
 // 导出中间件
 exports.config = config;
 exports.onRequest = onRequest;
 exports.onResponse = onResponse;
-exports.onError = onError;
\ No newline at end of file
+exports.onError = onError;
+exports.getClientIP = getClientIP;
+exports.log = log;
+exports.redact = redact;
+exports.redactUrl = redactUrl;
+exports.createFileTransport = createFileTransport;
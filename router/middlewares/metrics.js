@@ -0,0 +1,68 @@
+// 指标中间件
+const { defaultRegistry, DEFAULT_BUCKETS } = require('../metrics');
+
+/**
+ * 指标中间件
+ * 按路由记录请求数、状态码分类和耗时直方图，路由标签使用规范路径（如 /players/:id），避免标签数量随参数增长
+ */
+const config = {
+  name: 'metrics',
+  level: ['global'],
+  order: 0, // 最先记录开始时间
+  enabled: true,
+  exclude: [], // 不排除任何路径
+  options: {
+    registry: null, // 指标注册表，默认使用全局注册表
+    buckets: null // 耗时分桶（秒），默认使用 DEFAULT_BUCKETS
+  }
+};
+
+/**
+ * 获取请求指标
+ * @returns {Object} - { requests, duration }
+ */
+function getMetrics() {
+  const registry = config.options.registry || defaultRegistry;
+  const labels = ['method', 'route', 'level'];
+  return {
+    requests: registry.counter('http_requests_total', 'HTTP requests by route and status class', [...labels, 'status_class']),
+    duration: registry.histogram('http_request_duration_seconds', 'HTTP request latency in seconds', labels,
+      config.options.buckets || DEFAULT_BUCKETS)
+  };
+}
+
+/**
+ * 指标中间件的onRequest钩子
+ * @param {Object} ctx - Koa上下文
+ */
+async function onRequest(ctx) {
+  ctx.state.metricsStart = process.hrtime.bigint();
+}
+
+/**
+ * 指标中间件的onFinish钩子，成功和失败的请求都会执行
+ * @param {Object} ctx - Koa上下文
+ */
+async function onFinish(ctx) {
+  if (ctx.state.metricsStart === undefined) {
+    return;
+  }
+
+  const { requests, duration } = getMetrics();
+  const labels = {
+    method: ctx.method,
+    // 未匹配的请求（404）统一记为 unmatched，避免标签数量随请求路径增长
+    route: ctx.state.routePath === null ? 'unmatched' : ctx.state.routePath || ctx.path,
+    level: ctx.state.securityLevel || ''
+  };
+  const status = ctx.status || 200;
+  const seconds = Number(process.hrtime.bigint() - ctx.state.metricsStart) / 1e9;
+
+  requests.inc({ ...labels, status_class: `${Math.floor(status / 100)}xx` });
+  duration.observe(labels, seconds);
+}
+
+// 导出中间件
+exports.config = config;
+exports.onRequest = onRequest;
+exports.onFinish = onFinish;
@@ -0,0 +1,419 @@
+// 限流中间件
+const { AppError } = require('./error-handler');
+const { getMiddlewareOptions } = require('../route-middlewares');
+
+/**
+ * 限流中间件
+ * 按客户端IP、用户ID或自定义函数统计请求次数，超出限制时返回 429，
+ * 支持固定窗口、滑动窗口和令牌桶三种策略，路由可以通过 config.rateLimit 覆盖默认配置
+ */
+const config = {
+  name: 'rate-limit',
+  level: ['global'],
+  order: 50, // 在jwt-auth之后执行，按用户限流时可以读取ctx.user
+  enabled: true,
+  exclude: [], // 不排除任何路径
+  options: {
+    strategy: 'fixed-window', // 限流策略：fixed-window, sliding-window, token-bucket
+    max: 100, // 时间窗口内的最大请求数（令牌桶为容量）
+    windowMs: 60000, // 时间窗口（毫秒），令牌桶每个窗口补充max个令牌
+    keyBy: 'ip', // 限流键：ip, user，或函数 (ctx) => string
+    trustProxy: false, // 是否信任 X-Forwarded-For / X-Real-IP，只应在可信的反向代理之后开启
+    store: null, // 计数存储，默认使用内存存储
+    headers: true, // 是否返回 RateLimit-* 响应头
+    message: 'Too many requests, please try again later' // 超出限制时的错误消息
+  }
+};
+
+/**
+ * 限流错误
+ */
+class RateLimitError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, 429, { retryAfter });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 内存存储，适用于单进程部署
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.writes = 0;
+  }
+
+  /**
+   * 读取限流状态
+   * @param {string} key - 限流键
+   * @returns {Promise<Object|null>} - 限流状态，不存在或已过期返回null
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.state;
+  }
+
+  /**
+   * 保存限流状态
+   * @param {string} key - 限流键
+   * @param {Object} state - 限流状态
+   * @param {number} ttlMs - 过期时间（毫秒）
+   */
+  async set(key, state, ttlMs) {
+    this.entries.set(key, { state, expiresAt: Date.now() + ttlMs });
+    // 定期清理过期条目，避免键数量无限增长
+    if (++this.writes % 1000 === 0) {
+      this.prune();
+    }
+  }
+
+  /**
+   * 原子地读取并更新限流状态：读取、计算和写入之间没有 await，并发请求不会读到相同的计数
+   * @param {string} key - 限流键
+   * @param {Function} update - (state, now) => { state, ttlMs, ... }，state 不存在或已过期时为null
+   * @returns {Promise<Object>} - update 的返回值
+   */
+  async consume(key, update) {
+    const now = Date.now();
+    const entry = this.entries.get(key);
+    const result = update(entry && entry.expiresAt > now ? entry.state : null, now);
+    this.entries.set(key, { state: result.state, expiresAt: now + result.ttlMs });
+    if (++this.writes % 1000 === 0) {
+      this.prune();
+    }
+    return result;
+  }
+
+  /**
+   * 清理过期条目
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 清空所有条目
+   */
+  reset() {
+    this.entries.clear();
+  }
+}
+
+// 并发冲突时 consume 的最大重试次数
+const MAX_CONSUME_ATTEMPTS = 10;
+
+/**
+ * 存储适配器存储，通过 SQLiteAdapter / JSONAdapter 的 findOne / insert / update 保存限流状态，
+ * 适用于多进程共享计数。consume 以条件更新（比较并交换）写入，并发请求不会重复使用同一个计数
+ */
+class AdapterStore {
+  /**
+   * @param {Object} adapter - 存储适配器
+   * @param {Object} options - 可选项 { table: 表名，默认 'RateLimit' }
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.table = options.table || 'RateLimit';
+    this.ready = null;
+  }
+
+  /**
+   * 确保限流表存在
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.adapter.ensureTable(this.table, {
+        name: this.table,
+        fields: {
+          key: { rawType: 'str[255][primary]' },
+          state: { rawType: 'str[1000]' },
+          expires_at: { rawType: 'str[20]' }
+        }
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * 读取限流状态
+   * @param {string} key - 限流键
+   * @returns {Promise<Object|null>} - 限流状态，不存在或已过期返回null
+   */
+  async get(key) {
+    await this.init();
+    const row = await this.adapter.findOne(this.table, { key });
+    if (!row || Number(row.expires_at) <= Date.now()) {
+      return null;
+    }
+    return JSON.parse(row.state);
+  }
+
+  /**
+   * 保存限流状态
+   * @param {string} key - 限流键
+   * @param {Object} state - 限流状态
+   * @param {number} ttlMs - 过期时间（毫秒）
+   */
+  async set(key, state, ttlMs) {
+    await this.init();
+    const values = { state: JSON.stringify(state), expires_at: String(Date.now() + ttlMs) };
+    const existing = await this.adapter.findOne(this.table, { key });
+    if (existing) {
+      await this.adapter.update(this.table, { key }, values);
+    } else {
+      await this.adapter.insert(this.table, { key, ...values });
+    }
+  }
+
+  /**
+   * 原子地读取并更新限流状态
+   * 已有记录时执行一次条件 UPDATE，只有 state 和 expires_at 仍是读取时的值才会写入；
+   * 没有记录时插入，主键冲突说明其他请求已经插入。两种情况都重新读取后重试
+   * @param {string} key - 限流键
+   * @param {Function} update - (state, now) => { state, ttlMs, ... }，state 不存在或已过期时为null
+   * @returns {Promise<Object>} - update 的返回值
+   * @throws {Error} - 多次重试后仍然冲突
+   */
+  async consume(key, update) {
+    await this.init();
+    for (let attempt = 0; attempt < MAX_CONSUME_ATTEMPTS; attempt++) {
+      const row = await this.adapter.findOne(this.table, { key });
+      const now = Date.now();
+      const current = row && Number(row.expires_at) > now ? JSON.parse(row.state) : null;
+      const result = update(current, now);
+      const values = { state: JSON.stringify(result.state), expires_at: String(now + result.ttlMs) };
+
+      if (row) {
+        const criteria = { key, state: row.state, expires_at: row.expires_at };
+        if (await this.adapter.update(this.table, criteria, values)) {
+          return result;
+        }
+        continue;
+      }
+
+      try {
+        await this.adapter.insert(this.table, { key, ...values });
+        return result;
+      } catch (error) {
+        // 主键冲突，重新读取其他请求写入的状态
+      }
+    }
+    throw new Error(`Rate limit store contention for key: ${key}`);
+  }
+}
+
+const defaultStore = new MemoryStore();
+
+/**
+ * 限流策略：根据已保存的状态计算本次请求是否允许
+ * 每个策略返回 { state, allowed, remaining, resetMs, retryAfterMs, ttlMs }
+ */
+const strategies = {
+  /**
+   * 固定窗口：每个窗口内最多max次请求
+   */
+  'fixed-window'(state, { max, windowMs }, now) {
+    const current = state && state.resetAt > now ? state : { count: 0, resetAt: now + windowMs };
+    const allowed = current.count < max;
+    const next = { count: allowed ? current.count + 1 : current.count, resetAt: current.resetAt };
+    const resetMs = next.resetAt - now;
+    return {
+      state: next,
+      allowed,
+      remaining: max - next.count,
+      resetMs,
+      retryAfterMs: resetMs,
+      ttlMs: resetMs
+    };
+  },
+
+  /**
+   * 滑动窗口：按上一个窗口的计数加权估算，避免窗口边界处的突发流量
+   */
+  'sliding-window'(state, { max, windowMs }, now) {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    let current = { windowStart, count: 0, previousCount: 0 };
+    if (state && state.windowStart === windowStart) {
+      current = state;
+    } else if (state && state.windowStart === windowStart - windowMs) {
+      current.previousCount = state.count;
+    }
+
+    const weight = (windowMs - (now - windowStart)) / windowMs;
+    const estimated = current.previousCount * weight + current.count;
+    const allowed = estimated + 1 <= max;
+    const next = { ...current, count: allowed ? current.count + 1 : current.count };
+    const resetMs = windowStart + windowMs - now;
+    return {
+      state: next,
+      allowed,
+      remaining: Math.max(0, Math.floor(max - estimated - (allowed ? 1 : 0))),
+      resetMs,
+      retryAfterMs: resetMs,
+      ttlMs: resetMs + windowMs
+    };
+  },
+
+  /**
+   * 令牌桶：容量为max，每个窗口匀速补充max个令牌，允许短时间突发
+   */
+  'token-bucket'(state, { max, windowMs }, now) {
+    const rate = max / windowMs;
+    const tokens = state ? Math.min(max, state.tokens + (now - state.updatedAt) * rate) : max;
+    const allowed = tokens >= 1;
+    const next = { tokens: allowed ? tokens - 1 : tokens, updatedAt: now };
+    const resetMs = Math.ceil((max - next.tokens) / rate);
+    return {
+      state: next,
+      allowed,
+      remaining: Math.floor(next.tokens),
+      resetMs,
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - next.tokens) / rate),
+      ttlMs: Math.max(resetMs, 1)
+    };
+  }
+};
+
+/**
+ * 合并默认配置和路由的 config.rateLimit，或 config.middlewares 中的 { name: 'rate-limit', options }
+ * @param {Object} ctx - Koa上下文
+ * @returns {Object|null} - 生效的限流配置，路由关闭限流时返回null
+ */
+function resolveOptions(ctx) {
+  const override = ctx.state.routeConfig && ctx.state.routeConfig.rateLimit;
+  if (override === false) {
+    return null;
+  }
+  const options = getMiddlewareOptions(ctx, config);
+  if (!override && options === config.options) {
+    return { ...config.options, scope: '*' };
+  }
+  // 路由级配置使用独立的计数
+  const method = ctx.state.routeConfig.method || ctx.method;
+  return { ...options, ...override, scope: `${method} ${ctx.state.routePath || ctx.path}` };
+}
+
+/**
+ * 获取限流使用的客户端地址
+ * 默认使用连接的对端地址，客户端可以任意伪造的转发头只在 trustProxy 开启时读取
+ * @param {Object} ctx - Koa上下文
+ * @param {boolean} trustProxy - 是否信任转发头
+ * @returns {string} - 客户端地址
+ */
+function getClientAddress(ctx, trustProxy) {
+  if (trustProxy) {
+    const forwarded = ctx.headers['x-forwarded-for'] || ctx.headers['x-real-ip'];
+    if (forwarded) {
+      return String(forwarded).split(',')[0].trim();
+    }
+  }
+  const socket = (ctx.req && ctx.req.socket) || ctx.socket;
+  return (socket && socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * 计算限流键
+ * @param {Object} ctx - Koa上下文
+ * @param {Object} options - 限流配置
+ * @returns {string} - 限流键
+ */
+function getKey(ctx, options) {
+  const keyBy = options.keyBy;
+  if (typeof keyBy === 'function') {
+    return String(keyBy(ctx));
+  }
+  if (keyBy === 'user') {
+    const user = ctx.user || ctx.state.user;
+    // 未登录的请求按IP限流
+    if (user && user.id !== undefined) {
+      return `user:${user.id}`;
+    }
+  }
+  return `ip:${getClientAddress(ctx, options.trustProxy)}`;
+}
+
+/**
+ * 检查请求是否超出限制
+ * @param {Object} ctx - Koa上下文
+ * @param {Object} options - 限流配置
+ * @returns {Promise<Object>} - 策略计算结果
+ */
+async function consume(ctx, options) {
+  const strategy = strategies[options.strategy];
+  if (!strategy) {
+    throw new Error(`Unknown rate limit strategy: ${options.strategy}`);
+  }
+
+  const store = options.store || defaultStore;
+  const key = `${options.strategy}:${options.scope}:${getKey(ctx, options)}`;
+  if (typeof store.consume === 'function') {
+    return store.consume(key, (state, now) => strategy(state, options, now));
+  }
+  // 只实现了 get / set 的自定义存储，读改写不是原子操作
+  const result = strategy(await store.get(key), options, Date.now());
+  await store.set(key, result.state, result.ttlMs);
+  return result;
+}
+
+/**
+ * 设置限流响应头
+ * @param {Object} ctx - Koa上下文
+ * @param {Object} options - 限流配置
+ * @param {Object} result - 策略计算结果
+ */
+function setRateLimitHeaders(ctx, options, result) {
+  ctx.set('RateLimit-Limit', String(options.max));
+  ctx.set('RateLimit-Remaining', String(result.remaining));
+  ctx.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+  ctx.set('RateLimit-Policy', `${options.max};w=${Math.ceil(options.windowMs / 1000)}`);
+}
+
+/**
+ * 限流中间件的before钩子
+ * @param {Object} ctx - Koa上下文
+ */
+async function before(ctx) {
+  // 前面的中间件已经拒绝了请求（如认证失败），不再计数
+  if (ctx.status && ctx.status >= 400) {
+    return;
+  }
+
+  const options = resolveOptions(ctx);
+  if (!options) {
+    return;
+  }
+
+  const result = await consume(ctx, options);
+  if (options.headers) {
+    setRateLimitHeaders(ctx, options, result);
+  }
+
+  if (!result.allowed) {
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+    ctx.set('Retry-After', String(retryAfter));
+    throw new RateLimitError(options.message, retryAfter);
+  }
+}
+
+// 导出中间件
+exports.config = config;
+exports.before = before;
+exports.RateLimitError = RateLimitError;
+exports.MemoryStore = MemoryStore;
+exports.AdapterStore = AdapterStore;
+exports.strategies = strategies;
@@ -2,7 +2,8 @@
 
 /**
  * 响应格式化中间件
- * 将路由处理函数的返回值自动包装成统一的格式，确保API响应格式一致
+ * 将路由处理函数的返回值自动包装成统一的格式，确保API响应格式一致。
+ * 流式响应（可读流、异步迭代器和SSE）原样输出
  */
 const config = {
   name: 'response-formatter',
@@ -33,6 +34,11 @@ function shouldWrapResponse(body) {
     return false;
   }
 
+  // Buffer和流等二进制响应原样输出
+  if (Buffer.isBuffer(body) || (typeof body === 'object' && body !== null && typeof body.pipe === 'function')) {
+    return false;
+  }
+
   // 如果已经是格式化的响应，不再包装
   if (typeof body === 'object' && body !== null && 'success' in body) {
     return false;
@@ -79,6 +85,11 @@ async function after(ctx) {
     return;
   }
 
+  // 无响应体的状态码和流式响应不包装
+  if (ctx.status === 204 || ctx.status === 304 || (ctx.state && ctx.state.streaming)) {
+    return;
+  }
+
   // 获取响应体
   let body = ctx.body;
 
@@ -100,8 +111,8 @@ async function after(ctx) {
  * @param {Object} ctx - Koa上下文
  */
 async function onResponse(ctx) {
-  // 确保响应头正确
-  if (!ctx.get('Content-Type')) {
+  // 确保响应头正确，流式响应的类型由路由或HTTP服务决定
+  if (!ctx.get('Content-Type') && !(ctx.state && ctx.state.streaming)) {
     ctx.set('Content-Type', 'application/json');
   }
 }
@@ -0,0 +1,482 @@
+// 会话中间件
+const crypto = require('crypto');
+const { AppError } = require('./error-handler');
+
+/**
+ * 会话中间件
+ * 基于签名Cookie的会话认证，作为jwt-auth的替代，适用于无法保存Bearer token的浏览器工具。
+ * 会话数据通过存储适配器保存，支持空闲过期、绝对过期、登录时轮换会话ID，
+ * protected 路由要求已登录的会话，非安全方法还需要携带CSRF token
+ */
+const config = {
+  name: 'session',
+  level: ['public', 'protected'],
+  order: 30, // 在rate-limit和cache之前注入ctx.user
+  enabled: true,
+  exclude: [], // 不排除任何路径
+  options: {
+    secret: null, // Cookie签名密钥，未设置时读取 SESSION_SECRET 环境变量
+    store: null, // 会话存储，默认使用内存存储，多进程部署使用 AdapterSessionStore
+    cookieName: 'sid', // 会话Cookie名
+    cookie: { path: '/', httpOnly: true, sameSite: 'Lax', secure: true }, // Cookie属性
+    idleTimeout: 30 * 60, // 空闲过期时间（秒），超过该时间没有请求则会话失效
+    maxAge: 12 * 3600, // 绝对过期时间（秒），从创建或轮换会话开始计算
+    maxSessions: 10000, // 内存存储最多保存的会话数，超出时淘汰最久未访问的会话
+    csrfHeader: 'X-CSRF-Token', // 提交CSRF token的请求头
+    csrfCookieName: 'XSRF-TOKEN', // 供前端脚本读取CSRF token的Cookie，设为null不下发
+    safeMethods: ['GET', 'HEAD', 'OPTIONS'] // 不需要CSRF校验的方法
+  }
+};
+
+/**
+ * 会话错误
+ */
+class SessionError extends AppError {
+  constructor(message, status = 401) {
+    super(message, status);
+    this.name = 'SessionError';
+  }
+}
+
+/**
+ * 判断会话是否已经空闲过期或绝对过期
+ * @param {Object} record - 会话记录
+ * @param {number} now - 当前时间戳
+ * @returns {boolean} - 是否过期
+ */
+function isExpired(record, now) {
+  const { idleTimeout, maxAge } = config.options;
+  return now - record.lastSeenAt > idleTimeout * 1000 || now - record.createdAt > maxAge * 1000;
+}
+
+/**
+ * 内存会话存储，适用于单进程部署。
+ * 定期清理过期会话，超过 maxSessions 时淘汰最久未访问的会话
+ */
+class MemorySessionStore {
+  /**
+   * @param {Object} options - 可选项 { maxSessions: 最大会话数 }
+   */
+  constructor(options = {}) {
+    this.maxSessions = options.maxSessions || config.options.maxSessions;
+    this.sessions = new Map();
+    this.writes = 0;
+  }
+
+  /**
+   * 读取会话
+   * @param {string} sid - 会话ID
+   * @returns {Promise<Object|null>} - 会话记录 { data, csrfToken, createdAt, lastSeenAt }
+   */
+  async get(sid) {
+    const record = this.sessions.get(sid);
+    // 返回副本，处理函数修改会话数据后只在after钩子中保存
+    return record ? { ...record, data: JSON.parse(JSON.stringify(record.data)) } : null;
+  }
+
+  /**
+   * 保存会话
+   * @param {string} sid - 会话ID
+   * @param {Object} record - 会话记录
+   */
+  async set(sid, record) {
+    // 重新插入，Map 的迭代顺序即最近访问顺序
+    this.sessions.delete(sid);
+    this.sessions.set(sid, record);
+    if (++this.writes % 1000 === 0) {
+      this.prune();
+    }
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * 销毁会话
+   * @param {string} sid - 会话ID
+   */
+  async destroy(sid) {
+    this.sessions.delete(sid);
+  }
+
+  /**
+   * 清理过期会话
+   */
+  prune() {
+    const now = Date.now();
+    for (const [sid, record] of this.sessions) {
+      if (isExpired(record, now)) {
+        this.sessions.delete(sid);
+      }
+    }
+  }
+}
+
+/**
+ * 存储适配器会话存储，通过 SQLiteAdapter / JSONAdapter 的 findOne / insert / update 保存会话。
+ * 适配器没有删除接口，销毁的会话清空数据并标记为已销毁
+ */
+class AdapterSessionStore {
+  /**
+   * @param {Object} adapter - 存储适配器
+   * @param {Object} options - 可选项 { table: 表名，默认 'Session' }
+   */
+  constructor(adapter, options = {}) {
+    this.adapter = adapter;
+    this.table = options.table || 'Session';
+    this.ready = null;
+  }
+
+  /**
+   * 确保会话表存在
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.adapter.ensureTable(this.table, {
+        name: this.table,
+        fields: {
+          sid: { rawType: 'str[64][primary]' },
+          data: { rawType: 'str[8000]' },
+          csrf_token: { rawType: 'str[64]' },
+          created_at: { rawType: 'str[20]' },
+          last_seen_at: { rawType: 'str[20]' },
+          destroyed: { rawType: 'str[1]' }
+        }
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * 读取会话
+   * @param {string} sid - 会话ID
+   * @returns {Promise<Object|null>} - 会话记录，不存在或已销毁返回null
+   */
+  async get(sid) {
+    await this.init();
+    const row = await this.adapter.findOne(this.table, { sid });
+    if (!row || row.destroyed === '1') {
+      return null;
+    }
+    return {
+      data: JSON.parse(row.data),
+      csrfToken: row.csrf_token,
+      createdAt: Number(row.created_at),
+      lastSeenAt: Number(row.last_seen_at)
+    };
+  }
+
+  /**
+   * 保存会话
+   * @param {string} sid - 会话ID
+   * @param {Object} record - 会话记录
+   */
+  async set(sid, record) {
+    await this.init();
+    const values = {
+      data: JSON.stringify(record.data),
+      csrf_token: record.csrfToken,
+      created_at: String(record.createdAt),
+      last_seen_at: String(record.lastSeenAt),
+      destroyed: '0'
+    };
+    const existing = await this.adapter.findOne(this.table, { sid });
+    if (existing) {
+      await this.adapter.update(this.table, { sid }, values);
+    } else {
+      await this.adapter.insert(this.table, { sid, ...values });
+    }
+  }
+
+  /**
+   * 销毁会话
+   * @param {string} sid - 会话ID
+   */
+  async destroy(sid) {
+    await this.init();
+    if (await this.adapter.findOne(this.table, { sid })) {
+      await this.adapter.update(this.table, { sid }, { data: '{}', destroyed: '1' });
+    }
+  }
+}
+
+const defaultStore = new MemorySessionStore();
+
+/**
+ * 获取Cookie签名密钥
+ * @returns {string} - 密钥
+ * @throws {Error} - 没有配置密钥
+ */
+function getSecret() {
+  const secret = config.options.secret || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('Session secret not configured: set session options.secret or SESSION_SECRET');
+  }
+  return secret;
+}
+
+/**
+ * 生成随机ID
+ * @returns {string} - base64url字符串
+ */
+function randomId() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * 签名会话ID
+ * @param {string} sid - 会话ID
+ * @param {string} secret - 密钥
+ * @returns {string} - sid.signature
+ */
+function signValue(sid, secret) {
+  return `${sid}.${crypto.createHmac('sha256', secret).update(sid).digest('base64url')}`;
+}
+
+/**
+ * 验证签名并取出会话ID
+ * @param {string} value - Cookie值
+ * @param {string} secret - 密钥
+ * @returns {string|null} - 会话ID，签名无效返回null
+ */
+function unsignValue(value, secret) {
+  const index = value.lastIndexOf('.');
+  if (index <= 0) {
+    return null;
+  }
+  const sid = value.slice(0, index);
+  return safeEqual(signValue(sid, secret), value) ? sid : null;
+}
+
+/**
+ * 常量时间比较字符串
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {boolean} - 是否相等
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * 解析Cookie请求头
+ * @param {string} header - Cookie请求头
+ * @returns {Object} - 名称到值的映射
+ */
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const name = pair.slice(0, index).trim();
+      if (!(name in cookies)) {
+        try {
+          cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+        } catch (error) {
+          cookies[name] = pair.slice(index + 1).trim();
+        }
+      }
+    }
+  });
+  return cookies;
+}
+
+/**
+ * 生成Set-Cookie值
+ * @param {string} name - Cookie名
+ * @param {string} value - Cookie值
+ * @param {Object} attributes - { path, domain, maxAge, httpOnly, secure, sameSite }
+ * @returns {string} - Set-Cookie值
+ */
+function serializeCookie(name, value, attributes = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+  if (attributes.path) parts.push(`Path=${attributes.path}`);
+  if (attributes.domain) parts.push(`Domain=${attributes.domain}`);
+  if (attributes.maxAge !== undefined) parts.push(`Max-Age=${Math.max(0, Math.floor(attributes.maxAge))}`);
+  if (attributes.httpOnly) parts.push('HttpOnly');
+  if (attributes.secure) parts.push('Secure');
+  if (attributes.sameSite) parts.push(`SameSite=${attributes.sameSite}`);
+  return parts.join('; ');
+}
+
+/**
+ * 创建会话对象，挂载到 ctx.session
+ * @param {Object} record - 会话记录，新会话为null
+ * @param {string|null} sid - 会话ID
+ * @returns {Object} - 会话对象
+ */
+function createSession(record, sid) {
+  const now = Date.now();
+  const session = {
+    id: sid,
+    data: record ? record.data : {},
+    csrfToken: record ? record.csrfToken : null,
+    createdAt: record ? record.createdAt : now,
+    isNew: !record,
+    regenerated: false,
+    destroyed: false,
+    previousIds: [],
+
+    /**
+     * 轮换会话ID和CSRF token，登录成功后调用，防止会话固定攻击
+     * @param {Object} data - 新会话数据，默认保留原有数据
+     */
+    regenerate(data = session.data) {
+      if (session.id) {
+        session.previousIds.push(session.id);
+      }
+      session.id = randomId();
+      session.csrfToken = randomId();
+      session.createdAt = Date.now();
+      session.data = data;
+      session.regenerated = true;
+      session.destroyed = false;
+    },
+
+    /**
+     * 销毁会话（登出）
+     */
+    destroy() {
+      session.destroyed = true;
+      session.data = {};
+    }
+  };
+  return session;
+}
+
+/**
+ * 会话中间件的before钩子：加载会话，protected 路由校验登录状态和CSRF token
+ * @param {Object} ctx - Koa上下文
+ */
+async function before(ctx) {
+  const { options } = config;
+  const store = options.store || defaultStore;
+  const secret = getSecret();
+  const now = Date.now();
+
+  const cookieValue = parseCookies(ctx.headers.cookie)[options.cookieName];
+  let sid = cookieValue ? unsignValue(cookieValue, secret) : null;
+  let record = sid ? await store.get(sid) : null;
+
+  // 空闲过期或绝对过期的会话直接销毁
+  if (record && isExpired(record, now)) {
+    await store.destroy(sid);
+    record = null;
+  }
+  if (!record) {
+    sid = null;
+  }
+
+  const session = createSession(record, sid);
+  ctx.session = session;
+  ctx.state.session = session;
+
+  if (session.data.user) {
+    ctx.user = session.data.user;
+    ctx.state.user = session.data.user;
+  }
+
+  if (ctx.state.securityLevel !== 'protected') {
+    return;
+  }
+
+  if (!session.data.user) {
+    throw new SessionError('Login required');
+  }
+
+  // 非安全方法校验CSRF token
+  if (!options.safeMethods.includes(String(ctx.method).toUpperCase())) {
+    const submitted = ctx.headers[options.csrfHeader.toLowerCase()];
+    if (!submitted || !safeEqual(submitted, session.csrfToken)) {
+      throw new SessionError('Invalid CSRF token', 403);
+    }
+  }
+}
+
+/**
+ * 会话中间件的after钩子：保存会话并下发Cookie
+ * @param {Object} ctx - Koa上下文
+ */
+async function after(ctx) {
+  const session = ctx.session;
+  if (!session) {
+    return;
+  }
+
+  const { options } = config;
+  const store = options.store || defaultStore;
+  const cookies = [];
+
+  for (const previousId of session.previousIds) {
+    await store.destroy(previousId);
+  }
+
+  if (session.destroyed) {
+    if (session.id) {
+      await store.destroy(session.id);
+      cookies.push(serializeCookie(options.cookieName, '', { ...options.cookie, maxAge: 0 }));
+      if (options.csrfCookieName) {
+        cookies.push(serializeCookie(options.csrfCookieName, '', { ...options.cookie, httpOnly: false, maxAge: 0 }));
+      }
+    }
+  } else {
+    // 新会话在写入数据后才保存，避免为匿名请求创建会话
+    if (session.isNew && !session.regenerated) {
+      if (Object.keys(session.data).length === 0) {
+        return;
+      }
+      session.regenerate();
+    }
+
+    await store.set(session.id, {
+      data: session.data,
+      csrfToken: session.csrfToken,
+      createdAt: session.createdAt,
+      lastSeenAt: Date.now()
+    });
+
+    if (session.regenerated) {
+      // 按整秒取整，刚创建的会话不会因为处理耗时少算一秒
+      const maxAge = Math.round(options.maxAge - (Date.now() - session.createdAt) / 1000);
+      cookies.push(serializeCookie(options.cookieName, signValue(session.id, getSecret()), { ...options.cookie, maxAge }));
+      if (options.csrfCookieName) {
+        cookies.push(serializeCookie(options.csrfCookieName, session.csrfToken, { ...options.cookie, httpOnly: false, maxAge }));
+      }
+    }
+  }
+
+  if (cookies.length > 0) {
+    appendSetCookie(ctx, cookies);
+  }
+}
+
+/**
+ * 追加Set-Cookie响应头，保留处理函数或其他中间件已经设置的Cookie
+ * @param {Object} ctx - Koa上下文
+ * @param {Array<string>} cookies - Set-Cookie值
+ */
+function appendSetCookie(ctx, cookies) {
+  const current = typeof ctx.get === 'function' ? ctx.get('Set-Cookie') : '';
+  const existing = Array.isArray(current) ? current : (current ? [current] : []);
+  ctx.set('Set-Cookie', [...existing, ...cookies]);
+}
+
+// 导出会话工具
+const sessionUtils = {
+  parseCookies,
+  serializeCookie,
+  signValue,
+  unsignValue
+};
+
+// 导出中间件
+exports.config = config;
+exports.before = before;
+exports.after = after;
+exports.SessionError = SessionError;
+exports.MemorySessionStore = MemorySessionStore;
+exports.AdapterSessionStore = AdapterSessionStore;
+exports.sessionUtils = sessionUtils;
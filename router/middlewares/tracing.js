@@ -0,0 +1,57 @@
+// 请求追踪中间件
+const { createTraceContext } = require('../tracing');
+
+/**
+ * 请求追踪中间件
+ * 沿用或生成请求ID和 W3C traceparent，写入 ctx.state 并通过响应头返回，
+ * 日志、路由工具和存储层事务据此关联同一个请求
+ */
+const config = {
+  name: 'tracing',
+  level: ['global'],
+  order: 0, // 最先执行，后续中间件都可以读取请求ID
+  enabled: true,
+  exclude: [], // 不排除任何路径
+  options: {
+    requestIdHeader: 'X-Request-ID', // 请求ID的请求头和响应头
+    trustIncoming: true, // 是否沿用客户端或网关传入的请求ID和traceparent
+    maxRequestIdLength: 128 // 传入的请求ID最大长度，超出或包含非法字符时重新生成
+  }
+};
+
+/**
+ * 读取传入的请求ID
+ * @param {Object} ctx - Koa上下文
+ * @returns {string|null} - 合法的请求ID或null
+ */
+function getIncomingRequestId(ctx) {
+  const value = ctx.headers[config.options.requestIdHeader.toLowerCase()];
+  if (typeof value !== 'string' || value.length > config.options.maxRequestIdLength) {
+    return null;
+  }
+  return /^[\w\-.:]+$/.test(value) ? value : null;
+}
+
+/**
+ * 追踪中间件的onRequest钩子
+ * @param {Object} ctx - Koa上下文
+ */
+async function onRequest(ctx) {
+  const headers = config.options.trustIncoming ? (ctx.headers || {}) : {};
+  const trace = createTraceContext(headers, {
+    requestId: config.options.trustIncoming ? getIncomingRequestId(ctx) : null
+  });
+
+  ctx.state.requestId = trace.requestId;
+  ctx.state.trace = trace;
+
+  ctx.set(config.options.requestIdHeader, trace.requestId);
+  ctx.set('traceparent', trace.traceparent);
+  if (trace.tracestate) {
+    ctx.set('tracestate', trace.tracestate);
+  }
+}
+
+// 导出中间件
+exports.config = config;
+exports.onRequest = onRequest;
@@ -0,0 +1,377 @@
+// OpenAPI文档生成
+const { compilePath } = require('./path-matcher');
+const { toJSONSchema, isOptional } = require('./schema');
+const responseFormatter = require('./middlewares/response-formatter');
+const apiKey = require('./middlewares/api-key');
+
+/**
+ * OpenAPI文档生成
+ * 根据 router.describe() 生成的路由清单和路由 config 中声明的 summary、params、query、body、responses、output
+ * 生成 OpenAPI 3.1 文档。成功响应按 response-formatter 的统一格式包装，错误响应与 error-handler 一致，
+ * protected 级别的路由使用与 jwt-auth 中间件对应的 Bearer 认证，声明了 config.apiKey 的路由使用 api-key 中间件的请求头认证。
+ */
+
+// 安全方案名称
+const BEARER_SCHEME = 'bearerAuth';
+const API_KEY_SCHEME = 'apiKeyAuth';
+
+// 默认的响应描述
+const STATUS_DESCRIPTIONS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  500: 'Internal Server Error'
+};
+
+/**
+ * 生成 response-formatter 统一格式的成功响应 Schema
+ * @param {Object} dataSchema - data 字段的 Schema
+ * @returns {Object} - JSON Schema
+ */
+function envelopeSchema(dataSchema) {
+  const { successKey, dataKey, statusKey, timestampKey, addTimestamp } = responseFormatter.config.options;
+  const properties = {
+    [successKey]: { type: 'boolean', const: true },
+    [dataKey]: dataSchema,
+    [statusKey]: { type: 'integer' }
+  };
+  const required = [successKey, statusKey];
+  if (addTimestamp) {
+    properties[timestampKey] = { type: 'integer', description: 'Unix timestamp in milliseconds' };
+    required.push(timestampKey);
+  }
+  return { type: 'object', properties, required };
+}
+
+/**
+ * 生成 error-handler 统一格式的错误响应 Schema
+ * @returns {Object} - JSON Schema
+ */
+function errorSchema() {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          code: { type: 'integer' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                location: { type: 'string' },
+                field: { type: 'string' },
+                rule: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          },
+          details: {}
+        },
+        required: ['message']
+      }
+    },
+    required: ['success', 'error']
+  };
+}
+
+/**
+ * 将路由路径模式转换为 OpenAPI 路径，可选段展开为多个路径
+ * @param {string} pattern - 路由路径模式
+ * @returns {Array<Object>} - [{ path, params: [{ name, pattern }] }]
+ */
+function toOpenAPIPaths(pattern) {
+  let variants = [{ parts: [], params: [] }];
+
+  for (const segment of compilePath(pattern).segments) {
+    if (segment.type === 'static') {
+      variants = variants.map(v => ({ parts: [...v.parts, segment.value], params: v.params }));
+      continue;
+    }
+
+    const name = segment.name === '*' ? 'wildcard' : segment.name;
+    const param = { name, pattern: segment.constraint ? `^(?:${segment.constraint})$` : null };
+    const withParam = variants.map(v => ({ parts: [...v.parts, `{${name}}`], params: [...v.params, param] }));
+
+    if (segment.type === 'optional') {
+      variants = [...withParam, ...variants];
+    } else {
+      variants = withParam;
+    }
+  }
+
+  return variants.map(v => ({ path: `/${v.parts.join('/')}`, params: v.params }));
+}
+
+/**
+ * 解析 responses 中的单个响应声明
+ * @param {any} declared - 字段描述，或 { description, schema }
+ * @returns {Object} - { description, schema }
+ */
+function parseResponseDeclaration(declared) {
+  if (declared && typeof declared === 'object' && !Array.isArray(declared)
+    && Object.keys(declared).length > 0
+    && Object.keys(declared).every(key => key === 'description' || key === 'schema')) {
+    return { description: declared.description, schema: declared.schema };
+  }
+  if (typeof declared === 'string' && !/^(str|number|bool|datetime)/i.test(declared)) {
+    return { description: declared, schema: undefined };
+  }
+  return { description: undefined, schema: declared };
+}
+
+/**
+ * 生成操作的响应定义
+ * @param {Object} entry - 路由清单条目
+ * @returns {Object} - OpenAPI responses
+ */
+function buildResponses(entry) {
+  const config = entry.config;
+  const declared = config.responses || {};
+  const responses = {};
+
+  for (const [status, declaration] of Object.entries(declared)) {
+    const { description, schema } = parseResponseDeclaration(declaration);
+    const code = Number(status);
+    const response = { description: description || STATUS_DESCRIPTIONS[code] || `Status ${status}` };
+
+    if (code === 204) {
+      // 无响应体
+    } else if (code >= 400) {
+      response.content = { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } };
+    } else {
+      const dataSchema = toJSONSchema(schema !== undefined ? schema : config.output);
+      response.content = { 'application/json': { schema: envelopeSchema(dataSchema) } };
+    }
+    responses[status] = response;
+  }
+
+  // 未声明成功响应时补充默认的 200 响应
+  if (!Object.keys(responses).some(status => /^2/.test(status))) {
+    responses['200'] = {
+      description: STATUS_DESCRIPTIONS[200],
+      content: { 'application/json': { schema: envelopeSchema(toJSONSchema(config.output)) } }
+    };
+  }
+
+  // 声明了请求校验的路由可能返回 400，错误详情见 error.errors
+  if (config.validate && !responses['400']) {
+    responses['400'] = {
+      description: STATUS_DESCRIPTIONS[400],
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    };
+  }
+
+  // 声明了角色、权限或API Key权限要求的路由可能返回 403
+  if ((config.roles || config.permissions || config.requireRoles || config.requirePermissions || (config.apiKey && config.apiKey.scopes))
+    && !responses['403']) {
+    responses['403'] = {
+      description: STATUS_DESCRIPTIONS[403],
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    };
+  }
+
+  if ((entry.securityLevel === 'protected' || config.apiKey) && !responses['401']) {
+    responses['401'] = {
+      description: STATUS_DESCRIPTIONS[401],
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+    };
+  }
+
+  responses.default = {
+    description: 'Error',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+  };
+
+  return responses;
+}
+
+/**
+ * 生成操作的参数定义
+ * @param {Object} entry - 路由清单条目
+ * @param {Array<Object>} pathParams - 路径参数 [{ name, pattern }]
+ * @returns {Array<Object>} - OpenAPI parameters
+ */
+function buildParameters(entry, pathParams) {
+  const config = entry.config;
+  const validate = config.validate || {};
+  const declaredParams = config.params || validate.params || {};
+  const parameters = [];
+
+  for (const param of pathParams) {
+    const schema = declaredParams[param.name] !== undefined
+      ? { ...toJSONSchema(declaredParams[param.name]) }
+      : { type: 'string' };
+    if (param.pattern && !schema.pattern) {
+      schema.pattern = param.pattern;
+    }
+    parameters.push({ name: param.name, in: 'path', required: true, schema });
+  }
+
+  for (const [name, spec] of Object.entries(config.query || validate.query || {})) {
+    parameters.push({ name, in: 'query', required: !isOptional(spec), schema: toJSONSchema(spec) });
+  }
+
+  for (const [name, spec] of Object.entries(validate.headers || {})) {
+    parameters.push({ name, in: 'header', required: !isOptional(spec), schema: toJSONSchema(spec) });
+  }
+
+  return parameters;
+}
+
+/**
+ * 生成唯一的 operationId
+ * @param {string} base - 期望的 operationId
+ * @param {Set<string>} used - 已使用的 operationId
+ * @returns {string} - operationId
+ */
+function reserveOperationId(base, used) {
+  let id = base;
+  let index = 2;
+  while (used.has(id)) {
+    id = `${base}${index++}`;
+  }
+  used.add(id);
+  return id;
+}
+
+/**
+ * 按 API 版本展开路由清单
+ * 未指定 apiVersion 时，声明了版本的路由按每个版本输出到带版本前缀的路径（/v1/items、/v2/items），避免同一路径的不同版本互相覆盖；
+ * 指定 apiVersion 时只输出该版本的路由和未声明版本的路由，同一方法和路径上声明了版本的路由优先，与路由匹配规则一致
+ * @param {Array<Object>} manifest - router.describe() 的返回值
+ * @param {Object} options - 可选项 { apiVersion, versionPrefix }
+ * @returns {Array<Object>} - [{ entry, version, prefix }]
+ * @throws {Error} - 关闭了 URL 版本前缀，又未指定 apiVersion
+ */
+function expandVersions(manifest, options) {
+  if (options.apiVersion) {
+    const versioned = new Set(manifest
+      .filter(entry => entry.versions && entry.versions.includes(options.apiVersion))
+      .map(entry => `${entry.method} ${entry.path}`));
+    return manifest
+      .filter(entry => (entry.versions ? entry.versions.includes(options.apiVersion) : !versioned.has(`${entry.method} ${entry.path}`)))
+      .map(entry => ({ entry, version: entry.versions ? options.apiVersion : null, prefix: '' }));
+  }
+
+  const expanded = [];
+  for (const entry of manifest) {
+    if (!entry.versions) {
+      expanded.push({ entry, version: null, prefix: '' });
+      continue;
+    }
+    if (options.versionPrefix === false) {
+      throw new Error('OpenAPI document for versioned routes requires options.apiVersion when versioning.prefix is disabled');
+    }
+    entry.versions.forEach(version => expanded.push({ entry, version, prefix: `/${version}` }));
+  }
+  return expanded;
+}
+
+/**
+ * 生成 OpenAPI 3.1 文档
+ * @param {Array<Object>} manifest - router.describe() 的返回值
+ * @param {Object} options - 可选项 { title, version, description, servers, apiVersion: 只输出指定 API 版本,
+ *   versionPrefix: 是否通过 URL 前缀选择版本, deprecatedVersions: 已弃用的 API 版本 }
+ * @returns {Object} - OpenAPI 文档
+ */
+function buildOpenAPIDocument(manifest, options = {}) {
+  const paths = {};
+  const usedOperationIds = new Set();
+  const deprecatedVersions = options.deprecatedVersions || [];
+  let usesApiKey = false;
+
+  for (const { entry, version, prefix } of expandVersions(manifest, options)) {
+    const config = entry.config;
+    const method = String(entry.method || 'GET').toLowerCase();
+    const fileOperationId = config.operationId
+      || entry.fileName.replace(/[^a-zA-Z0-9]+([a-zA-Z0-9])/g, (g, c) => c.toUpperCase()).replace(/[^a-zA-Z0-9]/g, '')
+      || 'operation';
+    // 同一路由的多个版本输出为不同的操作，operationId 加上版本后缀，例如 itemsV2
+    const baseOperationId = prefix
+      ? `${fileOperationId}${version.charAt(0).toUpperCase()}${version.slice(1).replace(/[^a-zA-Z0-9]/g, '_')}`
+      : fileOperationId;
+    const variants = toOpenAPIPaths(entry.path);
+
+    for (const variant of variants) {
+      const operation = {
+        operationId: reserveOperationId(baseOperationId, usedOperationIds),
+        tags: config.tags || [entry.securityLevel]
+      };
+      if (config.summary) operation.summary = config.summary;
+      if (config.description) operation.description = config.description;
+      if (config.deprecated || (version && deprecatedVersions.includes(version))) operation.deprecated = true;
+
+      const parameters = buildParameters(entry, variant.params);
+      if (parameters.length > 0) {
+        operation.parameters = parameters;
+      }
+
+      const body = config.body !== undefined ? config.body : (config.validate || {}).body;
+      if (body !== undefined) {
+        operation.requestBody = {
+          required: true,
+          content: { 'application/json': { schema: toJSONSchema(body) } }
+        };
+      }
+
+      operation.responses = buildResponses(entry);
+
+      // 同时需要Bearer和API Key时两者都要满足
+      const requirement = {};
+      if (entry.securityLevel === 'protected') {
+        requirement[BEARER_SCHEME] = [];
+      }
+      if (config.apiKey) {
+        requirement[API_KEY_SCHEME] = [];
+        usesApiKey = true;
+      }
+      if (Object.keys(requirement).length > 0) {
+        operation.security = [requirement];
+      }
+
+      const operationPath = prefix && variant.path === '/' ? prefix : `${prefix}${variant.path}`;
+      paths[operationPath] = paths[operationPath] || {};
+      paths[operationPath][method] = operation;
+    }
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info: {
+      title: options.title || 'API',
+      version: options.version || options.apiVersion || '1.0.0'
+    },
+    paths,
+    components: {
+      schemas: {
+        ErrorResponse: errorSchema()
+      },
+      securitySchemes: {
+        [BEARER_SCHEME]: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+  if (usesApiKey) {
+    document.components.securitySchemes[API_KEY_SCHEME] = { type: 'apiKey', in: 'header', name: apiKey.config.options.header };
+  }
+  if (options.description) {
+    document.info.description = options.description;
+  }
+  if (options.servers) {
+    document.servers = options.servers.map(server => (typeof server === 'string' ? { url: server } : server));
+  }
+  return document;
+}
+
+module.exports = {
+  buildOpenAPIDocument,
+  toOpenAPIPaths
+};
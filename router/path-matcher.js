@@ -0,0 +1,267 @@
+// 路径匹配引擎
+
+/**
+ * 路径匹配引擎
+ * 将路由路径模式编译为可复用的匹配器，支持：
+ * - 静态段：/players
+ * - 命名参数：/:id
+ * - 带约束的参数：/:id(\d+)
+ * - 可选段：/:slot?
+ * - 通配符：/* 或 /*rest（匹配剩余全部路径，可为空）
+ */
+
+// 段类型的优先级权重，数值越大越具体
+const SEGMENT_WEIGHT = {
+  static: 4,
+  constrained: 3,
+  param: 2,
+  optional: 1,
+  wildcard: 0
+};
+
+/**
+ * 规范化请求路径：去掉查询串、合并重复斜杠、去掉末尾斜杠
+ * @param {string} path - 原始路径
+ * @returns {string} - 规范化后的路径
+ */
+function normalizePath(path) {
+  return trimSlashes(String(path || '/').split('?')[0].split('#')[0]);
+}
+
+/**
+ * 合并重复斜杠、补全开头斜杠、去掉末尾斜杠
+ * @param {string} path - 路径或路径模式
+ * @returns {string} - 处理后的路径
+ */
+function trimSlashes(path) {
+  let normalized = path.replace(/\/{2,}/g, '/');
+  if (!normalized.startsWith('/')) {
+    normalized = `/${normalized}`;
+  }
+  if (normalized.length > 1 && normalized.endsWith('/')) {
+    normalized = normalized.slice(0, -1);
+  }
+  return normalized;
+}
+
+/**
+ * 将路径模式拆分为段，括号内约束正则中的斜杠不作为分隔符，由 parseSegment 报错
+ * @param {string} pattern - 路径模式
+ * @returns {Array<string>} - 原始段列表
+ */
+function splitPattern(pattern) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+
+  for (const char of pattern) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === '/' && depth === 0) {
+      if (current) parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current) parts.push(current);
+
+  if (depth !== 0) {
+    throw new Error(`Unbalanced parentheses in route path: ${pattern}`);
+  }
+  return parts;
+}
+
+/**
+ * 判断约束正则是否要求匹配斜杠：否定字符类（如 [^/]）之外出现的斜杠
+ * 路由树逐段匹配，请求的单个路径段中不会出现斜杠，这样的约束永远不会匹配
+ * @param {string} constraint - 约束正则
+ * @returns {boolean} - 是否包含斜杠
+ */
+function hasSlash(constraint) {
+  let negated = false;
+  let inClass = false;
+  for (let i = 0; i < constraint.length; i++) {
+    let char = constraint[i];
+    if (char === '\\') {
+      char = constraint[++i];
+    } else if (char === '[' && !inClass) {
+      inClass = true;
+      negated = constraint[i + 1] === '^';
+      continue;
+    } else if (char === ']' && inClass) {
+      inClass = false;
+      continue;
+    }
+    if (char === '/' && !(inClass && negated)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 解析单个路径段
+ * @param {string} raw - 原始段文本
+ * @param {string} pattern - 完整路径模式（用于错误信息）
+ * @returns {Object} - 段描述 { type, value?, name?, constraint? }
+ */
+function parseSegment(raw, pattern) {
+  if (raw === '*' || raw.startsWith('*')) {
+    return { type: 'wildcard', name: raw.slice(1) || '*' };
+  }
+
+  const paramMatch = raw.match(/^:([A-Za-z_$][\w$]*)(?:\((.+)\))?(\?)?$/);
+  if (paramMatch) {
+    const [, name, constraint, optional] = paramMatch;
+    if (constraint && hasSlash(constraint)) {
+      throw new Error(`Constraint of parameter "${name}" must not match "/" in route path: ${pattern}; use a wildcard (/*${name}) to match multiple segments`);
+    }
+    let type = 'param';
+    if (optional) {
+      type = 'optional';
+    } else if (constraint) {
+      type = 'constrained';
+    }
+    return { type, name, constraint: constraint || null };
+  }
+
+  if (raw.startsWith(':')) {
+    throw new Error(`Invalid parameter segment "${raw}" in route path: ${pattern}`);
+  }
+
+  return { type: 'static', value: raw };
+}
+
+/**
+ * 转义正则特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} - 转义后的文本
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 安全解码URI组件，非法编码时返回原值
+ * @param {string} value - 编码后的值
+ * @returns {string} - 解码后的值
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 编译路径模式
+ * @param {string} pattern - 路径模式，例如 /players/:id(\d+)/inventory/:slot?
+ * @returns {Object} - 编译后的匹配器 { pattern, segments, keys, score, regexp, match(path) }
+ */
+function compilePath(pattern) {
+  // 路径模式中的 ? 表示可选段，不能按查询串截断
+  const normalized = trimSlashes(String(pattern || '/'));
+  const segments = splitPattern(normalized).map(raw => parseSegment(raw, pattern));
+
+  const wildcardIndex = segments.findIndex(segment => segment.type === 'wildcard');
+  if (wildcardIndex !== -1 && wildcardIndex !== segments.length - 1) {
+    throw new Error(`Wildcard must be the last segment in route path: ${pattern}`);
+  }
+
+  // 使用命名捕获组，约束正则内部的分组不会打乱参数顺序
+  const keys = [];
+  let source = '^';
+  for (const segment of segments) {
+    const group = `p${keys.length}`;
+    switch (segment.type) {
+      case 'static':
+        source += `/${escapeRegExp(segment.value)}`;
+        break;
+      case 'param':
+      case 'constrained':
+        keys.push(segment.name);
+        source += `/(?<${group}>${segment.constraint || '[^/]+'})`;
+        break;
+      case 'optional':
+        keys.push(segment.name);
+        source += `(?:/(?<${group}>${segment.constraint || '[^/]+'}))?`;
+        break;
+      case 'wildcard':
+        keys.push(segment.name);
+        source += `(?:/(?<${group}>.*))?`;
+        break;
+      default:
+        break;
+    }
+  }
+  source += '/?$';
+
+  // 根路径没有任何段
+  if (segments.length === 0) {
+    source = '^/?$';
+  }
+
+  const wildcardName = wildcardIndex !== -1 ? segments[wildcardIndex].name : null;
+
+  let regexp;
+  try {
+    regexp = new RegExp(source);
+  } catch (error) {
+    throw new Error(`Invalid constraint in route path ${pattern}: ${error.message}`);
+  }
+
+  return {
+    pattern: normalized,
+    segments,
+    keys,
+    score: segments.map(segment => SEGMENT_WEIGHT[segment.type]),
+    regexp,
+    /**
+     * 匹配请求路径
+     * @param {string} path - 请求路径
+     * @returns {Object|null} - 匹配到的参数，未匹配返回null
+     */
+    match(path) {
+      const result = regexp.exec(normalizePath(path));
+      if (!result) return null;
+
+      const params = {};
+      const groups = result.groups || {};
+      keys.forEach((key, index) => {
+        const value = groups[`p${index}`];
+        if (value !== undefined) {
+          params[key] = safeDecode(value);
+        } else if (key === wildcardName) {
+          params[key] = '';
+        }
+      });
+      return params;
+    }
+  };
+}
+
+/**
+ * 比较两个匹配器的具体程度
+ * 逐段比较权重，权重高者更具体；前缀相同时段数少者更具体
+ * @param {Object} a - 匹配器A
+ * @param {Object} b - 匹配器B
+ * @returns {number} - 负数表示A更具体，正数表示B更具体，0表示相同
+ */
+function compareSpecificity(a, b) {
+  const length = Math.min(a.score.length, b.score.length);
+  for (let i = 0; i < length; i++) {
+    if (a.score[i] !== b.score[i]) {
+      return b.score[i] - a.score[i];
+    }
+  }
+  return a.score.length - b.score.length;
+}
+
+module.exports = {
+  compilePath,
+  compareSpecificity,
+  normalizePath,
+  safeDecode
+};
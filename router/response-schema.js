@@ -0,0 +1,139 @@
+// 响应字段过滤
+const { AppError } = require('./middlewares/error-handler');
+const { validate } = require('./validator');
+
+/**
+ * 响应字段过滤
+ * 根据路由 config.output 声明的输出 Schema 过滤处理函数的返回值，只保留声明的字段，
+ * 避免把密码哈希等内部字段返回给客户端。在 response-formatter 的 after 钩子包装之前执行。
+ * 开启严格模式（开发环境默认开启）时，返回值与 Schema 不符会抛出 500 的 ResponseValidationError。
+ */
+
+/**
+ * 响应校验错误
+ * errors 为字段级错误列表 [{ location, field, rule, message }]
+ */
+class ResponseValidationError extends AppError {
+  constructor(errors, message = 'Response validation failed') {
+    super(message, 500, { errors });
+    this.name = 'ResponseValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 判断是否为需要原样输出的响应体（字符串、Buffer、流）
+ * @param {any} body - 响应体
+ * @returns {boolean} - 是否原样输出
+ */
+function isRawBody(body) {
+  return typeof body === 'string'
+    || Buffer.isBuffer(body)
+    || (body !== null && typeof body === 'object' && typeof body.pipe === 'function');
+}
+
+/**
+ * 递归解析 toJSON，支持 Entity 的异步 toJSON
+ * @param {any} value - 原始值
+ * @returns {Promise<any>} - 可序列化的值
+ */
+async function resolveJSON(value) {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.toJSON === 'function') {
+    return resolveJSON(await value.toJSON());
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map(resolveJSON));
+  }
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    output[key] = await resolveJSON(item);
+  }
+  return output;
+}
+
+/**
+ * 按 Schema 过滤字段
+ * anyOf / oneOf 按第一个匹配的子 Schema 过滤；都不匹配时只保留任一子 Schema 声明的字段
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - 已解析的值
+ * @returns {any} - 过滤后的值
+ */
+function filterValue(schema, value) {
+  if (value === null || typeof value !== 'object' || !schema) {
+    return value;
+  }
+
+  const union = schema.anyOf || schema.oneOf;
+  if (union) {
+    const { anyOf, oneOf, ...rest } = schema;
+    const matched = union.find(sub => validate(sub, value).errors.length === 0);
+    if (Array.isArray(value)) {
+      return matched ? filterValue(matched, value) : value;
+    }
+    return filterValue({ ...rest, allOf: [...(rest.allOf || []), ...(matched ? [matched] : union)] }, value);
+  }
+
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => filterValue(schema.items, item)) : value;
+  }
+
+  // allOf 合并各子 Schema 声明的属性
+  let properties = schema.properties;
+  if (schema.allOf) {
+    properties = Object.assign({}, properties, ...schema.allOf.map(sub => sub.properties || {}));
+  }
+  if (!properties) {
+    return value;
+  }
+
+  const output = {};
+  for (const [name, item] of Object.entries(value)) {
+    if (properties[name]) {
+      output[name] = filterValue(properties[name], item);
+    } else if (schema.additionalProperties === true) {
+      output[name] = item;
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      output[name] = filterValue(schema.additionalProperties, item);
+    }
+  }
+  return output;
+}
+
+/**
+ * 按输出 Schema 处理响应数据
+ * 处理函数自行返回 { success, data } 格式时只处理 data 字段
+ * @param {any} body - 响应体
+ * @param {Object} schema - 输出 JSON Schema
+ * @param {Object} options - 可选项 { strict: 是否校验 }
+ * @returns {Promise<any>} - 处理后的响应体
+ * @throws {ResponseValidationError} - 严格模式下返回值与 Schema 不符
+ */
+async function applyOutputSchema(body, schema, options = {}) {
+  if (body == null || isRawBody(body)) {
+    return body;
+  }
+
+  const resolved = await resolveJSON(body);
+  const wrapped = resolved !== null && typeof resolved === 'object' && 'success' in resolved && 'data' in resolved;
+  const data = wrapped ? resolved.data : resolved;
+  const filtered = filterValue(schema, data);
+
+  if (options.strict) {
+    // Entity 的数字字段以字符串保存精度，校验时按声明的类型转换，输出保持原值
+    const { errors } = validate(schema, filtered, 'response');
+    if (errors.length > 0) {
+      throw new ResponseValidationError(errors);
+    }
+  }
+
+  return wrapped ? { ...resolved, data: filtered } : filtered;
+}
+
+module.exports = {
+  ResponseValidationError,
+  applyOutputSchema,
+  resolveJSON
+};
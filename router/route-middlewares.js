@@ -0,0 +1,109 @@
+// 路由级中间件
+/**
+ * 路由级中间件
+ * 路由通过 config.middlewares 按名称附加中间件，写成 { name, options } 时同时覆盖该中间件在此路由上的配置；
+ * 通过 config.skipMiddlewares 按名称跳过全局、级别或分组中间件。
+ * 中间件调用 getMiddlewareOptions(ctx, config) 读取合并了路由覆盖后的配置
+ */
+
+/**
+ * 获取中间件名称
+ * @param {Object} middleware - 中间件对象
+ * @returns {string} - 名称，优先使用 config.name，其次为加载时的文件名
+ */
+function getMiddlewareName(middleware) {
+  return middleware.config.name || middleware.fileName || '';
+}
+
+/**
+ * 规范化路由的 config.middlewares
+ * @param {Array<string|Object>} refs - 中间件名称或 { name, options }
+ * @returns {Array<Object>} - [{ name, options }]
+ * @throws {Error} - 格式错误
+ */
+function normalizeMiddlewareRefs(refs) {
+  if (refs === undefined || refs === null) {
+    return [];
+  }
+  if (!Array.isArray(refs)) {
+    throw new Error('Route config.middlewares must be an array');
+  }
+  return refs.map(ref => {
+    if (typeof ref === 'string') {
+      return { name: ref, options: null };
+    }
+    if (ref && typeof ref.name === 'string') {
+      return { name: ref.name, options: ref.options || null };
+    }
+    throw new Error(`Invalid middleware reference in route config: ${JSON.stringify(ref)}`);
+  });
+}
+
+/**
+ * 规范化路由的 config.skipMiddlewares
+ * @param {Array<string>} names - 中间件名称
+ * @returns {Array<string>} - 名称列表
+ * @throws {Error} - 格式错误
+ */
+function normalizeSkipList(names) {
+  if (names === undefined || names === null) {
+    return [];
+  }
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    throw new Error('Route config.skipMiddlewares must be an array of middleware names');
+  }
+  return names;
+}
+
+/**
+ * 判断是否为普通对象（对象字面量），存储实例、正则、数组等不递归合并
+ * @param {any} value - 值
+ * @returns {boolean} - 是否为普通对象
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * 深度合并配置：嵌套的普通对象逐层合并，其他值（包括数组）整体替换
+ * @param {Object} defaults - 默认配置
+ * @param {Object} overrides - 覆盖的配置
+ * @returns {Object} - 合并后的新对象，不修改默认配置
+ */
+function mergeOptions(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? mergeOptions(defaults[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * 读取中间件在当前路由上生效的配置：中间件的 config.options 深度合并路由 config.middlewares 中同名条目的 options，
+ * 例如只覆盖 logger 的 redact.fields 时仍保留默认的 redact.headers
+ * @param {Object} ctx - Koa上下文
+ * @param {Object} middlewareConfig - 中间件的 config
+ * @returns {Object} - 合并后的配置
+ */
+function getMiddlewareOptions(ctx, middlewareConfig) {
+  const defaults = middlewareConfig.options || {};
+  const routeConfig = ctx.state && ctx.state.routeConfig;
+  if (!routeConfig || !Array.isArray(routeConfig.middlewares)) {
+    return defaults;
+  }
+
+  const ref = routeConfig.middlewares.find(item => item && typeof item === 'object' && item.name === middlewareConfig.name);
+  return ref && ref.options ? mergeOptions(defaults, ref.options) : defaults;
+}
+
+module.exports = {
+  getMiddlewareName,
+  normalizeMiddlewareRefs,
+  normalizeSkipList,
+  mergeOptions,
+  getMiddlewareOptions
+};
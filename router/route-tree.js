@@ -0,0 +1,202 @@
+// 路由树
+const { compareSpecificity, normalizePath, safeDecode } = require('./path-matcher');
+
+/**
+ * 路由树
+ * 按路径段组织的前缀树，静态段用Map直接定位，参数段和通配符作为兜底分支。
+ * 可选段在插入时展开为"包含"和"省略"两条路径，查找时只需逐段下钻。
+ * 同一路径命中多个路由时，按匹配器的具体程度排序，具体程度相同时先插入的优先。
+ */
+class RouteTree {
+  constructor() {
+    this.root = this._createNode();
+    this.size = 0;
+  }
+
+  /**
+   * 插入路由
+   * @param {Object} matcher - compilePath生成的匹配器
+   * @param {string} method - HTTP方法
+   * @param {Object} route - 路由对象
+   */
+  insert(matcher, method, route) {
+    const entry = { matcher, route, method, order: this.size++ };
+
+    for (const variant of this._expandOptional(matcher.segments)) {
+      let node = this.root;
+
+      for (const segment of variant) {
+        node = this._getOrCreateChild(node, segment);
+      }
+
+      if (!node.endpoints.has(method)) {
+        node.endpoints.set(method, []);
+      }
+      node.endpoints.get(method).push(entry);
+    }
+  }
+
+  /**
+   * 查找路由
+   * @param {string} path - 请求路径
+   * @param {string} method - HTTP方法
+   * @returns {Object|null} - { route, matcher, params }，未匹配返回null
+   */
+  lookup(path, method) {
+    const normalized = normalizePath(path);
+    const parts = normalized === '/' ? [] : normalized.slice(1).split('/');
+    const candidates = [];
+
+    this._collect(this.root, parts, 0, [], method, candidates);
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => compareSpecificity(a.entry.matcher, b.entry.matcher) || a.entry.order - b.entry.order);
+
+    const best = candidates[0];
+    const params = {};
+    for (const [name, value] of best.captured) {
+      params[name] = value;
+    }
+    return { route: best.entry.route, matcher: best.entry.matcher, params };
+  }
+
+  /**
+   * 查找路径上注册的所有HTTP方法，用于生成 Allow 响应头和区分 404 / 405
+   * @param {string} path - 请求路径
+   * @returns {Array<string>} - 去重后的方法列表，路径不存在时为空数组
+   */
+  methods(path) {
+    const normalized = normalizePath(path);
+    const parts = normalized === '/' ? [] : normalized.slice(1).split('/');
+    const candidates = [];
+
+    this._collect(this.root, parts, 0, [], null, candidates);
+    return [...new Set(candidates.map(candidate => candidate.entry.method))];
+  }
+
+  /**
+   * 深度优先收集所有匹配的端点
+   * @param {Object} node - 当前节点
+   * @param {Array<string>} parts - 请求路径段
+   * @param {number} index - 当前段下标
+   * @param {Array} captured - 已捕获的参数 [name, value]
+   * @param {string|null} method - HTTP方法，null表示收集所有方法
+   * @param {Array} candidates - 收集结果
+   */
+  _collect(node, parts, index, captured, method, candidates) {
+    if (index === parts.length) {
+      const entries = this._getEndpoints(node, method);
+      for (const entry of entries) {
+        candidates.push({ entry, captured });
+      }
+    } else {
+      const part = parts[index];
+
+      const staticChild = node.static.get(part);
+      if (staticChild) {
+        this._collect(staticChild, parts, index + 1, captured, method, candidates);
+      }
+
+      for (const child of node.params) {
+        const value = safeDecode(part);
+        if (child.regexp && !child.regexp.test(value)) continue;
+        this._collect(child.node, parts, index + 1, [...captured, [child.name, value]], method, candidates);
+      }
+    }
+
+    // 通配符匹配剩余全部路径（可为空）
+    if (node.wildcard) {
+      const rest = parts.slice(index).map(safeDecode).join('/');
+      const entries = this._getEndpoints(node.wildcard, method);
+      for (const entry of entries) {
+        // 通配符名称取自各路由自身的最后一段，同一位置的 /* 和 /*rest 共享节点
+        const { name } = entry.matcher.segments[entry.matcher.segments.length - 1];
+        candidates.push({ entry, captured: [...captured, [name, rest]] });
+      }
+    }
+  }
+
+  /**
+   * 获取节点上指定方法的端点
+   * @param {Object} node - 节点
+   * @param {string|null} method - HTTP方法，null表示所有方法
+   * @returns {Array} - 端点列表
+   */
+  _getEndpoints(node, method) {
+    if (method === null) {
+      return [...node.endpoints.values()].flat();
+    }
+    return node.endpoints.get(method) || [];
+  }
+
+  /**
+   * 获取或创建子节点
+   * @param {Object} node - 父节点
+   * @param {Object} segment - 路径段描述
+   * @returns {Object} - 子节点
+   */
+  _getOrCreateChild(node, segment) {
+    if (segment.type === 'static') {
+      if (!node.static.has(segment.value)) {
+        node.static.set(segment.value, this._createNode());
+      }
+      return node.static.get(segment.value);
+    }
+
+    if (segment.type === 'wildcard') {
+      if (!node.wildcard) {
+        node.wildcard = this._createNode();
+      }
+      return node.wildcard;
+    }
+
+    // 参数段：名称和约束都相同的参数共享节点
+    let child = node.params.find(p => p.name === segment.name && p.constraint === segment.constraint);
+    if (!child) {
+      child = {
+        name: segment.name,
+        constraint: segment.constraint,
+        regexp: segment.constraint ? new RegExp(`^(?:${segment.constraint})$`) : null,
+        node: this._createNode()
+      };
+      node.params.push(child);
+    }
+    return child.node;
+  }
+
+  /**
+   * 展开可选段
+   * @param {Array} segments - 路径段列表
+   * @returns {Array<Array>} - 所有可能的段组合
+   */
+  _expandOptional(segments) {
+    let variants = [[]];
+    for (const segment of segments) {
+      if (segment.type === 'optional') {
+        const required = { ...segment, type: segment.constraint ? 'constrained' : 'param' };
+        variants = [
+          ...variants.map(v => [...v, required]),
+          ...variants
+        ];
+      } else {
+        variants = variants.map(v => [...v, segment]);
+      }
+    }
+    return variants;
+  }
+
+  /**
+   * 创建空节点
+   * @returns {Object} - 节点
+   */
+  _createNode() {
+    return {
+      static: new Map(),
+      params: [],
+      wildcard: null,
+      endpoints: new Map()
+    };
+  }
+}
+
+module.exports = RouteTree;
@@ -1,4 +1,33 @@
-const vm = require('vm');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { compilePath } = require('./path-matcher');
+const RouteTree = require('./route-tree');
+const { createRequestListener } = require('./server');
+const { SandboxViolation, resolvePolicy, createSandbox } = require('./sandbox');
+const { formatRouteTable } = require('./introspection');
+const { buildOpenAPIDocument } = require('./openapi');
+const { compileValidation, validateRequest } = require('./validator');
+const { applyOutputSchema } = require('./response-schema');
+const { toJSONSchema } = require('./schema');
+const { getRequirements, defaultPolicyResolver, authorize } = require('./authorization');
+const { runInTraceScope } = require('./tracing');
+const { defaultRegistry } = require('./metrics');
+const { getAllowedMethods, createFallbackRoute } = require('./dispatch');
+const { RouteGroup } = require('./group');
+const { getMiddlewareName, normalizeMiddlewareRefs, normalizeSkipList } = require('./route-middlewares');
+const { normalizeVersion, normalizeRouteVersions, createVersioningOptions, resolveVersion, appendVary, setDeprecationHeaders } = require('./versioning');
+const { SSEStream, prepareStreamBody } = require('./streaming');
+const { requireApiKey } = require('./middlewares/api-key');
+
+// 路由的安全级别
+const SECURITY_LEVELS = ['private', 'public', 'protected'];
+
+// 默认输出到 OpenAPI 文档的安全级别
+const PUBLISHED_LEVELS = ['public', 'protected'];
+
+// 中间件生命周期阶段，按执行顺序排列
+const MIDDLEWARE_PHASES = ['onRequest', 'handler', 'before', 'beforeHandler', 'after', 'onResponse', 'onError', 'onFinish'];
 
 class Router {
   constructor(options = {}) {
@@ -14,6 +43,28 @@ class Router {
       public: [],
       protected: []
     };
+    // 所有已注册的中间件（包括不属于任何级别、只供路由按名称附加的中间件）
+    this._registeredMiddlewares = [];
+    // 编译缓存：按安全级别和版本缓存路由树，按安全级别缓存组合后的中间件链
+    this._routeTrees = {};
+    this._composedCache = {};
+    this._routeComposedCache = new Map();
+    this._knownVersions = null;
+    // API版本：{ defaultVersion, prefix, header, resolver, deprecated }
+    this.versioning = createVersioningOptions(options.versioning);
+    // HTTP服务选项：安全级别解析器和请求体大小限制
+    this.levelResolver = options.levelResolver || null;
+    this.bodyLimit = options.bodyLimit || '1mb';
+    // 热重载：开发环境默认开启，监听通过文件加载的路由和中间件
+    this.hotReload = options.hotReload !== undefined ? options.hotReload : process.env.NODE_ENV === 'development';
+    this.hotReloadInterval = options.hotReloadInterval || 300;
+    this._watchers = new Map();
+    // 沙箱策略：{ default, private, public, protected, global }，global 用于中间件
+    this.sandbox = options.sandbox || {};
+    // 响应校验：开发环境默认开启，返回值与 config.output 不符时抛出错误
+    this.validateResponses = options.validateResponses !== undefined ? options.validateResponses : process.env.NODE_ENV === 'development';
+    // 授权策略解析器：返回当前用户的 { roles, permissions }，默认读取 ctx.state.user
+    this.policyResolver = options.policyResolver || defaultPolicyResolver;
   }
 
   /**
@@ -32,15 +83,36 @@ class Router {
    * @param {string} code - 路由代码文本
    * @param {string} fileName - 路由文件名
    * @param {string} securityLevel - 安全级别
+   * @param {Object} options - 可选项 { prefix: 文件名路径的URL前缀, filePath: 源文件路径 }
    * @returns {Object} - 加载的路由信息
    */
-  loadRouteCode(code, fileName, securityLevel) {
-    if (!['private', 'public', 'protected'].includes(securityLevel)) {
+  loadRouteCode(code, fileName, securityLevel, options = {}) {
+    if (!SECURITY_LEVELS.includes(securityLevel)) {
       throw new Error(`Invalid security level: ${securityLevel}`);
     }
 
+    const route = this._buildRoute(code, fileName, securityLevel, options);
+
+    this.routes[securityLevel].push(route);
+    this._invalidateCache();
+
+    if (this.hotReload && route.filePath) {
+      this._watchFile(route.filePath, 'route', route);
+    }
+    return route;
+  }
+
+  /**
+   * 从路由代码构建路由对象
+   * @param {string} code - 路由代码文本
+   * @param {string} fileName - 路由文件名
+   * @param {string} securityLevel - 安全级别
+   * @param {Object} options - 可选项 { prefix, filePath, middlewares }
+   * @returns {Object} - 路由对象
+   */
+  _buildRoute(code, fileName, securityLevel, options = {}) {
     // 提取路由配置和处理函数
-    const extracted = this._extractRoute(code, fileName);
+    const extracted = this._extractRoute(code, fileName, securityLevel);
     
     // 生成路由路径（支持多种匹配方式）
     const route = {
@@ -48,10 +120,18 @@ class Router {
       securityLevel,
       fileName: fileName,
       rawFileName: fileName,
-      camelCaseName: fileName.replace(/-([a-z])/g, (g) => g[1].toUpperCase())
+      camelCaseName: fileName.replace(/-([a-z])/g, (g) => g[1].toUpperCase()),
+      prefix: options.prefix || '',
+      filePath: options.filePath || null,
+      middlewares: options.middlewares || []
     };
-
-    this.routes[securityLevel].push(route);
+    route.matchers = this._buildRouteMatchers(route);
+    route.authorization = getRequirements(route.config);
+    route.validation = compileValidation(route.config.validate);
+    route.outputSchema = route.config.output !== undefined ? toJSONSchema(route.config.output) : null;
+    route.attachedMiddlewares = normalizeMiddlewareRefs(route.config.middlewares);
+    route.skipMiddlewares = normalizeSkipList(route.config.skipMiddlewares);
+    route.versions = normalizeRouteVersions(route.config.version);
     return route;
   }
 
@@ -60,10 +140,11 @@ class Router {
    * @param {Object} routeConfig - 路由配置
    * @param {Function} handler - 路由处理函数
    * @param {string} securityLevel - 安全级别
+   * @param {Object} options - 可选项 { middlewares: 只作用于该路由的中间件（由路由分组传入） }
    * @returns {Router} - 返回自身，支持链式调用
    */
-  register(routeConfig, handler, securityLevel = 'public') {
-    if (!['private', 'public', 'protected'].includes(securityLevel)) {
+  register(routeConfig, handler, securityLevel = 'public', options = {}) {
+    if (!SECURITY_LEVELS.includes(securityLevel)) {
       throw new Error(`Invalid security level: ${securityLevel}`);
     }
 
@@ -91,81 +172,238 @@ class Router {
       securityLevel,
       fileName: fileName,
       rawFileName: fileName,
-      camelCaseName: camelCaseName
+      camelCaseName: camelCaseName,
+      middlewares: options.middlewares || []
     };
+    route.matchers = this._buildRouteMatchers(route);
+    route.authorization = getRequirements(routeConfig);
+    route.validation = compileValidation(routeConfig.validate);
+    route.outputSchema = routeConfig.output !== undefined ? toJSONSchema(routeConfig.output) : null;
+    route.attachedMiddlewares = normalizeMiddlewareRefs(routeConfig.middlewares);
+    route.skipMiddlewares = normalizeSkipList(routeConfig.skipMiddlewares);
+    route.versions = normalizeRouteVersions(routeConfig.version);
 
     this.routes[securityLevel].push(route);
+    this._invalidateCache();
     return this;
   }
 
+  /**
+   * 创建路由分组，组内路由共享路径前缀、安全级别和中间件
+   * @param {Object} options - 分组选项 { prefix: 路径前缀, level: 安全级别，默认 public, middlewares: 分组中间件 }
+   * @param {Function} callback - 接收分组对象的回调，在其中调用 g.register / g.group
+   * @returns {RouteGroup} - 分组对象
+   */
+  group(options, callback) {
+    const group = new RouteGroup(this, options);
+    if (callback) {
+      callback(group);
+    }
+    return group;
+  }
+
   /**
    * 获取路由处理函数
    * @param {string} securityLevel - 安全级别
    * @param {string} path - 路径
    * @param {string} method - HTTP方法
+   * @param {string|null} version - API版本，null 时只匹配未声明版本的路由
    * @returns {Function|null} - 路由处理函数
    */
-  getRouteHandler(securityLevel, path, method) {
-    const levelRoutes = this.routes[securityLevel] || [];
-    
-    // 匹配路由：支持多种匹配方式
-    const route = levelRoutes.find(r => {
-      // 检查方法匹配
-      if (r.config.method !== method) {
-        return false;
-      }
-      
-      // 1. 精确匹配配置的path
-      if (r.config.path && r.config.path === path) {
-        return true;
-      }
-      
-      // 2. 基于文件名的匹配（兼容文件加载方式）
-      const possiblePaths = [
-        `/${r.fileName}`,           // 原始文件名路径
-        `/${r.camelCaseName}`       // 驼峰式文件名路径
-      ];
-      
-      // 检查是否匹配任何可能的路径
-      return possiblePaths.includes(path);
-    });
+  getRouteHandler(securityLevel, path, method, version = null) {
+    const matched = this._matchRoute(securityLevel, path, method, version);
+    if (!matched) return null;
 
-    if (!route) return null;
+    return this._createRouteHandler(matched.route, matched.params, securityLevel);
+  }
 
+  /**
+   * 解析请求：匹配路由，HEAD 回退到 GET 路由，未匹配时区分 OPTIONS、405 和 404
+   * @param {string|null} securityLevel - 安全级别
+   * @param {string} path - 路径
+   * @param {string} method - HTTP方法
+   * @param {string|null} version - API版本，null 时只匹配未声明版本的路由
+   * @returns {Object} - { type: 'route' | 'options' | 'method-not-allowed' | 'not-found', route, params, allowed, routePath }
+   */
+  resolve(securityLevel, path, method, version = null) {
+    if (!SECURITY_LEVELS.includes(securityLevel)) {
+      return { type: 'not-found', allowed: [], routePath: null };
+    }
+
+    const matched = this._matchRoute(securityLevel, path, method, version)
+      || (method === 'HEAD' ? this._matchRoute(securityLevel, path, 'GET', version) : null);
+    if (matched) {
+      return { type: 'route', route: matched.route, params: matched.params };
+    }
+
+    const methods = this._getRouteTree(securityLevel, version).methods(path);
+    if (methods.length === 0) {
+      return { type: 'not-found', allowed: [], routePath: null };
+    }
+
+    // 兜底路由使用路径上任一路由的规范路径，指标等按路由聚合时不会按原始路径展开
+    const { route } = this._matchRoute(securityLevel, path, methods[0], version);
+    return {
+      type: method === 'OPTIONS' ? 'options' : 'method-not-allowed',
+      allowed: getAllowedMethods(methods),
+      routePath: route.matchers[0].pattern
+    };
+  }
+
+  /**
+   * 获取路径允许的HTTP方法
+   * @param {string} securityLevel - 安全级别
+   * @param {string} path - 路径
+   * @param {string|null} version - API版本
+   * @returns {Array<string>} - 方法列表（含隐含的 HEAD 和 OPTIONS），路径不存在时为空数组
+   */
+  getAllowedMethods(securityLevel, path, version = null) {
+    if (!SECURITY_LEVELS.includes(securityLevel)) {
+      return [];
+    }
+    return getAllowedMethods(this._getRouteTree(securityLevel, version).methods(path));
+  }
+
+  /**
+   * 解析请求的API版本：依次读取 URL 前缀、版本请求头和自定义解析器，都没有时使用默认版本
+   * @param {Object} ctx - 上下文对象
+   * @returns {Object} - { version, path: 去掉版本前缀后用于匹配路由的路径, source }
+   */
+  resolveVersion(ctx) {
+    return resolveVersion(ctx, this.versioning, this._getKnownVersions());
+  }
+
+  /**
+   * 分发请求：统一的请求入口。匹配的路由执行完整生命周期；
+   * HEAD 请求没有对应路由时使用 GET 路由（响应体由 HTTP 服务省略）；
+   * 其余情况自动应答 OPTIONS，或返回带 Allow 响应头的 405、404，只执行全局中间件。
+   * 路由按请求的API版本匹配，版本写入 ctx.state.apiVersion
+   * @param {Object} ctx - 上下文对象
+   * @param {string|null} securityLevel - 安全级别，未解析出级别时为null
+   * @returns {Promise<Object>} - resolve 的返回值
+   */
+  async dispatch(ctx, securityLevel) {
+    const { version, path, source } = this.resolveVersion(ctx);
+    ctx.state = ctx.state || {};
+    ctx.state.apiVersion = version;
+    this._setVersionHeaders(ctx, version, source);
+
+    const resolved = this.resolve(securityLevel, path, ctx.method, version);
+
+    if (resolved.type === 'route') {
+      await this._createRouteHandler(resolved.route, resolved.params, securityLevel)(ctx);
+      return resolved;
+    }
+
+    ctx.state.routeConfig = {};
+    ctx.state.routePath = resolved.routePath;
+    ctx.state.securityLevel = resolved.type === 'not-found' ? null : securityLevel;
+
+    const route = createFallbackRoute(resolved);
+    await runInTraceScope(ctx.state, () => this._runLifecycle(ctx, route, 'global'));
+    return resolved;
+  }
+
+  /**
+   * 分发进入路由之前就失败的请求（如请求体过大或不是合法的JSON）：
+   * 与 404 / 405 相同，以兜底路由只执行全局中间件，错误经 onError 由 error-handler 格式化
+   * @param {Object} ctx - 上下文对象
+   * @param {Error} error - 错误对象，通常是带状态码的 AppError
+   * @returns {Promise<void>}
+   */
+  async dispatchError(ctx, error) {
+    const { version } = this.resolveVersion(ctx);
+    ctx.state = ctx.state || {};
+    ctx.state.apiVersion = version;
+    ctx.state.routeConfig = {};
+    ctx.state.routePath = null;
+    ctx.state.securityLevel = null;
+
+    const route = createFallbackRoute({ type: 'error', error, allowed: [], routePath: null });
+    await runInTraceScope(ctx.state, () => this._runLifecycle(ctx, route, 'global'));
+  }
+
+  /**
+   * 设置版本相关的响应头：版本不来自 URL 时响应随版本请求头变化，已弃用的版本附加弃用信息
+   * @param {Object} ctx - 上下文对象
+   * @param {string|null} version - 请求的版本
+   * @param {string|null} source - 版本来源
+   */
+  _setVersionHeaders(ctx, version, source) {
+    if (this._getKnownVersions().size === 0) {
+      return;
+    }
+    if (source !== 'prefix' && this.versioning.header) {
+      appendVary(ctx, this.versioning.header);
+    }
+    setDeprecationHeaders(ctx, version, this.versioning);
+  }
+
+  /**
+   * 创建路由处理函数
+   * @param {Object} route - 路由对象
+   * @param {Object} params - 路径参数
+   * @param {string} securityLevel - 安全级别
+   * @returns {Function} - 路由处理函数
+   */
+  _createRouteHandler(route, params, securityLevel) {
     // 创建完整的处理函数，包含中间件调用
     return async (ctx) => {
       // 初始化上下文状态
       ctx.state = ctx.state || {};
+      // 注入路径参数
+      ctx.params = { ...(ctx.params || {}), ...params };
+      // 暴露匹配到的路由配置、规范路径和安全级别，供中间件读取路由级配置（如 rateLimit、cache）
+      ctx.state.routeConfig = route.config;
+      ctx.state.routePath = route.matchers[0].pattern;
+      ctx.state.securityLevel = securityLevel;
+
+      // 在请求作用域中执行，工具和存储层可以通过 getTraceContext 读取当前请求的追踪信息
+      await runInTraceScope(ctx.state, () => this._runLifecycle(ctx, route, securityLevel));
+    };
+  }
+
+  /**
+   * 执行请求生命周期：中间件、授权、校验、路由处理函数和响应处理
+   * @param {Object} ctx - 上下文对象
+   * @param {Object} route - 匹配到的路由
+   * @param {string} securityLevel - 安全级别，global 表示只执行全局中间件
+   */
+  async _runLifecycle(ctx, route, securityLevel) {
+    const composed = this._getComposedMiddlewares(securityLevel, route);
+    // 中间件是否已经处理了请求：设置了错误状态码，或标记了 ctx.state.responded（如缓存命中）
+    const responded = () => (ctx.status && ctx.status >= 400) || ctx.state.responded;
+    
+    try {
+      // 引用了未注册的中间件时按普通错误处理，返回500
+      this._assertRouteMiddlewares(route);
+
+      // 执行请求生命周期
+      await composed.onRequest(ctx);
+      await composed.before(ctx);
       
-      const composed = this._composeMiddlewares(securityLevel);
-      
-      try {
-        // 执行请求生命周期
-        await composed.onRequest(ctx);
-        await composed.before(ctx);
-        
-        // 检查是否已经设置了状态码（中间件可能已经处理了请求）
-        if (ctx.status && ctx.status >= 400) {
-          // 中间件已经处理了请求，直接返回
-          // 执行响应生命周期
-          await composed.after(ctx);
-          await composed.onResponse(ctx);
-          
-          // 异步执行onFinish
-          process.nextTick(() => {
-            composed.onFinish(ctx).catch(console.error);
-          });
-          return;
+      if (!responded()) {
+        // 校验路由要求的API Key，不依赖 api-key 中间件是否在链中
+        if (route.config.apiKey) {
+          await requireApiKey(ctx, route.config.apiKey);
+        }
+
+        // 校验角色和权限，失败时抛出401/403错误进入onError
+        if (route.authorization) {
+          await authorize(ctx, route.authorization, this.policyResolver);
         }
         
-        // 执行业务路由
-        const result = await route.handler(ctx);
-        if (result !== undefined && !ctx.body) {
-          ctx.body = result;
+        // 校验请求参数，失败时抛出400错误进入onError
+        if (route.validation) {
+          validateRequest(ctx, route.validation);
         }
-        ctx.status = ctx.status || 200;
         
-        // 执行响应生命周期
+        // 授权和校验通过后、处理函数之前执行，缓存命中等依赖身份的短路在此阶段进行
+        await composed.beforeHandler(ctx);
+      }
+      
+      if (responded()) {
+        // 中间件已经处理了请求，直接执行响应生命周期
         await composed.after(ctx);
         await composed.onResponse(ctx);
         
@@ -173,36 +411,309 @@ class Router {
         process.nextTick(() => {
           composed.onFinish(ctx).catch(console.error);
         });
-      } catch (error) {
-        // 执行错误处理
-        const composed = this._composeMiddlewares(securityLevel);
-        await composed.onError(ctx, error);
-        
-        if (!ctx.body) {
-          ctx.status = error.status || 500;
-          ctx.body = { success: false, error: { message: error.message } };
+        return;
+      }
+      
+      // 执行业务路由，配置了 sse 的路由通过 ctx.sse 推送事件
+      if (route.config.sse) {
+        ctx.sse = new SSEStream(ctx, route.config.sse === true ? {} : route.config.sse);
+      }
+      const result = await route.handler(ctx);
+      if (ctx.sse) {
+        ctx.sse.open(result);
+      } else if (result !== undefined && !ctx.body) {
+        ctx.body = result;
+      }
+      ctx.status = ctx.status || 200;
+      // 返回异步迭代器或可读流时以流输出，中间件通过 ctx.state.streaming 识别
+      ctx.state.streaming = prepareStreamBody(ctx);
+      
+      // 按输出Schema过滤响应字段，在response-formatter包装之前执行
+      if (route.outputSchema && ctx.status < 400 && !ctx.state.streaming) {
+        const body = ctx.body;
+        // 校验失败时不输出未过滤的返回值
+        ctx.body = null;
+        ctx.body = await applyOutputSchema(body, route.outputSchema, { strict: this.validateResponses });
+      }
+      
+      // 执行响应生命周期
+      await composed.after(ctx);
+      await composed.onResponse(ctx);
+      
+      // 异步执行onFinish
+      process.nextTick(() => {
+        composed.onFinish(ctx).catch(console.error);
+      });
+    } catch (error) {
+      // 处理函数出错时SSE尚未开始输出，释放后按普通错误响应
+      if (ctx.sse) {
+        ctx.sse.close();
+      }
+      // 执行错误处理
+      await composed.onError(ctx, error);
+      
+      if (!ctx.body) {
+        ctx.status = error.status || 500;
+        ctx.body = { success: false, error: { message: error.message } };
+        if (Array.isArray(error.errors) && ctx.status < 500) {
+          ctx.body.error.errors = error.errors;
         }
-        
-        // 异步执行onFinish
-        process.nextTick(() => {
-          composed.onFinish(ctx).catch(console.error);
-        });
       }
-    };
+      
+      // 异步执行onFinish
+      process.nextTick(() => {
+        composed.onFinish(ctx).catch(console.error);
+      });
+    }
+  }
+
+  /**
+   * 匹配路由：在指定安全级别中查找最具体的匹配路由
+   * @param {string} securityLevel - 安全级别
+   * @param {string} path - 路径
+   * @param {string} method - HTTP方法
+   * @param {string|null} version - API版本
+   * @returns {Object|null} - { route, params }，未匹配返回null
+   */
+  _matchRoute(securityLevel, path, method, version = null) {
+    if (!this.routes[securityLevel]) return null;
+
+    const matched = this._getRouteTree(securityLevel, version).lookup(path, method);
+    return matched ? { route: matched.route, params: matched.params } : null;
+  }
+
+  /**
+   * 获取指定安全级别和版本的路由树，未编译时按注册顺序构建并缓存。
+   * 树中包含声明了该版本的路由和未声明版本的路由，同一路径上声明了版本的路由优先
+   * @param {string} securityLevel - 安全级别
+   * @param {string|null} version - API版本
+   * @returns {RouteTree} - 路由树
+   */
+  _getRouteTree(securityLevel, version = null) {
+    const key = version ? `${securityLevel} ${version}` : securityLevel;
+    if (!this._routeTrees[key]) {
+      const routes = this.routes[securityLevel];
+      const versioned = version ? routes.filter(route => route.versions && route.versions.includes(version)) : [];
+      const tree = new RouteTree();
+      for (const route of [...versioned, ...routes.filter(route => !route.versions)]) {
+        for (const matcher of route.matchers) {
+          tree.insert(matcher, route.config.method, route);
+        }
+      }
+      this._routeTrees[key] = tree;
+    }
+    return this._routeTrees[key];
+  }
+
+  /**
+   * 获取已知的API版本：路由声明的版本、默认版本和已弃用的版本
+   * @returns {Set<string>} - 版本集合
+   */
+  _getKnownVersions() {
+    if (!this._knownVersions) {
+      const versions = new Set(Object.keys(this.versioning.deprecated));
+      if (this.versioning.defaultVersion) {
+        versions.add(this.versioning.defaultVersion);
+      }
+      for (const securityLevel of SECURITY_LEVELS) {
+        for (const route of this.routes[securityLevel]) {
+          (route.versions || []).forEach(version => versions.add(version));
+        }
+      }
+      this._knownVersions = versions;
+    }
+    return this._knownVersions;
+  }
+
+  /**
+   * 获取组合后的中间件，未组合时组合并缓存。
+   * 带有路由级中间件（分组中间件、config.middlewares、config.skipMiddlewares）的路由单独组合，按路由缓存
+   * @param {string} securityLevel - 安全级别
+   * @param {Object} route - 路由对象，可选
+   * @returns {Object} - 包含各阶段中间件的执行函数
+   */
+  _getComposedMiddlewares(securityLevel, route = null) {
+    if (route && this._hasRouteMiddlewares(route)) {
+      if (!this._routeComposedCache.has(route)) {
+        this._routeComposedCache.set(route, this._composeMiddlewares(securityLevel, route));
+      }
+      return this._routeComposedCache.get(route);
+    }
+
+    if (!this._composedCache[securityLevel]) {
+      this._composedCache[securityLevel] = this._composeMiddlewares(securityLevel);
+    }
+    return this._composedCache[securityLevel];
+  }
+
+  /**
+   * 判断路由是否声明了路由级中间件
+   * @param {Object} route - 路由对象
+   * @returns {boolean} - 是否需要单独组合中间件链
+   */
+  _hasRouteMiddlewares(route) {
+    return Boolean((route.middlewares && route.middlewares.length)
+      || (route.attachedMiddlewares && route.attachedMiddlewares.length)
+      || (route.skipMiddlewares && route.skipMiddlewares.length));
+  }
+
+  /**
+   * 获取路由级中间件：分组中间件和 config.middlewares 按名称附加的中间件
+   * 未注册的名称在此处忽略，由 _assertRouteMiddlewares 在请求时报告，路由清单和 OpenAPI 文档不受影响
+   * @param {Object} route - 路由对象
+   * @returns {Array} - 中间件列表
+   */
+  _getRouteMiddlewares(route) {
+    const attached = (route.attachedMiddlewares || [])
+      .map(({ name }) => this._registeredMiddlewares.find(mw => getMiddlewareName(mw) === name))
+      .filter(Boolean);
+    return [...(route.middlewares || []), ...attached];
+  }
+
+  /**
+   * 检查路由 config.middlewares 引用的中间件是否都已注册。
+   * 路由可以先于中间件注册，因此在请求时而不是注册时检查
+   * @param {Object} route - 路由对象
+   * @throws {Error} - config.middlewares 引用了未注册的中间件
+   */
+  _assertRouteMiddlewares(route) {
+    for (const { name } of route.attachedMiddlewares || []) {
+      if (!this._registeredMiddlewares.some(mw => getMiddlewareName(mw) === name)) {
+        throw new Error(`Unknown middleware "${name}" in route config of ${route.config.method} ${route.matchers[0].pattern}`);
+      }
+    }
+  }
+
+  /**
+   * 使编译缓存失效，路由或中间件变化时调用
+   */
+  _invalidateCache() {
+    this._routeTrees = {};
+    this._composedCache = {};
+    this._routeComposedCache = new Map();
+    this._knownVersions = null;
+  }
+
+  /**
+   * 构建路由的路径匹配器
+   * 依次为：配置的path、原始文件名路径、驼峰式文件名路径（兼容文件加载方式）
+   * @param {Object} route - 路由对象
+   * @returns {Array} - 去重后的匹配器列表
+   */
+  _buildRouteMatchers(route) {
+    const patterns = [];
+    if (route.config.path) {
+      patterns.push(route.config.path);
+    }
+    const prefix = route.prefix || '';
+    patterns.push(`${prefix}/${route.fileName}`, `${prefix}/${route.camelCaseName}`);
+    // 目录下的index文件同时响应目录路径
+    if (route.fileName === 'index' && route.filePath) {
+      patterns.push(prefix || '/');
+    }
+
+    const matchers = [];
+    for (const pattern of patterns) {
+      const matcher = compilePath(pattern);
+      if (!matchers.some(m => m.pattern === matcher.pattern)) {
+        matchers.push(matcher);
+      }
+    }
+    return matchers;
   }
 
   /**
    * 加载中间件代码
    * @param {string} code - 中间件代码文本
    * @param {string} fileName - 中间件文件名
+   * @param {Object} options - 可选项 { filePath: 源文件路径 }
    * @returns {Object} - 中间件对象
    */
-  loadMiddlewareCode(code, fileName) {
+  loadMiddlewareCode(code, fileName, options = {}) {
     const middlewareObj = this._extractMiddleware(code, fileName);
+    middlewareObj.fileName = fileName;
+    middlewareObj.filePath = options.filePath || null;
     this._registerMiddleware(middlewareObj);
+
+    if (this.hotReload && middlewareObj.filePath) {
+      this._watchFile(middlewareObj.filePath, 'middleware', middlewareObj);
+    }
     return middlewareObj;
   }
 
+  /**
+   * 加载目录中的路由和中间件
+   * 目录结构：
+   *   rootDir/middlewares/  中间件文件，通过 loadMiddlewareCode 加载
+   *   rootDir/private/      private 级别路由
+   *   rootDir/public/       public 级别路由
+   *   rootDir/protected/    protected 级别路由
+   * 安全级别目录下的子目录映射为URL前缀，例如 public/players/inventory.js -> /players/inventory
+   * 单个文件加载失败不会中断整个目录的加载，错误会记录在返回的 errors 中
+   * @param {string} rootDir - 根目录
+   * @returns {Object} - { routes, middlewares, errors: [{ file, error }] }
+   */
+  loadDirectory(rootDir) {
+    const result = { routes: [], middlewares: [], errors: [] };
+
+    for (const filePath of this._listCodeFiles(path.join(rootDir, 'middlewares'))) {
+      try {
+        const code = fs.readFileSync(filePath, 'utf8');
+        const fileName = path.basename(filePath, '.js');
+        result.middlewares.push(this.loadMiddlewareCode(code, fileName, { filePath }));
+      } catch (error) {
+        result.errors.push({ file: filePath, error: error.message });
+      }
+    }
+
+    for (const securityLevel of SECURITY_LEVELS) {
+      const levelDir = path.join(rootDir, securityLevel);
+
+      for (const filePath of this._listCodeFiles(levelDir)) {
+        try {
+          const code = fs.readFileSync(filePath, 'utf8');
+          const fileName = path.basename(filePath, '.js');
+          const prefix = path.relative(levelDir, path.dirname(filePath))
+            .split(path.sep)
+            .filter(Boolean)
+            .map(dir => `/${dir}`)
+            .join('');
+          result.routes.push(this.loadRouteCode(code, fileName, securityLevel, { prefix, filePath }));
+        } catch (error) {
+          result.errors.push({ file: filePath, error: error.message });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 递归列出目录中的代码文件（跳过以 . 开头的文件和目录）
+   * @param {string} dir - 目录
+   * @returns {Array<string>} - 按路径排序的文件列表，目录不存在时返回空数组
+   */
+  _listCodeFiles(dir) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      return [];
+    }
+
+    const files = [];
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this._listCodeFiles(fullPath));
+      } else if (entry.isFile() && entry.name.endsWith('.js')) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
   /**
    * 提取中间件配置和处理函数
    * @param {string} code - 中间件代码
@@ -210,15 +721,7 @@ class Router {
    * @returns {Object} - 中间件对象
    */
   _extractMiddleware(code, fileName) {
-    const sandbox = {
-      console,
-      setTimeout,
-      setInterval,
-      clearTimeout,
-      clearInterval,
-      Buffer,
-      ...this.tools
-    };
+    const sandbox = createSandbox(this.tools, this._getSandboxPolicy('global'));
 
     const fullCode = `
       (function() {
@@ -229,6 +732,7 @@ class Router {
         if (typeof config !== 'undefined') extracted.config = config;
         if (typeof handler !== 'undefined') extracted.handler = handler;
         if (typeof before !== 'undefined') extracted.before = before;
+        if (typeof beforeHandler !== 'undefined') extracted.beforeHandler = beforeHandler;
         if (typeof after !== 'undefined') extracted.after = after;
         if (typeof onRequest !== 'undefined') extracted.onRequest = onRequest;
         if (typeof onResponse !== 'undefined') extracted.onResponse = onResponse;
@@ -239,25 +743,27 @@ class Router {
       })()`;
 
     try {
-      const script = new vm.Script(fullCode);
-      const extracted = script.runInNewContext(sandbox);
+      const extracted = sandbox.run(fullCode);
       
       if (!extracted.config) {
         throw new Error('Middleware config not found');
       }
+      if (Array.isArray(extracted.config.tools)) {
+        sandbox.restrictTools(extracted.config.tools);
+      }
       
-      // 自动包装async
-      return {
-        ...extracted,
-        handler: this._wrapAsync(extracted.handler),
-        before: this._wrapAsync(extracted.before),
-        after: this._wrapAsync(extracted.after),
-        onRequest: this._wrapAsync(extracted.onRequest),
-        onResponse: this._wrapAsync(extracted.onResponse),
-        onError: this._wrapAsync(extracted.onError),
-        onFinish: this._wrapAsync(extracted.onFinish)
-      };
+      // 自动包装async，每次调用都受沙箱超时限制；只保留代码中定义的阶段，便于组合和自省
+      const middleware = { ...extracted };
+      for (const phase of MIDDLEWARE_PHASES) {
+        if (typeof extracted[phase] === 'function') {
+          middleware[phase] = this._wrapAsync(sandbox.guard(extracted[phase]));
+        }
+      }
+      return middleware;
     } catch (error) {
+      if (error instanceof SandboxViolation) {
+        throw error;
+      }
       throw new Error(`Failed to extract middleware: ${error.message}`);
     }
   }
@@ -267,39 +773,166 @@ class Router {
    * @param {Object} middleware - 中间件对象
    */
   _registerMiddleware(middleware) {
+    this._applyMiddlewareDefaults(middleware);
+    this._registeredMiddlewares.push(middleware);
+
+    // 注册到指定级别
+    middleware.config.level.forEach(level => {
+      if (this.middlewares[level]) {
+        this.middlewares[level].push(middleware);
+      }
+    });
+    this._invalidateCache();
+  }
+
+  /**
+   * 校验中间件并设置默认配置
+   * @param {Object} middleware - 中间件对象
+   */
+  _applyMiddlewareDefaults(middleware) {
     if (!middleware.config) {
       throw new Error('Middleware config not found');
     }
 
-    // 设置默认配置
     middleware.config.level = middleware.config.level || ['global'];
     middleware.config.order = middleware.config.order || 0;
     middleware.config.enabled = middleware.config.enabled !== false;
+  }
 
-    // 注册到指定级别
-    middleware.config.level.forEach(level => {
-      if (this.middlewares[level]) {
-        this.middlewares[level].push(middleware);
+  /**
+   * 监听已加载的源文件，文件变化时重新加载
+   * @param {string} filePath - 源文件路径
+   * @param {string} type - 类型：route 或 middleware
+   * @param {Object} current - 当前生效的路由或中间件对象
+   */
+  _watchFile(filePath, type, current) {
+    this._unwatchFile(filePath);
+
+    const listener = (curr, prev) => {
+      if (curr.mtimeMs !== prev.mtimeMs) {
+        this.reloadFile(filePath);
       }
-    });
+    };
+    // persistent: false，监听本身不会阻止进程退出
+    fs.watchFile(filePath, { interval: this.hotReloadInterval, persistent: false }, listener);
+    this._watchers.set(filePath, { type, current, listener });
+  }
+
+  /**
+   * 取消对源文件的监听
+   * @param {string} filePath - 源文件路径
+   */
+  _unwatchFile(filePath) {
+    const watcher = this._watchers.get(filePath);
+    if (watcher) {
+      fs.unwatchFile(filePath, watcher.listener);
+      this._watchers.delete(filePath);
+    }
+  }
+
+  /**
+   * 重新加载已监听的源文件
+   * 在新的vm上下文中重新编译，编译成功后原子替换路由表或中间件表中的条目；
+   * 已经开始处理的请求持有旧版本的引用，会在旧版本上执行完毕。
+   * 编译失败时保留旧版本。
+   * @param {string} filePath - 源文件路径
+   * @returns {boolean} - 是否重新加载成功
+   */
+  reloadFile(filePath) {
+    const watcher = this._watchers.get(filePath);
+    if (!watcher) {
+      return false;
+    }
+
+    const previous = watcher.current;
+    try {
+      const code = fs.readFileSync(filePath, 'utf8');
+
+      if (watcher.type === 'route') {
+        const next = this._buildRoute(code, previous.fileName, previous.securityLevel, {
+          prefix: previous.prefix,
+          filePath,
+          middlewares: previous.middlewares
+        });
+        const levelRoutes = this.routes[previous.securityLevel];
+        const index = levelRoutes.indexOf(previous);
+        if (index === -1) {
+          return false;
+        }
+        levelRoutes[index] = next;
+        watcher.current = next;
+      } else {
+        const next = this._extractMiddleware(code, previous.fileName);
+        next.fileName = previous.fileName;
+        next.filePath = filePath;
+        this._applyMiddlewareDefaults(next);
+        this._replaceMiddleware(previous, next);
+        watcher.current = next;
+      }
+
+      this._invalidateCache();
+      console.log(`[HotReload] Reloaded ${watcher.type}: ${filePath}`);
+      return true;
+    } catch (error) {
+      console.error(`[HotReload] Failed to reload ${filePath}, keeping previous version: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 在中间件表中用新版本替换旧版本，级别变化时同步增删
+   * @param {Object} previous - 旧中间件对象
+   * @param {Object} next - 新中间件对象
+   */
+  _replaceMiddleware(previous, next) {
+    const registeredIndex = this._registeredMiddlewares.indexOf(previous);
+    if (registeredIndex !== -1) {
+      this._registeredMiddlewares[registeredIndex] = next;
+    }
+
+    for (const [level, list] of Object.entries(this.middlewares)) {
+      const index = list.indexOf(previous);
+      const wanted = next.config.level.includes(level);
+
+      if (index !== -1 && wanted) {
+        list[index] = next;
+      } else if (index !== -1) {
+        list.splice(index, 1);
+      } else if (wanted) {
+        list.push(next);
+      }
+    }
+  }
+
+  /**
+   * 停止监听所有源文件
+   * @returns {Router} - 返回自身，支持链式调用
+   */
+  stopWatching() {
+    for (const filePath of [...this._watchers.keys()]) {
+      this._unwatchFile(filePath);
+    }
+    return this;
+  }
+
+  /**
+   * 获取安全级别的沙箱策略
+   * @param {string} level - 安全级别，中间件使用 global
+   * @returns {Object} - 合并默认值后的策略
+   */
+  _getSandboxPolicy(level) {
+    return resolvePolicy(this.sandbox.default, this.sandbox[level]);
   }
 
   /**
    * 提取路由配置和处理函数
    * @param {string} code - 路由代码
    * @param {string} fileName - 文件名
+   * @param {string} securityLevel - 安全级别，决定使用的沙箱策略
    * @returns {Object} - 路由对象
    */
-  _extractRoute(code, fileName) {
-    const sandbox = {
-      console,
-      setTimeout,
-      setInterval,
-      clearTimeout,
-      clearInterval,
-      Buffer,
-      ...this.tools
-    };
+  _extractRoute(code, fileName, securityLevel) {
+    const sandbox = createSandbox(this.tools, this._getSandboxPolicy(securityLevel));
 
     // 将文件名转换为有效的函数名
     const safeFileName = fileName.replace(/[^a-zA-Z0-9_]/g, '_');
@@ -351,8 +984,7 @@ class Router {
       })()`;
 
     try {
-      const script = new vm.Script(fullCode);
-      const extracted = script.runInNewContext(sandbox);
+      const extracted = sandbox.run(fullCode);
       
       if (!extracted.config) {
         throw new Error('Route config not found');
@@ -360,12 +992,19 @@ class Router {
       if (!extracted.handler || typeof extracted.handler !== 'function') {
         throw new Error(`Handler function not found: ${fileName}`);
       }
+      // 路由级工具白名单，与安全级别策略取交集
+      if (Array.isArray(extracted.config.tools)) {
+        sandbox.restrictTools(extracted.config.tools);
+      }
       
-      // 自动包装async
-      extracted.handler = this._wrapAsync(extracted.handler);
+      // 自动包装async，每次调用都受沙箱超时限制
+      extracted.handler = this._wrapAsync(sandbox.guard(extracted.handler));
       
       return extracted;
     } catch (error) {
+      if (error instanceof SandboxViolation) {
+        throw error;
+      }
       throw new Error(`Failed to extract route: ${error.message}`);
     }
   }
@@ -387,23 +1026,18 @@ class Router {
   /**
    * 组合中间件
    * @param {string} securityLevel - 安全级别
+   * @param {Object} route - 路由对象，可选，用于合并路由级中间件
    * @returns {Object} - 包含各阶段中间件的执行函数
    */
-  _composeMiddlewares(securityLevel) {
-    const levelMiddlewares = this.middlewares[securityLevel] || [];
-    const globalMiddlewares = this.middlewares.global || [];
-    
-    // 合并并过滤启用的中间件
-    const allMiddlewares = [...globalMiddlewares, ...levelMiddlewares]
-      .filter(mw => mw.config.enabled);
-
-    // 按order排序
-    const sorted = this._sortMiddlewares(allMiddlewares);
+  _composeMiddlewares(securityLevel, route = null) {
+    const sorted = this._getActiveMiddlewares(securityLevel, route);
 
     // 分离各阶段中间件
     const onRequestMiddlewares = sorted.filter(mw => mw.onRequest);
     const beforeMiddlewares = sorted.filter(mw => mw.before || mw.handler);
-    const afterMiddlewares = sorted.filter(mw => mw.after);
+    const beforeHandlerMiddlewares = sorted.filter(mw => mw.beforeHandler);
+    // after中间件倒序执行，组合结果会被缓存复用，因此在此处一次性倒序
+    const afterMiddlewares = sorted.filter(mw => mw.after).reverse();
     const onResponseMiddlewares = sorted.filter(mw => mw.onResponse);
     const onErrorMiddlewares = sorted.filter(mw => mw.onError);
     const onFinishMiddlewares = sorted.filter(mw => mw.onFinish);
@@ -433,9 +1067,17 @@ class Router {
         }
       },
 
+      async beforeHandler(ctx) {
+        for (const mw of beforeHandlerMiddlewares) {
+          if (!router._shouldExclude(mw, ctx)) {
+            await mw.beforeHandler(ctx);
+          }
+        }
+      },
+
       async after(ctx) {
         // 倒序执行after中间件
-        for (const mw of afterMiddlewares.reverse()) {
+        for (const mw of afterMiddlewares) {
           if (!router._shouldExclude(mw, ctx)) {
             await mw.after(ctx);
           }
@@ -468,6 +1110,27 @@ class Router {
     };
   }
 
+  /**
+   * 获取生效的中间件（全局、级别和路由级中间件合并、去重、过滤路由跳过的中间件并排序）
+   * config.enabled 不在此处过滤：组合结果会被缓存，启用状态由 _shouldExclude 在执行时检查
+   * @param {string} securityLevel - 安全级别
+   * @param {Object} route - 路由对象，可选
+   * @returns {Array} - 排序后的中间件列表
+   */
+  _getActiveMiddlewares(securityLevel, route = null) {
+    const levelMiddlewares = securityLevel === 'global' ? [] : this.middlewares[securityLevel] || [];
+    const globalMiddlewares = this.middlewares.global || [];
+    const routeMiddlewares = route ? this._getRouteMiddlewares(route) : [];
+    const skipped = (route && route.skipMiddlewares) || [];
+    
+    // 合并并过滤路由跳过的中间件，同一个中间件同时注册在多处时只执行一次
+    const allMiddlewares = [...new Set([...globalMiddlewares, ...levelMiddlewares, ...routeMiddlewares])]
+      .filter(mw => !skipped.includes(getMiddlewareName(mw)));
+
+    // 按order排序
+    return this._sortMiddlewares(allMiddlewares);
+  }
+
   /**
    * 中间件排序
    * @param {Array} middlewares - 中间件列表
@@ -494,12 +1157,15 @@ class Router {
   }
 
   /**
-   * 检查是否排除中间件
+   * 检查是否排除中间件：已禁用（运行时修改 config.enabled 立即生效）或请求路径在 exclude 中
    * @param {Object} middleware - 中间件对象
    * @param {Object} ctx - Koa上下文
    * @returns {boolean} - 是否排除
    */
   _shouldExclude(middleware, ctx) {
+    if (middleware.config.enabled === false) {
+      return true;
+    }
     const exclude = middleware.config.exclude || [];
     return exclude.some(path => {
       if (typeof path === 'string') {
@@ -512,6 +1178,113 @@ class Router {
     });
   }
 
+  /**
+   * 获取Node http请求监听函数
+   * @param {Object} options - 选项 { levelResolver, bodyLimit }，默认使用构造函数中的配置
+   * @returns {Function} - (req, res) => Promise
+   */
+  callback(options = {}) {
+    return createRequestListener(this, {
+      levelResolver: this.levelResolver,
+      bodyLimit: this.bodyLimit,
+      ...options
+    });
+  }
+
+  /**
+   * 创建http服务器并开始监听，参数与 http.Server#listen 相同
+   * @param {...any} args - 端口、主机、回调等
+   * @returns {http.Server} - http服务器
+   */
+  listen(...args) {
+    const server = http.createServer(this.callback());
+    return server.listen(...args);
+  }
+
+  /**
+   * 生成路由清单
+   * 每个路由包含方法、规范路径、别名、安全级别、API版本、来源文件、路由配置，以及按执行顺序排列、经过 exclude 过滤的中间件链
+   * @param {Object} options - 可选项 { level: 只描述指定安全级别 }
+   * @returns {Array<Object>} - 路由清单
+   */
+  describe(options = {}) {
+    const levels = options.level ? [options.level] : SECURITY_LEVELS;
+    const manifest = [];
+
+    for (const securityLevel of levels) {
+      for (const route of this.routes[securityLevel] || []) {
+        const chain = this._getActiveMiddlewares(securityLevel, route);
+        const [canonical, ...aliases] = route.matchers.map(matcher => matcher.pattern);
+        const middlewares = chain
+          .filter(mw => !this._shouldExclude(mw, { path: canonical }))
+          .map(mw => ({
+            name: mw.config.name || mw.fileName || 'anonymous',
+            order: mw.config.order,
+            level: mw.config.level,
+            phases: MIDDLEWARE_PHASES.filter(phase => typeof mw[phase] === 'function')
+          }));
+
+        manifest.push({
+          method: route.config.method,
+          path: canonical,
+          aliases,
+          params: route.matchers[0].keys,
+          securityLevel,
+          versions: route.versions,
+          fileName: route.rawFileName,
+          source: route.filePath || null,
+          config: route.config,
+          middlewares
+        });
+      }
+    }
+
+    return manifest;
+  }
+
+  /**
+   * 打印路由表，用于在启动日志中审计对外暴露的接口
+   * @param {Object} options - 可选项 { level, columns, log: 输出函数，默认 console.log }
+   * @returns {string} - 表格文本
+   */
+  printRoutes(options = {}) {
+    const table = formatRouteTable(this.describe(options), options);
+    (options.log || console.log)(table);
+    return table;
+  }
+
+  /**
+   * 生成 OpenAPI 3.1 文档
+   * 声明了版本的路由默认输出到带版本前缀的路径，指定 apiVersion 时生成单个版本的文档；
+   * private 路由（如 /metrics）只对本机开放，默认不输出，需要通过 levels 或 level 明确指定
+   * @param {Object} options - 可选项 { title, version, description, servers, levels: 包含的安全级别，默认 ['public', 'protected'], level: 只包含指定安全级别, apiVersion: 只包含指定API版本 }
+   * @returns {Object} - OpenAPI 文档
+   */
+  toOpenAPI(options = {}) {
+    const levels = options.levels || (options.level ? [options.level] : PUBLISHED_LEVELS);
+    const manifest = this.describe().filter(entry => levels.includes(entry.securityLevel));
+    return buildOpenAPIDocument(manifest, {
+      ...options,
+      apiVersion: normalizeVersion(options.apiVersion),
+      versionPrefix: this.versioning.prefix,
+      deprecatedVersions: Object.keys(this.versioning.deprecated)
+    });
+  }
+
+  /**
+   * 注册 Prometheus 指标路由
+   * @param {Object} options - 可选项 { path: 路由路径，默认 /metrics, level: 安全级别，默认 private, registry: 指标注册表 }
+   * @returns {Router} - 返回自身，支持链式调用
+   */
+  exposeMetrics(options = {}) {
+    const { path: metricsPath = '/metrics', level = 'private', registry = defaultRegistry } = options;
+    return this.register({ method: 'GET', path: metricsPath, summary: 'Prometheus metrics' }, async (ctx) => {
+      ctx.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      // 以Buffer返回，response-formatter原样输出
+      return Buffer.from(registry.render());
+    }, level);
+  }
+
   /**
    * 获取所有路由
    * @returns {Object} - 路由列表
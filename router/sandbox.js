@@ -0,0 +1,448 @@
+// 路由沙箱
+const vm = require('vm');
+const util = require('util');
+
+/**
+ * 路由沙箱
+ * 为通过代码加载的路由和中间件创建受限的vm上下文：
+ * - CPU超时：路由代码的顶层执行和每次函数调用的同步部分受 timeout 限制
+ * - 工具白名单：只有允许的工具可以在沙箱中访问
+ * - 只读工具：工具对象以只读代理的形式暴露，路由无法修改共享状态，工具自身的方法调用不受影响
+ * - 隔离宿主：宿主对象（工具、ctx 等调用参数、返回值和抛出的错误）只以代理进入沙箱，沙箱中的值以代理交给宿主，
+ *   无法通过 constructor、__proto__、prototype 取得宿主的 Function 构造函数，沙箱中只有 vm 上下文自身的内置对象
+ */
+
+// 默认沙箱策略
+const DEFAULT_SANDBOX_POLICY = {
+  timeout: 1000, // 同步执行的CPU超时（毫秒），0表示不限制
+  tools: '*', // 允许访问的工具：'*' 表示全部，或工具名数组
+  freezeTools: true, // 是否以只读代理暴露工具
+  timers: true // 是否允许使用 setTimeout / setInterval
+};
+
+// 只读代理上禁止访问的属性，通过它们可以取得宿主的原型对象和 Function 构造函数
+const BLOCKED_PROPERTIES = ['constructor', '__proto__', 'prototype'];
+
+/**
+ * 沙箱违规错误
+ * type 取值：timeout（执行超时）、tool（访问未授权的工具）、mutation（修改只读工具）、access（访问宿主的构造函数或原型）
+ */
+class SandboxViolation extends Error {
+  constructor(message, type, details = {}) {
+    super(message);
+    this.name = 'SandboxViolation';
+    this.type = type;
+    this.status = 500;
+    this.statusCode = 500;
+    this.details = details;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * 合并沙箱策略
+ * @param {...Object} policies - 依次覆盖的策略
+ * @returns {Object} - 合并后的策略
+ */
+function resolvePolicy(...policies) {
+  return Object.assign({}, DEFAULT_SANDBOX_POLICY, ...policies.filter(Boolean));
+}
+
+/**
+ * 创建代理的目标对象
+ * 代理不直接以原始对象为目标，避免 Proxy 不变式要求不可配置的属性（如类的 prototype）原样返回；
+ * 函数使用绑定函数（没有 prototype 属性，可以被 new 调用），数组使用空数组以保持 Array.isArray 的结果
+ * @param {Object|Function} value - 原始对象
+ * @returns {Object|Function} - 目标对象
+ */
+function createShadow(value) {
+  if (typeof value === 'function') {
+    return function shadow() {}.bind(null);
+  }
+  return Array.isArray(value) ? [] : {};
+}
+
+/**
+ * 生成代理描述符：目标对象上不可配置的属性（数组的 length）必须如实报告为不可配置，其他属性报告为可配置
+ * @param {Object} shadow - 代理的目标对象
+ * @param {Object|Function} value - 原始对象
+ * @param {string|symbol} prop - 属性名
+ * @param {Function} wrap - 转换属性值和访问器的函数
+ * @returns {Object|undefined} - 属性描述符
+ */
+function describeProperty(shadow, value, prop, wrap) {
+  const descriptor = Reflect.getOwnPropertyDescriptor(value, prop);
+  if (!descriptor) {
+    return undefined;
+  }
+  if (!('value' in descriptor)) {
+    return { get: wrap(descriptor.get), set: wrap(descriptor.set), enumerable: descriptor.enumerable, configurable: true };
+  }
+  const shadowDescriptor = Reflect.getOwnPropertyDescriptor(shadow, prop);
+  const fixed = Boolean(shadowDescriptor && !shadowDescriptor.configurable);
+  return {
+    value: wrap(descriptor.value),
+    writable: fixed || descriptor.writable,
+    enumerable: descriptor.enumerable,
+    configurable: !fixed
+  };
+}
+
+/**
+ * 为代理处理器的每个陷阱转换抛出的错误，错误对象不会未经代理穿过边界
+ * @param {Object} handler - 代理处理器
+ * @param {Function} convert - 错误转换函数
+ * @returns {Object} - 包装后的处理器
+ */
+function convertErrors(handler, convert) {
+  const wrapped = {};
+  for (const [trap, fn] of Object.entries(handler)) {
+    wrapped[trap] = (...args) => {
+      try {
+        return fn(...args);
+      } catch (error) {
+        throw convert(error);
+      }
+    };
+  }
+  return wrapped;
+}
+
+/**
+ * 生成沙箱中的值的快照，用于日志输出
+ * @param {Object|Function} proxy - 沙箱中的值在宿主中的代理
+ * @returns {any} - 快照：函数为名称，错误为堆栈，其他对象为 JSON 结果
+ */
+function snapshot(proxy) {
+  try {
+    if (typeof proxy === 'function') {
+      return `[Function: ${proxy.name || 'anonymous'}]`;
+    }
+    if (typeof proxy.stack === 'string') {
+      return proxy.stack;
+    }
+    const json = JSON.stringify(proxy);
+    return json === undefined ? String(proxy) : JSON.parse(json);
+  } catch (error) {
+    return '[Unserializable]';
+  }
+}
+
+/**
+ * 创建沙箱与宿主之间的代理边界
+ * - protect：宿主对象进入沙箱时包装为代理。读取属性、调用方法和构造实例的结果，以及抛出的错误都递归包装；
+ *   禁止访问 constructor、__proto__ 和 prototype；只读代理在写入、定义、删除属性时抛出 SandboxViolation，
+ *   可写代理（处理函数收到的 ctx 等参数）允许修改属性。调用方法时以原始对象作为this，保证工具内部能正常维护自身状态
+ * - toHost：沙箱中的值进入宿主时包装为代理，宿主调用沙箱函数时传入的 this 和参数以只读代理进入沙箱
+ * 代理回到原来的一侧时还原为原始对象
+ * @returns {Object} - { protect(value, path, writable), toHost(value) }
+ */
+function createProtector() {
+  // 沙箱中的代理 → 宿主对象
+  const hostTargets = new WeakMap();
+  // 宿主中的代理 → 沙箱对象
+  const sandboxTargets = new WeakMap();
+  const readOnlyProxies = new WeakMap();
+  const writableProxies = new WeakMap();
+  const hostProxies = new WeakMap();
+
+  /**
+   * 将宿主的值包装为沙箱中使用的代理
+   * @param {any} value - 宿主的值
+   * @param {string} path - 访问路径，用于错误信息
+   * @param {boolean} writable - 是否允许沙箱修改；同一对象已有只读代理时始终使用只读代理
+   * @returns {any} - 代理
+   */
+  function protect(value, path, writable = false) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+      return value;
+    }
+    if (hostTargets.has(value)) {
+      return value;
+    }
+    if (sandboxTargets.has(value)) {
+      return sandboxTargets.get(value);
+    }
+    if (readOnlyProxies.has(value)) {
+      return readOnlyProxies.get(value);
+    }
+    if (writable && writableProxies.has(value)) {
+      return writableProxies.get(value);
+    }
+
+    const child = (item, name) => protect(item, name, writable);
+    const deny = (prop) => {
+      throw new SandboxViolation(`Cannot modify read-only tool "${path}.${String(prop)}"`, 'mutation', { tool: path, property: String(prop) });
+    };
+    const check = (prop) => {
+      if (BLOCKED_PROPERTIES.includes(prop)) {
+        throw new SandboxViolation(`Cannot access "${path}.${prop}" in sandbox`, 'access', { tool: path, property: prop });
+      }
+    };
+
+    const proxy = new Proxy(createShadow(value), convertErrors({
+      get(shadow, prop) {
+        check(prop);
+        return child(Reflect.get(value, prop, value), `${path}.${String(prop)}`);
+      },
+      has(shadow, prop) {
+        return !BLOCKED_PROPERTIES.includes(prop) && Reflect.has(value, prop);
+      },
+      ownKeys() {
+        return Reflect.ownKeys(value).filter(prop => !BLOCKED_PROPERTIES.includes(prop));
+      },
+      getOwnPropertyDescriptor(shadow, prop) {
+        if (BLOCKED_PROPERTIES.includes(prop)) {
+          return undefined;
+        }
+        return describeProperty(shadow, value, prop, item => child(item, `${path}.${String(prop)}`));
+      },
+      getPrototypeOf() {
+        return child(Reflect.getPrototypeOf(value), `${path}.__proto__`);
+      },
+      set(shadow, prop, item) {
+        check(prop);
+        return writable ? Reflect.set(value, prop, toHost(item), value) : deny(prop);
+      },
+      defineProperty(shadow, prop, descriptor) {
+        check(prop);
+        if (!writable) {
+          return deny(prop);
+        }
+        const hostDescriptor = { ...descriptor };
+        for (const key of ['value', 'get', 'set']) {
+          if (key in hostDescriptor) {
+            hostDescriptor[key] = toHost(hostDescriptor[key]);
+          }
+        }
+        return Reflect.defineProperty(value, prop, hostDescriptor);
+      },
+      deleteProperty(shadow, prop) {
+        check(prop);
+        return writable ? Reflect.deleteProperty(value, prop) : deny(prop);
+      },
+      setPrototypeOf() {
+        return deny('__proto__');
+      },
+      preventExtensions() {
+        return deny('[[Extensible]]');
+      },
+      apply(shadow, thisArg, args) {
+        const result = Reflect.apply(value, toHost(thisArg), args.map(toHost));
+        return child(result, `${path}()`);
+      },
+      construct(shadow, args) {
+        return child(Reflect.construct(value, args.map(toHost)), `${path}()`);
+      }
+    }, error => protect(error, `${path}<error>`)));
+
+    (writable ? writableProxies : readOnlyProxies).set(value, proxy);
+    hostTargets.set(proxy, value);
+    return proxy;
+  }
+
+  /**
+   * 将沙箱中的值包装为宿主使用的代理，宿主调用其中的函数时不会把宿主对象直接交给沙箱代码
+   * @param {any} value - 沙箱中的值
+   * @returns {any} - 代理
+   */
+  function toHost(value) {
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+      return value;
+    }
+    if (sandboxTargets.has(value)) {
+      return value;
+    }
+    if (hostTargets.has(value)) {
+      return hostTargets.get(value);
+    }
+    if (hostProxies.has(value)) {
+      return hostProxies.get(value);
+    }
+
+    const toSandbox = item => protect(item, 'callback');
+    const shadow = createShadow(value);
+    const proxy = new Proxy(shadow, convertErrors({
+      get(shadow, prop) {
+        return toHost(Reflect.get(value, prop, value));
+      },
+      has(shadow, prop) {
+        return Reflect.has(value, prop);
+      },
+      ownKeys() {
+        return Reflect.ownKeys(value);
+      },
+      getOwnPropertyDescriptor(shadow, prop) {
+        return describeProperty(shadow, value, prop, toHost);
+      },
+      getPrototypeOf() {
+        return toHost(Reflect.getPrototypeOf(value));
+      },
+      set(shadow, prop, item) {
+        return Reflect.set(value, prop, protect(item, String(prop), true), value);
+      },
+      defineProperty(shadow, prop, descriptor) {
+        const sandboxDescriptor = { ...descriptor };
+        for (const key of ['value', 'get', 'set']) {
+          if (key in sandboxDescriptor) {
+            sandboxDescriptor[key] = protect(sandboxDescriptor[key], String(prop), true);
+          }
+        }
+        return Reflect.defineProperty(value, prop, sandboxDescriptor);
+      },
+      deleteProperty(shadow, prop) {
+        return Reflect.deleteProperty(value, prop);
+      },
+      setPrototypeOf() {
+        return false;
+      },
+      preventExtensions() {
+        return false;
+      },
+      apply(shadow, thisArg, args) {
+        return toHost(Reflect.apply(value, toSandbox(thisArg), args.map(toSandbox)));
+      },
+      construct(shadow, args) {
+        return toHost(Reflect.construct(value, args.map(toSandbox)));
+      }
+    }, toHost));
+
+    // util.inspect 直接输出代理的目标对象，以快照代替空的目标对象，也不会调用沙箱对象上自定义的 inspect 方法
+    Object.defineProperty(shadow, util.inspect.custom, {
+      configurable: true,
+      value: (depth, options, inspect) => inspect(snapshot(proxy), options)
+    });
+    hostProxies.set(value, proxy);
+    sandboxTargets.set(proxy, value);
+    return proxy;
+  }
+
+  return { protect, toHost };
+}
+
+/**
+ * 创建沙箱
+ * @param {Object} tools - 外部工具字典
+ * @param {Object} policy - 沙箱策略（已合并默认值）
+ * @returns {Object} - { context, policy, run(code), restrictTools(names), guard(fn) }
+ */
+function createSandbox(tools, policy) {
+  const { protect, toHost } = createProtector();
+  let allowedTools = policy.tools === '*' ? null : [...policy.tools];
+
+  // 宿主提供的全局函数同样以只读代理暴露，其余内置对象（Object、Promise、JSON 等）由 vm 上下文自身创建
+  const context = {
+    console: protect(console, 'console'),
+    clearTimeout: protect(clearTimeout, 'clearTimeout'),
+    clearInterval: protect(clearInterval, 'clearInterval')
+  };
+  if (policy.timers) {
+    context.setTimeout = protect(setTimeout, 'setTimeout');
+    context.setInterval = protect(setInterval, 'setInterval');
+  }
+  vm.createContext(context);
+
+  // 工具以访问器属性暴露，每次访问时检查白名单；访问器在沙箱中定义，沙箱无法通过属性描述符取得宿主函数
+  const lookup = (name) => {
+    if (allowedTools && !allowedTools.includes(name)) {
+      throw new SandboxViolation(`Tool "${name}" is not allowed in this sandbox`, 'tool', { tool: name });
+    }
+    // 关闭 freezeTools 时工具可以修改，但仍然经过代理，无法取得宿主的构造函数
+    return protect(tools[name], name, !policy.freezeTools);
+  };
+  const reassign = (name) => {
+    throw new SandboxViolation(`Cannot reassign tool "${name}"`, 'mutation', { tool: name });
+  };
+  vm.runInContext(`(function (lookup, reassign) {
+    for (const name of ${JSON.stringify(Object.keys(tools))}) {
+      Object.defineProperty(globalThis, name, { enumerable: true, get: () => lookup(name), set: () => reassign(name) });
+    }
+  })`, context)(protect(lookup, 'tools'), protect(reassign, 'tools'));
+
+  // 在沙箱内发起调用的入口，使函数调用的同步部分同样受超时限制；入口函数在沙箱中创建，不暴露宿主函数
+  const invoker = vm.runInContext(`(function () {
+    const apply = Reflect.apply;
+    let pending = null;
+    return {
+      invoke() {
+        const { fn, thisArg, args } = pending;
+        pending = null;
+        return apply(fn, thisArg, args);
+      },
+      prepare(call) {
+        pending = call;
+      }
+    };
+  })()`, context);
+  Object.defineProperty(context, '__sandboxInvoke', { value: invoker.invoke });
+  const invokeScript = new vm.Script('__sandboxInvoke()');
+
+  /**
+   * 在沙箱中执行脚本，结果和抛出的错误转换为宿主使用的值，超时转换为 SandboxViolation
+   * @param {Function} execute - 执行函数
+   * @returns {any} - 执行结果
+   */
+  function withTimeout(execute) {
+    try {
+      return toHost(execute(policy.timeout > 0 ? { timeout: policy.timeout } : {}));
+    } catch (error) {
+      const thrown = toHost(error);
+      if (thrown && thrown.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw new SandboxViolation(`Sandbox execution timed out after ${policy.timeout}ms`, 'timeout', { timeout: policy.timeout });
+      }
+      throw thrown;
+    }
+  }
+
+  return {
+    context,
+    policy,
+
+    /**
+     * 执行代码
+     * @param {string} code - 代码文本
+     * @returns {any} - 执行结果
+     */
+    run(code) {
+      const script = new vm.Script(code);
+      return withTimeout(options => script.runInContext(context, options));
+    },
+
+    /**
+     * 进一步收窄工具白名单（与策略中的白名单取交集）
+     * @param {Array<string>} names - 工具名列表
+     */
+    restrictTools(names) {
+      allowedTools = allowedTools ? allowedTools.filter(name => names.includes(name)) : [...names];
+    },
+
+    /**
+     * 包装沙箱中定义的函数：每次调用都受超时限制，this 和参数（如 ctx）以可写代理传入，
+     * 返回值和抛出的错误转换为宿主使用的值
+     * @param {Function} fn - 沙箱中的函数
+     * @returns {Function} - 包装后的函数
+     */
+    guard(fn) {
+      if (typeof fn !== 'function') {
+        return fn;
+      }
+      // run 返回的函数已转换为宿主使用的代理，调用时还原为沙箱中的原始函数
+      const target = protect(fn, 'handler');
+      return function sandboxed(...args) {
+        invoker.prepare({
+          fn: target,
+          thisArg: protect(this, 'this', true),
+          args: args.map((arg, index) => protect(arg, index === 0 ? 'ctx' : `arguments[${index}]`, true))
+        });
+        return withTimeout(options => invokeScript.runInContext(context, options));
+      };
+    }
+  };
+}
+
+module.exports = {
+  SandboxViolation,
+  DEFAULT_SANDBOX_POLICY,
+  resolvePolicy,
+  createSandbox
+};
@@ -0,0 +1,236 @@
+// 路由字段描述
+
+/**
+ * 路由字段描述
+ * 路由 config 中的 params、query、body、responses 使用与存储层实体定义相同的类型写法：
+ * - 'str'、'str[50]'：字符串，可限制最大长度
+ * - 'number'、'number[10.2]'：数字，可限制精度和小数位数
+ * - 'bool'、'datetime'
+ * - 类型末尾加 '?' 表示可选，例如 'str[20]?'
+ * - 普通对象表示嵌套对象，单元素数组表示元素类型相同的数组，例如 ['str']
+ * - 也可以直接写 JSON Schema，例如 { type: 'integer', minimum: 1 }，type 同样支持类型写法，例如 { type: 'str[50]', minLength: 3 }
+ *   JSON Schema 必须带有 type、properties 等标记键，或以 $schema 声明，
+ *   否则 { title: 'str[10]', description: 'str' } 这样的字段描述会被误认为 JSON Schema
+ */
+
+// JSON Schema 关键字，对象的所有键都属于关键字且带有标记键时视为 JSON Schema 原样使用
+const JSON_SCHEMA_KEYWORDS = [
+  '$schema', 'type', 'properties', 'items', 'required', 'enum', 'const', 'format', 'pattern',
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'minItems', 'maxItems', 'additionalProperties',
+  'oneOf', 'anyOf', 'allOf', '$ref', 'title', 'description', 'default', 'examples'
+];
+
+// 标记键：对象至少包含其中一个才视为 JSON Schema，title、format 等同时也是常见字段名的关键字不能单独作为标记
+const JSON_SCHEMA_MARKERS = ['$schema', 'type', 'properties', '$ref', 'oneOf', 'anyOf', 'allOf'];
+
+// JSON Schema 的类型名
+const JSON_SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+ * 解析类型字符串
+ * @param {string} raw - 类型字符串，例如 'number[10.2]?'
+ * @returns {Object} - { type, optional, maxLength?, precision?, scale? }
+ */
+function parseFieldType(raw) {
+  let text = String(raw).trim();
+  const optional = text.endsWith('?');
+  if (optional) {
+    text = text.slice(0, -1).trim();
+  }
+  const lower = text.toLowerCase();
+
+  if (lower.startsWith('number')) {
+    const match = lower.match(/^number\[(\d+)(?:\.(\d+))?\]$/);
+    if (lower !== 'number' && !match) {
+      throw new Error(`Invalid field type: ${raw}`);
+    }
+    return {
+      type: 'number',
+      optional,
+      precision: match ? parseInt(match[1], 10) : null,
+      scale: match ? (match[2] ? parseInt(match[2], 10) : 0) : null
+    };
+  }
+
+  if (lower.startsWith('str')) {
+    const match = lower.match(/^str\[(\d+)\]$/);
+    if (lower !== 'str' && !match) {
+      throw new Error(`Invalid field type: ${raw}`);
+    }
+    return { type: 'str', optional, maxLength: match ? parseInt(match[1], 10) : null };
+  }
+
+  if (lower === 'bool' || lower === 'datetime') {
+    return { type: lower, optional };
+  }
+
+  throw new Error(`Unknown field type: ${raw}`);
+}
+
+/**
+ * 判断类型字符串是否为存储层类型写法
+ * @param {string} type - 类型字符串
+ * @returns {boolean} - 是否为类型写法
+ */
+function isFieldType(type) {
+  if (typeof type !== 'string') {
+    return false;
+  }
+  try {
+    parseFieldType(type);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 判断字段描述是否为 JSON Schema
+ * 所有键都必须是 JSON Schema 关键字，并且至少包含一个标记键；
+ * type 可以是 JSON Schema 类型名，也可以是类型写法，例如 { type: 'str[50]', minLength: 3 }；
+ * type 为类型写法且其他键的值同样是类型写法时按字段描述处理，除非带有 $schema
+ * @param {Object} spec - 字段描述
+ * @returns {boolean} - 是否为 JSON Schema
+ */
+function isJSONSchema(spec) {
+  const keys = Object.keys(spec);
+  if (!keys.every(key => JSON_SCHEMA_KEYWORDS.includes(key)) || !keys.some(key => JSON_SCHEMA_MARKERS.includes(key))) {
+    return false;
+  }
+  if (!('type' in spec)) {
+    return true;
+  }
+  if (Array.isArray(spec.type)) {
+    return spec.type.every(type => JSON_SCHEMA_TYPES.includes(type));
+  }
+  if (JSON_SCHEMA_TYPES.includes(spec.type)) {
+    return true;
+  }
+  // type 为类型写法时，其他键也是类型写法说明这是字段名恰好为关键字的字段描述，例如 { type: 'str[20]', title: 'str[50]' }
+  return isFieldType(spec.type)
+    && ('$schema' in spec || !keys.some(key => key !== 'type' && isFieldType(spec[key])));
+}
+
+/**
+ * 判断字段是否可选
+ * @param {any} spec - 字段描述
+ * @returns {boolean} - 是否可选
+ */
+function isOptional(spec) {
+  if (typeof spec === 'string') {
+    return spec.trim().endsWith('?');
+  }
+  if (spec && typeof spec === 'object' && !Array.isArray(spec) && isJSONSchema(spec)) {
+    return typeof spec.type === 'string' && spec.type.trim().endsWith('?');
+  }
+  return false;
+}
+
+/**
+ * 将类型字符串转换为 JSON Schema
+ * @param {string} raw - 类型字符串
+ * @returns {Object} - JSON Schema
+ */
+function typeToJSONSchema(raw) {
+  const field = parseFieldType(raw);
+
+  switch (field.type) {
+    case 'number': {
+      const schema = { type: 'number' };
+      if (field.scale !== null) {
+        // 与 DBNumber 的校验规则一致：最大值为 10^(precision - scale) - 10^(-scale)
+        const step = 10 ** -field.scale;
+        schema.multipleOf = step;
+        schema.maximum = Number((10 ** (field.precision - field.scale) - step).toFixed(field.scale));
+        schema.minimum = -schema.maximum;
+      }
+      return schema;
+    }
+    case 'str':
+      return field.maxLength !== null ? { type: 'string', maxLength: field.maxLength } : { type: 'string' };
+    case 'bool':
+      return { type: 'boolean' };
+    case 'datetime':
+      return { type: 'string', format: 'date-time' };
+    default:
+      return {};
+  }
+}
+
+/**
+ * 规范化 JSON Schema：展开 type 中的类型写法，递归处理子 Schema
+ * @param {Object} spec - JSON Schema
+ * @returns {Object} - 规范化后的 JSON Schema
+ */
+function normalizeJSONSchema(spec) {
+  // $schema 只用于标记，生成的 Schema 嵌入 OpenAPI 文档时不能包含
+  const { $schema, ...rest } = spec;
+  let schema = rest;
+
+  if (typeof schema.type === 'string' && !JSON_SCHEMA_TYPES.includes(schema.type)) {
+    const { type, ...rest } = schema;
+    schema = { ...typeToJSONSchema(type), ...rest };
+  }
+  if (schema.properties) {
+    schema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, fieldSpec]) => [name, toJSONSchema(fieldSpec)])
+    );
+  }
+  if (schema.items) {
+    schema.items = toJSONSchema(schema.items);
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    schema.additionalProperties = toJSONSchema(schema.additionalProperties);
+  }
+  for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword] = schema[keyword].map(toJSONSchema);
+    }
+  }
+  return schema;
+}
+
+/**
+ * 将字段描述转换为 JSON Schema
+ * @param {any} spec - 字段描述：类型字符串、嵌套对象、单元素数组或 JSON Schema
+ * @returns {Object} - JSON Schema
+ */
+function toJSONSchema(spec) {
+  if (typeof spec === 'string') {
+    return typeToJSONSchema(spec);
+  }
+
+  if (Array.isArray(spec)) {
+    return { type: 'array', items: spec.length > 0 ? toJSONSchema(spec[0]) : {} };
+  }
+
+  if (spec && typeof spec === 'object') {
+    if (isJSONSchema(spec)) {
+      return normalizeJSONSchema(spec);
+    }
+
+    const properties = {};
+    const required = [];
+    for (const [name, fieldSpec] of Object.entries(spec)) {
+      properties[name] = toJSONSchema(fieldSpec);
+      if (!isOptional(fieldSpec)) {
+        required.push(name);
+      }
+    }
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    return schema;
+  }
+
+  return {};
+}
+
+module.exports = {
+  parseFieldType,
+  isJSONSchema,
+  isOptional,
+  toJSONSchema
+};
@@ -0,0 +1,334 @@
+// HTTP服务适配器
+const querystring = require('querystring');
+const { AppError } = require('./middlewares/error-handler');
+
+/**
+ * HTTP服务适配器
+ * 基于Node内置http模块，为Router创建类Koa的上下文、解析请求体并序列化响应
+ */
+
+// 安全级别的默认查找顺序
+const SECURITY_LEVELS = ['public', 'protected', 'private'];
+
+// 不携带请求体的HTTP方法
+const BODYLESS_METHODS = ['GET', 'HEAD', 'DELETE', 'OPTIONS'];
+
+/**
+ * 解析请求体大小限制
+ * @param {number|string} limit - 字节数或带单位的字符串，如 '1mb'、'512kb'
+ * @returns {number} - 字节数
+ */
+function parseLimit(limit) {
+  if (typeof limit === 'number') {
+    return limit;
+  }
+  const match = String(limit).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid body limit: ${limit}`);
+  }
+  const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+  return Math.floor(parseFloat(match[1]) * units[match[2] || 'b']);
+}
+
+/**
+ * 读取请求体原始文本
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {number} limit - 最大字节数
+ * @returns {Promise<string>} - 请求体文本
+ */
+function readRawBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+
+    req.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > limit) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new AppError('Request body too large', 413));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 解析请求体，支持 JSON、urlencoded 和 text
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {Object} options - 解析选项 { limit }
+ * @returns {Promise<Object>} - { body, rawBody }
+ */
+async function parseBody(req, options = {}) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const isJson = contentType === 'application/json' || contentType.endsWith('+json');
+  const isForm = contentType === 'application/x-www-form-urlencoded';
+  const isText = contentType.startsWith('text/');
+
+  if (BODYLESS_METHODS.includes(req.method) || !(isJson || isForm || isText)) {
+    return { body: {}, rawBody: undefined };
+  }
+
+  const rawBody = await readRawBody(req, parseLimit(options.limit || '1mb'));
+
+  if (isJson) {
+    if (!rawBody.trim()) {
+      return { body: {}, rawBody };
+    }
+    try {
+      return { body: JSON.parse(rawBody), rawBody };
+    } catch (error) {
+      throw new AppError(`Invalid JSON body: ${error.message}`, 400);
+    }
+  }
+
+  if (isForm) {
+    return { body: { ...querystring.parse(rawBody) }, rawBody };
+  }
+
+  return { body: rawBody, rawBody };
+}
+
+/**
+ * 创建类Koa的请求上下文
+ * ctx.set / ctx.get 读写响应头，与内置中间件的用法一致；请求头通过 ctx.headers 或 ctx.request.get 读取
+ * @param {http.IncomingMessage} req - 请求对象
+ * @param {http.ServerResponse} res - 响应对象
+ * @returns {Object} - 上下文对象
+ */
+function createContext(req, res) {
+  const url = req.url || '/';
+  const queryIndex = url.indexOf('?');
+  const path = queryIndex === -1 ? url : url.slice(0, queryIndex);
+  const search = queryIndex === -1 ? '' : url.slice(queryIndex + 1);
+  const query = { ...querystring.parse(search) };
+
+  const request = {
+    method: req.method,
+    url,
+    path,
+    query,
+    querystring: search,
+    headers: req.headers,
+    body: {},
+    rawBody: undefined,
+    get(name) {
+      return req.headers[String(name).toLowerCase()] || '';
+    }
+  };
+
+  const ctx = {
+    req,
+    res,
+    request,
+    response: res,
+    method: req.method,
+    url,
+    path,
+    query,
+    querystring: search,
+    headers: req.headers,
+    header: req.headers,
+    socket: req.socket,
+    ip: req.socket && req.socket.remoteAddress,
+    params: {},
+    state: {},
+    status: null,
+    body: null,
+    set(name, value) {
+      if (typeof name === 'object') {
+        Object.entries(name).forEach(([key, val]) => ctx.set(key, val));
+        return;
+      }
+      if (!res.headersSent) {
+        res.setHeader(name, Array.isArray(value) ? value.map(String) : String(value));
+      }
+    },
+    get(name) {
+      const value = res.getHeader(name);
+      return value === undefined ? '' : value;
+    },
+    remove(name) {
+      if (!res.headersSent) {
+        res.removeHeader(name);
+      }
+    }
+  };
+
+  return ctx;
+}
+
+/**
+ * 判断是否为可读流
+ * @param {any} body - 响应体
+ * @returns {boolean} - 是否为流
+ */
+function isStream(body) {
+  return body !== null && typeof body === 'object' && typeof body.pipe === 'function';
+}
+
+/**
+ * 将上下文序列化为HTTP响应
+ * @param {Object} ctx - 上下文对象
+ */
+function respond(ctx) {
+  const { res } = ctx;
+  if (res.headersSent || res.writableEnded) {
+    return;
+  }
+
+  let body = ctx.body;
+  let status = ctx.status || (body == null ? 204 : 200);
+  const isHead = ctx.method === 'HEAD';
+
+  // 空响应
+  if (body == null || status === 204 || status === 304) {
+    if (body == null && status === 200) {
+      status = 204;
+    }
+    res.statusCode = status;
+    res.removeHeader('Content-Type');
+    res.removeHeader('Content-Length');
+    res.end();
+    return;
+  }
+
+  res.statusCode = status;
+
+  // 流式响应
+  if (isStream(body)) {
+    if (!res.hasHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/octet-stream');
+    }
+    if (isHead) {
+      if (typeof body.destroy === 'function') body.destroy();
+      res.end();
+      return;
+    }
+    body.on('error', (error) => {
+      console.error('Stream response error:', error);
+      res.destroy(error);
+    });
+    // 立即发送响应头，SSE 客户端无需等到第一个事件才确认连接
+    res.flushHeaders();
+    body.pipe(res);
+    return;
+  }
+
+  // Buffer、字符串和JSON
+  if (Buffer.isBuffer(body)) {
+    if (!res.hasHeader('Content-Type')) {
+      res.setHeader('Content-Type', 'application/octet-stream');
+    }
+  } else if (typeof body === 'string') {
+    if (!res.hasHeader('Content-Type')) {
+      res.setHeader('Content-Type', /^\s*</.test(body) ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8');
+    }
+  } else {
+    body = JSON.stringify(body);
+    if (!res.hasHeader('Content-Type') || /^application\/json\s*$/i.test(res.getHeader('Content-Type'))) {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    }
+  }
+
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(isHead ? undefined : body);
+}
+
+/**
+ * 判断请求是否来自本机回环地址
+ * 只检查套接字的对端地址，不信任 X-Forwarded-For 等客户端可以伪造的请求头
+ * @param {Object} ctx - 上下文对象
+ * @returns {boolean} - 是否为本机请求
+ */
+function isLoopbackRequest(ctx) {
+  const socket = (ctx.req && ctx.req.socket) || ctx.socket;
+  const address = (socket && socket.remoteAddress) || '';
+  return address === '::1' || /^(::ffff:)?127\./.test(address);
+}
+
+/**
+ * 默认安全级别解析器：依次在 public、protected、private 中查找匹配的路由（含 HEAD 回退到 GET），
+ * 都不匹配时使用路径存在（方法不同）的级别，以便返回 405 和自动应答 OPTIONS。路由按请求的API版本匹配；
+ * private 级别只对来自本机回环地址的请求开放，其他客户端访问 private 路由时按路径不存在处理
+ * @param {Object} ctx - 上下文对象
+ * @param {Router} router - 路由实例
+ * @returns {string|null} - 安全级别
+ */
+function defaultLevelResolver(ctx, router) {
+  const { version, path } = router.resolveVersion(ctx);
+  const levels = isLoopbackRequest(ctx) ? SECURITY_LEVELS : SECURITY_LEVELS.filter(level => level !== 'private');
+  return levels.find(level => router.resolve(level, path, ctx.method, version).type === 'route')
+    || levels.find(level => router.getAllowedMethods(level, path, version).length > 0)
+    || null;
+}
+
+/**
+ * 解析安全级别并获取对应的分发函数
+ * @param {Router} router - 路由实例
+ * @param {Object} ctx - 上下文对象
+ * @param {Function} levelResolver - 安全级别解析器，默认使用 defaultLevelResolver
+ * @returns {Promise<Function|null>} - 分发函数（处理路由、HEAD、OPTIONS 和 405），路径不存在返回null
+ */
+async function resolveRouteHandler(router, ctx, levelResolver = defaultLevelResolver) {
+  const securityLevel = await levelResolver(ctx, router);
+  const { version, path } = router.resolveVersion(ctx);
+  if (router.resolve(securityLevel, path, ctx.method, version).type === 'not-found') {
+    return null;
+  }
+  ctx.state.securityLevel = securityLevel;
+  return routeCtx => router.dispatch(routeCtx, securityLevel);
+}
+
+/**
+ * 创建http请求监听函数
+ * @param {Router} router - 路由实例
+ * @param {Object} options - 选项 { levelResolver, bodyLimit }
+ * @returns {Function} - (req, res) => Promise
+ */
+function createRequestListener(router, options = {}) {
+  const levelResolver = options.levelResolver || defaultLevelResolver;
+
+  return async (req, res) => {
+    const ctx = createContext(req, res);
+
+    try {
+      let bodyError = null;
+      try {
+        const { body, rawBody } = await parseBody(req, { limit: options.bodyLimit });
+        ctx.request.body = body;
+        ctx.request.rawBody = rawBody;
+      } catch (error) {
+        bodyError = error;
+      }
+
+      if (bodyError) {
+        // 请求体过大（413）或不是合法的JSON（400）同样经过全局中间件，日志、指标和CORS照常生效
+        await router.dispatchError(ctx, bodyError);
+      } else {
+        // 未匹配的请求同样经过 dispatch，由全局中间件处理 404 / 405
+        const securityLevel = await levelResolver(ctx, router);
+        await router.dispatch(ctx, securityLevel);
+      }
+    } catch (error) {
+      console.error('Unhandled request error:', error);
+      ctx.status = 500;
+      ctx.body = { success: false, error: { message: 'Internal Server Error' } };
+    }
+
+    respond(ctx);
+  };
+}
+
+module.exports = {
+  createRequestListener,
+  createContext,
+  parseBody,
+  respond,
+  resolveRouteHandler,
+  isLoopbackRequest,
+  defaultLevelResolver
+};
@@ -0,0 +1,235 @@
+// 流式响应
+const { PassThrough, Readable } = require('stream');
+
+/**
+ * 流式响应
+ * 路由处理函数可以返回 Node 可读流或异步迭代器，Router 以流的形式输出：
+ * 异步迭代器中的字符串和 Buffer 原样输出，其他值按行输出 JSON（NDJSON）。
+ * 路由配置 sse 后处理函数通过 ctx.sse 推送 Server-Sent Events，支持心跳和 Last-Event-ID 续传。
+ * 流式响应体不经过 response-formatter 包装，也不会被 cache 中间件缓存
+ */
+
+/**
+ * SSE 默认配置
+ * heartbeat: 心跳间隔（毫秒），false 表示不发送心跳，防止代理因空闲断开连接
+ * retry: 客户端断线后的重连间隔（毫秒），null 表示不下发
+ */
+const DEFAULT_SSE_OPTIONS = {
+  heartbeat: 15000,
+  retry: null
+};
+
+/**
+ * 判断响应体是否为流
+ * @param {any} body - 响应体
+ * @returns {boolean} - 是否为流
+ */
+function isStreamBody(body) {
+  return body !== null && typeof body === 'object' && typeof body.pipe === 'function';
+}
+
+/**
+ * 判断值是否为异步迭代器（可读流除外）
+ * @param {any} value - 值
+ * @returns {boolean} - 是否为异步迭代器
+ */
+function isAsyncIterable(value) {
+  return value !== null && typeof value === 'object' && !isStreamBody(value)
+    && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * 将异步迭代器转换为可读流：字符串和 Buffer 原样输出，其他值输出为一行 JSON
+ * @param {AsyncIterable} iterable - 异步迭代器
+ * @returns {Readable} - 可读流，销毁时结束迭代器
+ */
+function toReadable(iterable) {
+  async function* serialize() {
+    for await (const chunk of iterable) {
+      yield typeof chunk === 'string' || Buffer.isBuffer(chunk) ? chunk : `${JSON.stringify(chunk)}\n`;
+    }
+  }
+  return Readable.from(serialize());
+}
+
+/**
+ * 格式化一条 SSE 事件
+ * @param {string|null} event - 事件名称，为空时是默认的 message 事件
+ * @param {any} data - 数据，非字符串序列化为 JSON
+ * @param {string|number} id - 事件ID，客户端重连时通过 Last-Event-ID 回传
+ * @returns {string} - 事件文本
+ */
+function formatEvent(event, data, id) {
+  const text = typeof data === 'string' ? data : JSON.stringify(data === undefined ? null : data);
+  const lines = [];
+  if (id !== undefined && id !== null) {
+    lines.push(`id: ${String(id).replace(/[\r\n]/g, '')}`);
+  }
+  if (event) {
+    lines.push(`event: ${String(event).replace(/[\r\n]/g, '')}`);
+  }
+  text.split(/\r\n|\r|\n/).forEach(line => lines.push(`data: ${line}`));
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Server-Sent Events 流，作为 ctx.sse 提供给路由处理函数
+ */
+class SSEStream {
+  /**
+   * @param {Object} ctx - 上下文对象
+   * @param {Object} options - SSE 配置 { heartbeat, retry }
+   */
+  constructor(ctx, options = {}) {
+    this.ctx = ctx;
+    this.options = { ...DEFAULT_SSE_OPTIONS, ...options };
+    this.stream = new PassThrough();
+    // 客户端重连时携带的最后一个事件ID，处理函数据此补发错过的事件
+    const headers = ctx.headers || {};
+    this.lastEventId = headers['last-event-id'] || null;
+    this.closed = false;
+    this._heartbeat = null;
+    this._closeCallbacks = [];
+  }
+
+  /**
+   * 推送事件
+   * @param {string|null} event - 事件名称
+   * @param {any} data - 数据
+   * @param {string|number} id - 事件ID，可选
+   * @returns {boolean} - 连接已关闭时返回false
+   */
+  send(event, data, id) {
+    if (this.closed) {
+      return false;
+    }
+    this.stream.write(formatEvent(event, data, id));
+    return true;
+  }
+
+  /**
+   * 发送注释行，客户端会忽略
+   * @param {string} text - 注释内容
+   */
+  comment(text = '') {
+    if (!this.closed) {
+      this.stream.write(`: ${String(text).replace(/[\r\n]/g, ' ')}\n\n`);
+    }
+  }
+
+  /**
+   * 注册连接关闭时的回调，用于取消订阅
+   * @param {Function} callback - 回调函数
+   */
+  onClose(callback) {
+    if (this.closed) {
+      callback();
+      return;
+    }
+    this._closeCallbacks.push(callback);
+  }
+
+  /**
+   * 开始输出：设置响应头和响应体，启动心跳；处理函数返回异步迭代器时逐条推送，迭代结束后关闭
+   * @param {any} result - 路由处理函数的返回值
+   */
+  open(result) {
+    const { ctx } = this;
+    ctx.set('Content-Type', 'text/event-stream; charset=utf-8');
+    ctx.set('Cache-Control', 'no-cache');
+    ctx.set('Connection', 'keep-alive');
+    // 禁止 nginx 等反向代理缓冲事件
+    ctx.set('X-Accel-Buffering', 'no');
+    ctx.status = 200;
+    ctx.body = this.stream;
+
+    if (this.options.retry) {
+      this.stream.write(`retry: ${this.options.retry}\n\n`);
+    }
+    if (this.options.heartbeat) {
+      this._heartbeat = setInterval(() => this.comment('heartbeat'), this.options.heartbeat);
+      this._heartbeat.unref();
+    }
+    // 客户端断开时释放心跳和订阅
+    if (ctx.res && typeof ctx.res.once === 'function') {
+      ctx.res.once('close', () => this.close());
+    }
+
+    if (isAsyncIterable(result)) {
+      this._consume(result);
+    }
+  }
+
+  /**
+   * 逐条推送异步迭代器的值：带 data 字段的对象作为 { event, data, id }，其他值作为 message 事件的数据
+   * @param {AsyncIterable} iterable - 异步迭代器
+   */
+  async _consume(iterable) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    this.onClose(() => {
+      if (typeof iterator.return === 'function') {
+        iterator.return().catch(() => {});
+      }
+    });
+
+    try {
+      while (!this.closed) {
+        const { value, done } = await iterator.next();
+        if (done) {
+          break;
+        }
+        if (value !== null && typeof value === 'object' && 'data' in value) {
+          this.send(value.event, value.data, value.id);
+        } else {
+          this.send(null, value);
+        }
+      }
+      this.close();
+    } catch (error) {
+      this.close(error);
+    }
+  }
+
+  /**
+   * 关闭连接
+   * @param {Error} error - 迭代出错时传入，以错误结束流
+   */
+  close(error) {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this._heartbeat);
+    this._closeCallbacks.splice(0).forEach(callback => callback());
+    if (error) {
+      this.stream.destroy(error);
+    } else {
+      this.stream.end();
+    }
+  }
+}
+
+/**
+ * 处理路由返回值中的流：异步迭代器转换为可读流，默认以 NDJSON 输出
+ * @param {Object} ctx - 上下文对象
+ * @returns {boolean} - 响应体是否为流
+ */
+function prepareStreamBody(ctx) {
+  if (isAsyncIterable(ctx.body)) {
+    ctx.body = toReadable(ctx.body);
+    const contentType = typeof ctx.get === 'function' ? ctx.get('Content-Type') : '';
+    if (!contentType) {
+      ctx.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    }
+  }
+  return isStreamBody(ctx.body);
+}
+
+module.exports = {
+  SSEStream,
+  isStreamBody,
+  isAsyncIterable,
+  toReadable,
+  formatEvent,
+  prepareStreamBody
+};
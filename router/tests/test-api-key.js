@@ -0,0 +1,130 @@
+// 测试API Key认证：密钥读取、哈希校验、权限范围、存储适配器和OpenAPI
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+const apiKey = require('../middlewares/api-key');
+const { buildOpenAPIDocument } = require('../openapi');
+const JSONAdapter = require('../../storage/adapters/JSONAdapter');
+
+const defaults = { ...apiKey.config.options };
+const matchmaking = apiKey.generateApiKey({ service: 'matchmaking', scopes: ['match.report'] });
+const payment = apiKey.generateApiKey({ service: 'payment', scopes: ['payment.callback'] });
+
+const router = new Router();
+router.use(apiKey);
+router.register({ method: 'POST', path: '/callbacks/payment', apiKey: { scopes: ['payment.callback'] } }, async (ctx) => ({
+  service: ctx.state.service.service
+}));
+router.register({ method: 'POST', path: '/matches', apiKey: true }, async (ctx) => ({ service: ctx.state.service.service }));
+router.register({ method: 'GET', path: '/status' }, async (ctx) => ({ service: ctx.state.service ? ctx.state.service.service : null }));
+router.register({ method: 'POST', path: '/internal/sync', apiKey: true }, async () => ({ ok: true }), 'private');
+router.register({ method: 'POST', path: '/matches/skipped', apiKey: { scopes: ['match.report'] }, skipMiddlewares: ['api-key'] },
+  async (ctx) => ({ service: ctx.state.service.service }));
+
+// 没有注册 api-key 中间件的路由器
+const bare = new Router();
+bare.register({ method: 'POST', path: '/matches', apiKey: true }, async (ctx) => ({ service: ctx.state.service.service }));
+
+// 使用指定配置重置中间件
+function configure(options) {
+  Object.assign(apiKey.config.options, defaults, { keys: [matchmaking.record, payment.record] }, options);
+}
+
+// 执行一次请求
+async function request(level, requestPath, method, { key, query = {}, header = 'x-api-key', target = router } = {}) {
+  const handler = target.getRouteHandler(level, requestPath, method);
+  const ctx = {
+    path: requestPath,
+    method,
+    headers: key ? { [header]: key } : {},
+    query,
+    status: null,
+    body: null,
+    set() {}
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：密钥校验 ===');
+  configure({});
+  check('生成的记录只包含哈希', matchmaking.key.startsWith(`${matchmaking.record.id}.`) && !JSON.stringify(matchmaking.record).includes(matchmaking.key.split('.')[1]));
+  const viaHeader = await request('public', '/matches', 'POST', { key: matchmaking.key });
+  check('从请求头读取并注入服务身份', viaHeader.body.service === 'matchmaking' && viaHeader.state.service.type === 'service'
+    && viaHeader.state.service.scopes[0] === 'match.report');
+  check('默认只接受请求头', (await request('public', '/matches', 'POST', { query: { api_key: payment.key } })).status === 401);
+  configure({ queryParam: 'api_key' });
+  const viaQuery = await request('public', '/matches', 'POST', { query: { api_key: payment.key } });
+  check('配置后从查询参数读取', viaQuery.body.service === 'payment');
+  configure({ header: 'X-Service-Key' });
+  check('自定义请求头', (await request('public', '/matches', 'POST', { key: payment.key, header: 'x-service-key' })).body.service === 'payment');
+
+  configure({});
+  const missing = await request('public', '/matches', 'POST');
+  const tampered = await request('public', '/matches', 'POST', { key: `${matchmaking.record.id}.guess` });
+  check('缺少或错误的API Key返回401', missing.status === 401 && missing.body.error.message === 'API key required'
+    && tampered.status === 401 && tampered.body.error.message === 'Invalid API key');
+
+  console.log('\n=== 测试2：路由要求 ===');
+  check('权限范围不足返回403', (await request('public', '/callbacks/payment', 'POST', { key: matchmaking.key })).status === 403);
+  check('权限范围满足时通过', (await request('public', '/callbacks/payment', 'POST', { key: payment.key })).body.service === 'payment');
+  const optional = [await request('public', '/status', 'GET'), await request('public', '/status', 'GET', { key: payment.key })];
+  check('未要求API Key的路由可选认证', optional[0].body.service === null && optional[1].body.service === 'payment');
+  check('与安全级别无关', (await request('private', '/internal/sync', 'POST')).status === 401
+    && (await request('private', '/internal/sync', 'POST', { key: payment.key })).body.ok === true);
+
+  const unregistered = [await request('public', '/matches', 'POST', { target: bare }), await request('public', '/matches', 'POST', { target: bare, key: payment.key })];
+  check('未注册中间件时仍然要求API Key', unregistered[0].status === 401 && unregistered[1].body.service === 'payment',
+    `${unregistered[0].status} ${JSON.stringify(unregistered[1].body)}`);
+  const skipped = [await request('public', '/matches/skipped', 'POST'), await request('public', '/matches/skipped', 'POST', { key: payment.key }),
+    await request('public', '/matches/skipped', 'POST', { key: matchmaking.key })];
+  check('跳过中间件的路由同样校验权限范围', JSON.stringify(skipped.map(ctx => ctx.status)) === '[401,403,200]'
+    && skipped[2].body.service === 'matchmaking', JSON.stringify(skipped.map(ctx => ctx.status)));
+
+  console.log('\n=== 测试3：存储适配器 ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-api-key-'));
+  try {
+    const adapter = new JSONAdapter(path.join(dir, 'api-key.json'));
+    await adapter.init();
+    const store = new apiKey.AdapterKeyStore(adapter);
+    await store.add(payment.record);
+    configure({ keys: [], store });
+
+    const row = await adapter.findOne('ApiKey', { key_id: payment.record.id });
+    check('存储中保存哈希而不是明文', row.key_hash === apiKey.hashApiKey(payment.key) && !JSON.stringify(row).includes(payment.key));
+    check('通过存储校验', (await request('public', '/callbacks/payment', 'POST', { key: payment.key })).body.service === 'payment');
+    await store.revoke(payment.record.id);
+    check('吊销后返回401', (await request('public', '/callbacks/payment', 'POST', { key: payment.key })).status === 401);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(apiKey.config.options, defaults);
+  }
+
+  console.log('\n=== 测试4：OpenAPI ===');
+  const doc = buildOpenAPIDocument(router.describe());
+  const callback = doc.paths['/callbacks/payment'].post;
+  check('要求API Key的路由使用apiKey安全方案', JSON.stringify(callback.security) === '[{"apiKeyAuth":[]}]'
+    && doc.components.securitySchemes.apiKeyAuth.name === 'X-API-Key' && callback.responses['403'] !== undefined);
+  check('未要求API Key的路由不需要认证', doc.paths['/status'].get.security === undefined);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
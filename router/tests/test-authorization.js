@@ -0,0 +1,110 @@
+// 测试基于角色和权限的路由授权
+const Router = require('../router');
+const { createStoragePolicyResolver, AuthorizationError } = require('../authorization');
+
+// 模拟jwt-auth：从请求头读取用户
+const mockAuth = {
+  config: { name: 'mock-auth', level: ['global'], order: 1 },
+  async before(ctx) {
+    if (ctx.headers.user) {
+      ctx.state.user = JSON.parse(ctx.headers.user);
+    }
+  }
+};
+
+// 记录经过onError链的错误
+const seenErrors = [];
+const errorRecorder = {
+  config: { name: 'error-recorder', level: ['global'], order: -1 },
+  async onError(ctx, error) {
+    seenErrors.push(error);
+    ctx.status = error.status;
+    ctx.body = { success: false, error: { message: error.message, code: error.status } };
+  }
+};
+
+// 执行一次请求
+async function request(router, level, requestPath, user) {
+  const handler = router.getRouteHandler(level, requestPath, 'GET');
+  const ctx = {
+    path: requestPath,
+    method: 'GET',
+    headers: user ? { user: JSON.stringify(user) } : {},
+    status: null,
+    body: null
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  const router = new Router();
+  router.use(mockAuth);
+  router.use(errorRecorder);
+  router.loadRouteCode(`
+const config = { method: 'GET', roles: ['admin', 'gm'] };
+
+function ban(ctx) {
+  return { banned: true, principal: ctx.state.principal };
+}
+`, 'ban', 'protected');
+  router.register({ method: 'GET', path: '/items', permissions: ['inventory.read', 'inventory.write'] }, async () => ({ ok: true }), 'protected');
+  router.register({ method: 'GET', path: '/legacy', requireRoles: ['user'] }, async () => ({ ok: true }), 'protected');
+
+  console.log('=== 测试1：角色校验 ===');
+  const anonymous = await request(router, 'protected', '/ban');
+  check('未登录返回401', anonymous.status === 401, JSON.stringify(anonymous.body));
+  const player = await request(router, 'protected', '/ban', { id: 1, roles: ['user'] });
+  check('缺少角色返回403', player.status === 403 && /role/.test(player.body.error.message), JSON.stringify(player.body));
+  const gm = await request(router, 'protected', '/ban', { id: 2, role: 'gm' });
+  check('满足任意一个角色即可', gm.status === 200 && gm.body.banned === true, JSON.stringify(gm.body));
+  check('授权结果写入ctx.state.principal', JSON.stringify(gm.body.principal.roles) === '["gm"]');
+  check('错误经过onError链', seenErrors.length === 2 && seenErrors.every(error => error instanceof AuthorizationError));
+
+  console.log('\n=== 测试2：权限校验 ===');
+  const partial = await request(router, 'protected', '/items', { id: 1, permissions: ['inventory.read'] });
+  check('需要全部权限', partial.status === 403 && /permission/.test(partial.body.error.message), JSON.stringify(partial.body));
+  const wildcard = await request(router, 'protected', '/items', { id: 1, scope: 'inventory.* profile.read' });
+  check('scope和通配权限', wildcard.status === 200, JSON.stringify(wildcard.body));
+  const legacy = await request(router, 'protected', '/legacy', { id: 1, roles: ['user'] });
+  check('兼容requireRoles', legacy.status === 200);
+
+  console.log('\n=== 测试3：从存储层读取角色 ===');
+  // 只实现 find 的存储适配器
+  const rows = [{ user_id: 7, role: 'gm' }, { user_id: 9, role: 'user' }];
+  const adapter = {
+    async find(entityName, criteria) {
+      return entityName === 'UserRole' ? rows.filter(row => row.user_id === criteria.user_id) : [];
+    }
+  };
+
+  const storageRouter = new Router({
+    policyResolver: createStoragePolicyResolver(adapter, { rolePermissions: { gm: ['inventory.*'] } })
+  });
+  storageRouter.use(mockAuth);
+  storageRouter.register({ method: 'GET', path: '/items', permissions: ['inventory.write'] }, async () => ({ ok: true }), 'protected');
+
+  const stored = await request(storageRouter, 'protected', '/items', { userId: 7 });
+  check('根据存储的角色授予权限', stored.status === 200, JSON.stringify(stored.body));
+  const unknown = await request(storageRouter, 'protected', '/items', { userId: 9, roles: ['gm'] });
+  check('以存储层为准，忽略token中的角色', unknown.status === 403, JSON.stringify(unknown.body));
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
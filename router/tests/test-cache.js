@@ -0,0 +1,142 @@
+// 测试响应缓存中间件：ETag、条件请求和TTL缓存
+const Router = require('../router');
+const cache = require('../middlewares/cache');
+const responseFormatter = require('../middlewares/response-formatter');
+
+// 模拟jwt-auth：从请求头读取用户，x-user-sub 模拟只带 sub 的JWT载荷
+const mockAuth = {
+  config: { name: 'mock-auth', level: ['protected'], order: 40 },
+  async before(ctx) {
+    if (ctx.headers['x-user-id']) {
+      ctx.user = { id: ctx.headers['x-user-id'] };
+    }
+    if (ctx.headers['x-user-sub']) {
+      ctx.user = { sub: ctx.headers['x-user-sub'], roles: (ctx.headers['x-roles'] || '').split(',').filter(Boolean) };
+      ctx.state.user = ctx.user;
+    }
+  }
+};
+
+const calls = { leaderboard: 0, config: 0, inventory: 0, profile: 0, report: 0, news: 0 };
+
+const router = new Router();
+router.use(mockAuth);
+router.use(cache);
+router.use(responseFormatter);
+router.register({ method: 'GET', path: '/leaderboard' }, async (ctx) => {
+  calls.leaderboard++;
+  return { top: ['knight', 'cat'], season: ctx.query.season || 1 };
+});
+router.register({ method: 'GET', path: '/game-config', cache: { enabled: true, ttl: 300 } }, async () => {
+  calls.config++;
+  return { maxLevel: 60 };
+});
+router.register({ method: 'GET', path: '/inventory', cache: { enabled: true, ttl: 60 } }, async (ctx) => {
+  calls.inventory++;
+  return { owner: ctx.user.id };
+}, 'protected');
+router.register({ method: 'GET', path: '/admin/report', roles: ['admin'], cache: { enabled: true, ttl: 60 } }, async (ctx) => {
+  calls.report++;
+  return { secret: 'revenue', viewer: ctx.user.sub };
+}, 'protected');
+router.register({ method: 'GET', path: '/guild-news', cache: { enabled: true, ttl: 60 } }, async () => {
+  calls.news++;
+  return { news: [] };
+}, 'protected');
+router.register({ method: 'GET', path: '/profile' }, async (ctx) => {
+  calls.profile++;
+  return { id: ctx.user.id };
+}, 'protected');
+
+// 执行一次请求
+async function request(requestPath, { level = 'public', method = 'GET', query = {}, headers = {} } = {}) {
+  const handler = router.getRouteHandler(level, requestPath, method);
+  const responseHeaders = {};
+  const ctx = {
+    path: requestPath,
+    method,
+    query,
+    headers,
+    status: null,
+    body: null,
+    responseHeaders,
+    set(name, value) { responseHeaders[name] = value; },
+    get(name) { return responseHeaders[name] || ''; }
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：ETag和条件请求 ===');
+  const first = await request('/leaderboard');
+  const etag = first.responseHeaders.ETag;
+  check('根据最终响应体生成ETag', /^W\/".+"$/.test(etag) && first.body.success === true, etag);
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await request('/leaderboard');
+  check('忽略response-formatter的时间戳', second.responseHeaders.ETag === etag && second.body.timestamp !== first.body.timestamp);
+
+  const notModified = await request('/leaderboard', { headers: { 'if-none-match': etag } });
+  check('If-None-Match匹配时返回304且无响应体', notModified.status === 304 && notModified.body === null, String(notModified.status));
+
+  const otherSeason = await request('/leaderboard', { query: { season: '2' }, headers: { 'if-none-match': etag } });
+  check('内容变化时返回200', otherSeason.status === 200 && otherSeason.responseHeaders.ETag !== etag);
+  check('未设置ttl时不缓存响应', calls.leaderboard === 4 && !('X-Cache' in first.responseHeaders), String(calls.leaderboard));
+
+  console.log('\n=== 测试2：TTL缓存 ===');
+  const miss = await request('/game-config');
+  const hit = await request('/game-config');
+  check('命中缓存时跳过处理函数', calls.config === 1 && miss.responseHeaders['X-Cache'] === 'MISS' && hit.responseHeaders['X-Cache'] === 'HIT',
+    String(calls.config));
+  check('返回缓存的响应体和ETag', JSON.stringify(hit.body) === JSON.stringify(miss.body) && hit.responseHeaders.ETag === miss.responseHeaders.ETag);
+  check('设置Cache-Control', miss.responseHeaders['Cache-Control'] === 'public, max-age=300', miss.responseHeaders['Cache-Control']);
+  const conditional = await request('/game-config', { headers: { 'if-none-match': miss.responseHeaders.ETag } });
+  check('命中缓存时同样支持304', conditional.status === 304 && calls.config === 1, String(conditional.status));
+
+  console.log('\n=== 测试3：protected路由 ===');
+  await request('/profile', { level: 'protected', headers: { 'x-user-id': '1' } });
+  const profile = await request('/profile', { level: 'protected', headers: { 'x-user-id': '1' } });
+  check('默认不缓存也不生成ETag', calls.profile === 2 && !profile.responseHeaders.ETag);
+
+  const alice = await request('/inventory', { level: 'protected', headers: { 'x-user-id': 'alice' } });
+  const bob = await request('/inventory', { level: 'protected', headers: { 'x-user-id': 'bob' } });
+  const aliceAgain = await request('/inventory', { level: 'protected', headers: { 'x-user-id': 'alice' } });
+  check('显式开启后按用户缓存', calls.inventory === 2 && bob.body.data.owner === 'bob' && aliceAgain.body.data.owner === 'alice',
+    String(calls.inventory));
+  check('用户相关的响应使用private缓存', alice.responseHeaders['Cache-Control'] === 'private, max-age=60');
+
+  console.log('\n=== 测试4：缓存与授权 ===');
+  const report = path => request(path, { level: 'protected', headers: { 'x-user-sub': 'alice', 'x-roles': 'admin' } });
+  const bobDenied = await request('/admin/report', { level: 'protected', headers: { 'x-user-sub': 'bob' } });
+  const aliceReport = await report('/admin/report');
+  const bobAgain = await request('/admin/report', { level: 'protected', headers: { 'x-user-sub': 'bob' } });
+  check('命中缓存前先校验权限', bobDenied.status === 403 && aliceReport.status === 200 && bobAgain.status === 403
+    && JSON.stringify(bobAgain.body).indexOf('revenue') === -1, `${bobDenied.status} ${aliceReport.status} ${bobAgain.status}`);
+  const aliceCached = await report('/admin/report');
+  check('按JWT的sub区分缓存', calls.report === 1 && aliceCached.responseHeaders['X-Cache'] === 'HIT'
+    && aliceCached.responseHeaders['Cache-Control'] === 'private, max-age=60');
+
+  await request('/guild-news', { level: 'protected' });
+  const anonymous = await request('/guild-news', { level: 'protected' });
+  check('protected路由不为未识别身份的请求读写缓存', calls.news === 2 && anonymous.responseHeaders['X-Cache'] === undefined);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,91 @@
+// 测试路由清单和路由表打印
+const Router = require('../router');
+
+const router = new Router();
+
+// 中间件：全局日志、排除 /health 的鉴权、仅 protected 的审计
+router.use({
+  config: { name: 'logger', level: ['global'], order: 1 },
+  onRequest: async () => {},
+  onResponse: async () => {}
+});
+router.use({
+  config: { name: 'auth', level: ['global'], order: 2, exclude: ['/health'] },
+  before: async () => {}
+});
+router.use({
+  config: { name: 'disabled', level: ['global'], order: 3, enabled: false },
+  before: async () => {}
+});
+router.loadMiddlewareCode(`
+const config = { name: 'audit', level: ['protected'], order: -1 };
+
+function after(ctx) {}
+`, 'audit');
+
+router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function health(ctx) {
+  return { ok: true };
+}
+`, 'health', 'public');
+router.loadRouteCode(`
+const config = { method: 'POST', path: '/players/:id(\\\\d+)/items' };
+
+function addItem(ctx) {
+  return {};
+}
+`, 'add-item', 'protected', { prefix: '/game', filePath: '/srv/routes/protected/game/add-item.js' });
+router.register({ method: 'GET', path: '/status' }, async () => ({}), 'private');
+
+function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：路由清单 ===');
+  const manifest = router.describe();
+  check('包含全部路由', manifest.length === 3, manifest.map(entry => entry.path).join(', '));
+
+  const addItem = manifest.find(entry => entry.fileName === 'add-item');
+  check('规范路径取自config.path', addItem.path === '/players/:id(\\d+)/items', addItem.path);
+  check('别名包含文件名和驼峰名', JSON.stringify(addItem.aliases) === JSON.stringify(['/game/add-item', '/game/addItem']), JSON.stringify(addItem.aliases));
+  check('包含方法、安全级别、参数和来源', addItem.method === 'POST' && addItem.securityLevel === 'protected'
+    && addItem.params[0] === 'id' && addItem.source === '/srv/routes/protected/game/add-item.js');
+
+  console.log('\n=== 测试2：中间件链 ===');
+  const chainOf = entry => entry.middlewares.map(mw => mw.name).join(' > ');
+  check('按order排序并过滤禁用的中间件', chainOf(addItem) === 'logger > auth > audit', chainOf(addItem));
+  const health = manifest.find(entry => entry.fileName === 'health');
+  check('exclude过滤后的中间件链', chainOf(health) === 'logger', chainOf(health));
+  const audit = addItem.middlewares.find(mw => mw.name === 'audit');
+  check('代码加载的中间件只列出定义的阶段', JSON.stringify(audit.phases) === '["after"]', JSON.stringify(audit.phases));
+
+  console.log('\n=== 测试3：按安全级别过滤 ===');
+  const privateRoutes = router.describe({ level: 'private' });
+  check('只返回指定级别', privateRoutes.length === 1 && privateRoutes[0].path === '/status' && privateRoutes[0].source === null);
+
+  console.log('\n=== 测试4：路由表 ===');
+  const lines = [];
+  const table = router.printRoutes({ log: line => lines.push(line) });
+  console.log(table);
+  check('输出到指定函数', lines.length === 1 && lines[0] === table);
+  check('表头和汇总行', table.startsWith('METHOD') && table.endsWith('3 route(s)'));
+  check('列对齐', table.split('\n').slice(2, 5).every(line => line.indexOf('/') === table.indexOf('PATH')));
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,146 @@
+// 测试请求分发：404、405、Allow响应头、HEAD回退和自动OPTIONS
+const http = require('http');
+const Router = require('../router');
+const cors = require('../middlewares/cors');
+const errorHandler = require('../middlewares/error-handler');
+
+// 记录每个请求经过的生命周期阶段
+const calls = [];
+const recorder = {
+  config: { name: 'recorder', level: ['global'], order: 1, enabled: true, exclude: [] },
+  async onRequest(ctx) { calls.push(`onRequest ${ctx.method} ${ctx.state.routePath}`); },
+  async onFinish(ctx) { calls.push(`onFinish ${ctx.status}`); }
+};
+// 模拟jwt-auth：protected级别的中间件
+const auth = {
+  config: { name: 'mock-auth', level: ['protected'], order: 40, enabled: true, exclude: [] },
+  async before(ctx) {
+    calls.push('auth');
+    ctx.user = { id: 1 };
+  }
+};
+
+const router = new Router();
+router.use(recorder);
+router.use(auth);
+router.use(cors);
+router.use(errorHandler);
+let getCalls = 0;
+router.register({ method: 'GET', path: '/players/:id' }, async (ctx) => {
+  getCalls++;
+  ctx.set('X-Player', ctx.params.id);
+  return { id: ctx.params.id };
+});
+router.register({ method: 'POST', path: '/players/:id' }, async () => ({ created: true }));
+router.register({ method: 'PUT', path: '/inventory' }, async () => ({ ok: true }), 'protected');
+router.register({ method: 'OPTIONS', path: '/custom' }, async () => ({ custom: true }));
+router.register({ method: 'GET', path: '/custom' }, async () => ({ ok: true }));
+
+// 执行一次分发
+async function dispatch(level, requestPath, method, headers = {}) {
+  calls.length = 0;
+  const responseHeaders = {};
+  const ctx = {
+    path: requestPath,
+    method,
+    headers,
+    status: null,
+    body: null,
+    responseHeaders,
+    set(name, value) { responseHeaders[name] = value; },
+    get(name) { return responseHeaders[name] || ''; }
+  };
+  ctx.resolved = await router.dispatch(ctx, level);
+  // onFinish 在 nextTick 中执行
+  await new Promise(resolve => setImmediate(resolve));
+  return ctx;
+}
+
+// 发送HTTP请求
+function request(port, method, requestPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path: requestPath }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：404和405 ===');
+  const found = await dispatch('public', '/players/7', 'GET');
+  check('匹配的路由正常执行', found.status === 200 && found.body.id === '7' && found.resolved.type === 'route');
+
+  const notAllowed = await dispatch('public', '/players/7', 'DELETE');
+  check('路径存在但方法不匹配返回405和Allow', notAllowed.status === 405
+    && notAllowed.responseHeaders.Allow === 'GET, HEAD, OPTIONS, POST' && notAllowed.body.error.code === 405,
+  JSON.stringify(notAllowed.responseHeaders.Allow));
+  check('405经过全局中间件，使用规范路径', calls[0] === 'onRequest DELETE /players/:id' && calls.includes('onFinish 405'), JSON.stringify(calls));
+
+  const protectedNotAllowed = await dispatch('protected', '/inventory', 'GET');
+  check('405不执行安全级别中间件', protectedNotAllowed.status === 405 && !calls.includes('auth')
+    && protectedNotAllowed.responseHeaders.Allow === 'OPTIONS, PUT', JSON.stringify(calls));
+
+  const missing = await dispatch('public', '/nowhere', 'GET');
+  check('路径不存在返回404', missing.status === 404 && missing.body.error.message === 'Not Found' && missing.responseHeaders.Allow === undefined);
+  check('404经过全局中间件', calls[0] === 'onRequest GET null' && calls.includes('onFinish 404')
+    && missing.state.routePath === null && missing.state.securityLevel === null, JSON.stringify(calls));
+  check('未解析出安全级别时返回404', (await dispatch(null, '/players/7', 'GET')).status === 404);
+
+  console.log('\n=== 测试2：HEAD和OPTIONS ===');
+  getCalls = 0;
+  const head = await dispatch('public', '/players/9', 'HEAD');
+  check('HEAD回退到GET路由', getCalls === 1 && head.status === 200 && head.responseHeaders['X-Player'] === '9'
+    && head.state.routePath === '/players/:id');
+
+  const options = await dispatch('public', '/players/9', 'OPTIONS');
+  check('自动应答OPTIONS', options.status === 204 && options.body === null && options.responseHeaders.Allow === 'GET, HEAD, OPTIONS, POST');
+  const preflight = await dispatch('public', '/players/9', 'OPTIONS', { origin: 'https://admin.example.com' });
+  check('OPTIONS预检同时返回CORS响应头', preflight.status === 204 && preflight.responseHeaders['Access-Control-Allow-Origin'] === '*'
+    && preflight.responseHeaders.Allow !== undefined);
+  check('显式注册的OPTIONS路由优先', (await dispatch('public', '/custom', 'OPTIONS')).body.custom === true);
+  check('getAllowedMethods', JSON.stringify(router.getAllowedMethods('public', '/custom')) === '["GET","HEAD","OPTIONS"]'
+    && router.getAllowedMethods('public', '/nowhere').length === 0);
+
+  console.log('\n=== 测试3：HTTP服务 ===');
+  const server = router.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+  try {
+    const get = await request(port, 'GET', '/players/3');
+    const headResponse = await request(port, 'HEAD', '/players/3');
+    check('HEAD响应没有响应体，保留响应头', headResponse.status === 200 && headResponse.text === ''
+      && headResponse.headers['content-length'] === get.headers['content-length'] && headResponse.headers['x-player'] === '3');
+
+    const httpNotAllowed = await request(port, 'DELETE', '/players/3');
+    check('HTTP服务返回405和Allow', httpNotAllowed.status === 405 && httpNotAllowed.headers.allow === 'GET, HEAD, OPTIONS, POST');
+    const httpProtected = await request(port, 'POST', '/inventory');
+    check('默认级别解析器在路径所在级别返回405', httpProtected.status === 405 && httpProtected.headers.allow === 'OPTIONS, PUT');
+    const httpMissing = await request(port, 'GET', '/nowhere');
+    check('HTTP服务返回404', httpMissing.status === 404 && JSON.parse(httpMissing.text).error.code === 404);
+  } finally {
+    server.close();
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,165 @@
+// 测试Koa和Express集成桥接
+const http = require('http');
+const Router = require('../router');
+const { toKoaMiddleware, toExpressMiddleware } = require('../bridges');
+
+// 用于记录生命周期执行顺序
+const lifecycle = [];
+
+// 创建路由实例
+const router = new Router();
+
+router.use({
+  config: { name: 'lifecycle-recorder', level: ['global'], order: 1 },
+  async onRequest(ctx) { lifecycle.push('onRequest'); },
+  async before(ctx) { lifecycle.push('before'); },
+  async after(ctx) { lifecycle.push('after'); },
+  async onResponse(ctx) {
+    lifecycle.push('onResponse');
+    ctx.set('X-Router', 'cat-knight');
+  }
+});
+
+router.register({ method: 'POST', path: '/players/:id' }, (ctx) => ({
+  id: ctx.params.id,
+  name: ctx.request.body.name,
+  sharedState: ctx.state.fromHost || null
+}));
+
+router.register({ method: 'GET', path: '/internal' }, () => ({ internal: true }), 'private');
+
+router.register({ method: 'GET', path: '/boom' }, () => {
+  const error = new Error('Boom');
+  error.status = 418;
+  throw error;
+});
+
+/**
+ * 以最小的类Koa方式运行中间件：构造Koa风格的ctx，并在结束后写回响应
+ */
+function createKoaLikeServer(middleware) {
+  return http.createServer(async (req, res) => {
+    const [path, querystring = ''] = req.url.split('?');
+    const koaCtx = {
+      req,
+      res,
+      url: req.url,
+      path,
+      method: req.method,
+      query: Object.fromEntries(new URLSearchParams(querystring)),
+      querystring,
+      ip: req.socket.remoteAddress,
+      state: { fromHost: 'koa' },
+      request: {},
+      status: 404,
+      body: undefined
+    };
+
+    await middleware(koaCtx, async () => {
+      koaCtx.status = 200;
+      koaCtx.body = { fallback: true };
+    });
+
+    res.statusCode = koaCtx.status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(koaCtx.body));
+  });
+}
+
+/**
+ * 以最小的类Express方式运行中间件：共享res.locals，未处理时进入next
+ */
+function createExpressLikeServer(middleware) {
+  return http.createServer((req, res) => {
+    req.path = req.url.split('?')[0];
+    res.locals = { fromHost: 'express' };
+    middleware(req, res, (error) => {
+      res.statusCode = error ? 500 : 200;
+      res.end(JSON.stringify(error ? { nextError: error.message } : { fallback: true }));
+    });
+  });
+}
+
+// 发送请求；remoteAddress 模拟来自其他地址的客户端，使用独立的连接
+function request(port, method, path, body, remoteAddress) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (remoteAddress) {
+    headers['X-Test-Remote'] = remoteAddress;
+  }
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers, agent: remoteAddress ? false : undefined }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        json: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      }));
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(typeof body === 'string' ? body : JSON.stringify(body));
+    req.end();
+  });
+}
+
+async function runSuite(name, server, results) {
+  console.log(`\n=== 测试${name}桥接 ===`);
+  // 按测试请求头改写套接字的对端地址
+  server.prependListener('request', (req) => {
+    if (req.headers['x-test-remote']) {
+      Object.defineProperty(req.socket, 'remoteAddress', { value: req.headers['x-test-remote'], configurable: true });
+    }
+  });
+  server.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+
+  function check(label, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${label}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  try {
+    lifecycle.length = 0;
+    const matched = await request(port, 'POST', '/players/7', { name: 'Tom' });
+    check('匹配的路由由Router处理', matched.status === 200 && matched.json.id === '7' && matched.json.name === 'Tom', JSON.stringify(matched.json));
+    check('共享宿主框架的state', matched.json.sharedState === name.toLowerCase());
+    check('生命周期钩子按顺序执行', JSON.stringify(lifecycle) === JSON.stringify(['onRequest', 'before', 'after', 'onResponse']), JSON.stringify(lifecycle));
+    check('中间件设置的响应头生效', matched.headers['x-router'] === 'cat-knight');
+
+    const missing = await request(port, 'GET', '/unknown');
+    check('未匹配的路由交给next()', missing.json.fallback === true);
+
+    const internal = await request(port, 'GET', '/internal');
+    const remote = await request(port, 'GET', '/internal', undefined, '203.0.113.9');
+    check('private路由只对本机请求开放', internal.json.internal === true && remote.json.fallback === true, JSON.stringify(remote.json));
+
+    lifecycle.length = 0;
+    const invalid = await request(port, 'POST', '/players/7', '{invalid');
+    check('非法JSON经过Router的生命周期返回400', invalid.status === 400 && invalid.json.success === false
+      && lifecycle[0] === 'onRequest', JSON.stringify(invalid.json));
+
+    const failed = await request(port, 'GET', '/boom');
+    check('错误通过Router的onError链处理', failed.status === 418 && failed.json.success === false, JSON.stringify(failed.json));
+  } finally {
+    server.close();
+  }
+}
+
+async function runTests() {
+  const results = [];
+  await runSuite('Koa', createKoaLikeServer(toKoaMiddleware(router)), results);
+  await runSuite('Express', createExpressLikeServer(toExpressMiddleware(router)), results);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,107 @@
+// 测试路由分组：路径前缀、安全级别继承、嵌套和分组中间件的执行顺序
+const Router = require('../router');
+
+const calls = [];
+
+// 创建记录执行顺序的中间件
+function createMiddleware(name, order, level = ['global']) {
+  return {
+    config: { name, level, order, enabled: true, exclude: [] },
+    async before(ctx) {
+      calls.push(name);
+    }
+  };
+}
+
+const logger = createMiddleware('logger', 1);
+const auth = createMiddleware('auth', 40, ['protected']);
+const guildMember = createMiddleware('guild-member', 20);
+const guildOfficer = createMiddleware('guild-officer', 5);
+const audit = createMiddleware('audit', -5);
+
+const router = new Router();
+router.use(logger);
+router.use(auth);
+
+router.group({ prefix: '/guild', level: 'protected', middlewares: [guildMember] }, (g) => {
+  g.register({ method: 'GET', path: '/' }, async () => ({ route: 'guild' }));
+  g.register({ method: 'GET', path: '/members/:id' }, async (ctx) => ({ id: ctx.params.id }));
+  g.register({ method: 'GET', path: '/emblem' }, async () => ({ route: 'emblem' }), 'public');
+
+  g.group({ prefix: '/admin/', middlewares: [guildOfficer, audit, logger] }, (admin) => {
+    admin.register({ method: 'POST', path: 'kick/:id' }, async (ctx) => ({ kicked: ctx.params.id }));
+    admin.group({ prefix: '/internal', level: 'private' }, (internal) => {
+      internal.register({ method: 'POST', path: '/rebuild' }, async () => ({ rebuilt: true }));
+    });
+  });
+});
+router.register({ method: 'GET', path: '/guild-list' }, async () => ({ route: 'list' }), 'protected');
+
+// 执行一次请求，返回执行的中间件和上下文
+async function request(level, requestPath, method = 'GET') {
+  calls.length = 0;
+  const handler = router.getRouteHandler(level, requestPath, method);
+  if (!handler) {
+    return null;
+  }
+  const ctx = { path: requestPath, method, headers: {}, status: null, body: null, set() {} };
+  await handler(ctx);
+  return { ctx, calls: [...calls] };
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：前缀和安全级别 ===');
+  const member = await request('protected', '/guild/members/7');
+  check('拼接分组前缀', member && member.ctx.body.id === '7');
+  check('分组路径本身', (await request('protected', '/guild')).ctx.body.route === 'guild');
+  check('嵌套分组逐层拼接前缀，忽略多余的斜杠', (await request('protected', '/guild/admin/kick/3', 'POST')).ctx.body.kicked === '3');
+  check('路由可以覆盖分组的安全级别', (await request('public', '/guild/emblem')).ctx.body.route === 'emblem'
+    && router.getRouteHandler('protected', '/guild/emblem', 'GET') === null);
+  check('嵌套分组可以覆盖安全级别', (await request('private', '/guild/admin/internal/rebuild', 'POST')).ctx.body.rebuilt === true);
+
+  console.log('\n=== 测试2：分组中间件 ===');
+  check('分组中间件与全局和级别中间件按order合并', JSON.stringify(member.calls) === '["logger","guild-member","auth"]', JSON.stringify(member.calls));
+  const kick = await request('protected', '/guild/admin/kick/3', 'POST');
+  check('嵌套分组继承外层中间件，负数order最后执行', JSON.stringify(kick.calls) === '["logger","guild-officer","guild-member","auth","audit"]',
+    JSON.stringify(kick.calls));
+  check('已注册为全局的中间件不会重复执行', kick.calls.filter(name => name === 'logger').length === 1);
+  const rebuild = await request('private', '/guild/admin/internal/rebuild', 'POST');
+  check('分组中间件不受中间件level限制，级别中间件按路由级别', JSON.stringify(rebuild.calls) === '["logger","guild-officer","guild-member","audit"]',
+    JSON.stringify(rebuild.calls));
+  check('分组外的路由不执行分组中间件', JSON.stringify((await request('protected', '/guild-list')).calls) === '["logger","auth"]');
+
+  console.log('\n=== 测试3：缓存和路由清单 ===');
+  const rateLimit = createMiddleware('rate-limit', 50);
+  router.use(rateLimit);
+  check('注册新中间件后分组路由的中间件链更新', JSON.stringify((await request('protected', '/guild/members/7')).calls)
+    === '["logger","guild-member","auth","rate-limit"]');
+  rateLimit.config.enabled = false;
+  check('运行时禁用中间件后不再执行', JSON.stringify((await request('protected', '/guild/members/7')).calls)
+    === '["logger","guild-member","auth"]');
+  rateLimit.config.enabled = true;
+  check('重新启用后恢复执行', (await request('protected', '/guild/members/7')).calls.includes('rate-limit'));
+  rateLimit.config.enabled = false;
+
+  const entry = router.describe({ level: 'protected' }).find(item => item.path === '/guild/admin/kick/:id');
+  check('路由清单包含分组中间件', entry && JSON.stringify(entry.middlewares.map(mw => mw.name))
+    === '["logger","guild-officer","guild-member","auth","audit"]', entry && JSON.stringify(entry.middlewares.map(mw => mw.name)));
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,127 @@
+// 测试开发模式下路由和中间件文件的热重载
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+
+// 在临时目录中创建路由目录结构
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-hot-'));
+const routeFile = path.join(rootDir, 'public', 'version.js');
+const slowFile = path.join(rootDir, 'public', 'slow.js');
+const middlewareFile = path.join(rootDir, 'middlewares', 'stamp.js');
+
+// 写入文件并推进修改时间，确保文件监听能感知变化
+let tick = 0;
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  tick++;
+  const time = new Date(Date.now() + tick * 1000);
+  fs.utimesSync(filePath, time, time);
+}
+
+const routeCode = (version) => `
+const config = { method: 'GET' };
+
+function version(ctx) {
+  return { version: ${version}, stamp: ctx.state.stamp };
+}
+`;
+
+const slowCode = (version) => `
+const config = { method: 'GET' };
+
+async function slow(ctx) {
+  await new Promise(resolve => setTimeout(resolve, 100));
+  return { version: ${version} };
+}
+`;
+
+const middlewareCode = (stamp) => `
+const config = { name: 'stamp', level: ['global'], order: 1 };
+
+function before(ctx) {
+  ctx.state.stamp = '${stamp}';
+}
+`;
+
+writeFile(routeFile, routeCode(1));
+writeFile(slowFile, slowCode(1));
+writeFile(middlewareFile, middlewareCode('a'));
+
+// 创建开启热重载的路由实例
+const router = new Router({ hotReload: true, hotReloadInterval: 50 });
+
+// 执行一次请求
+async function request(requestPath) {
+  const handler = router.getRouteHandler('public', requestPath, 'GET');
+  const ctx = { path: requestPath, method: 'GET', status: null, body: null };
+  await handler(ctx);
+  return ctx.body;
+}
+
+// 等待条件成立
+async function waitFor(predicate, timeout = 3000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    if (await predicate()) return true;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return false;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  try {
+    const loaded = router.loadDirectory(rootDir);
+    check('目录加载无错误', loaded.errors.length === 0, JSON.stringify(loaded.errors));
+
+    console.log('=== 测试1：文件修改后自动重新加载路由 ===');
+    const before = await request('/version');
+    writeFile(routeFile, routeCode(2));
+    const reloaded = await waitFor(async () => (await request('/version')).version === 2);
+    check('路由更新为新版本', before.version === 1 && reloaded);
+
+    console.log('\n=== 测试2：文件修改后自动重新加载中间件 ===');
+    writeFile(middlewareFile, middlewareCode('b'));
+    const middlewareReloaded = await waitFor(async () => (await request('/version')).stamp === 'b');
+    const stampCount = router.getMiddlewares().global.filter(mw => mw.config.name === 'stamp').length;
+    check('中间件更新为新版本且未重复注册', middlewareReloaded && stampCount === 1, `stamp中间件数量 ${stampCount}`);
+
+    console.log('\n=== 测试3：进行中的请求在旧版本上完成 ===');
+    const inFlight = request('/slow');
+    writeFile(slowFile, slowCode(2));
+    router.reloadFile(slowFile);
+    const inFlightResult = await inFlight;
+    const afterSwap = await request('/slow');
+    check('进行中的请求使用旧版本', inFlightResult.version === 1, JSON.stringify(inFlightResult));
+    check('新请求使用新版本', afterSwap.version === 2, JSON.stringify(afterSwap));
+
+    console.log('\n=== 测试4：编译失败时保留旧版本 ===');
+    writeFile(routeFile, 'const config = { method: "GET" };\nfunction version( {');
+    const failed = router.reloadFile(routeFile);
+    const kept = await request('/version');
+    check('编译失败返回false并保留旧版本', failed === false && kept.version === 2, JSON.stringify(kept));
+  } finally {
+    router.stopWatching();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,161 @@
+// 测试内置的Node http服务适配器
+const http = require('http');
+const { Readable } = require('stream');
+const Router = require('../router');
+const { defaultLevelResolver } = require('../server');
+const responseFormatterMiddleware = require('../middlewares/response-formatter');
+const errorHandlerMiddleware = require('../middlewares/error-handler');
+
+// 创建路由实例，protected路由通过请求头判定
+const router = new Router({
+  levelResolver: (ctx, r) => {
+    if (ctx.headers['x-level']) {
+      return ctx.headers['x-level'];
+    }
+    return defaultLevelResolver(ctx, r);
+  },
+  bodyLimit: '1kb'
+});
+router.use(errorHandlerMiddleware);
+
+// 记录经过全局中间件的请求和错误
+const recorded = [];
+router.use({
+  config: { name: 'recorder', level: ['global'], order: 1 },
+  async onRequest(ctx) {
+    ctx.set('X-Recorded', 'yes');
+  },
+  async onError(ctx, error) {
+    recorded.push(error.status);
+  }
+});
+
+router.register({ method: 'POST', path: '/echo' }, (ctx) => ({
+  body: ctx.request.body,
+  query: ctx.query
+}));
+
+router.register({ method: 'GET', path: '/buffer' }, (ctx) => {
+  ctx.body = Buffer.from('binary-data');
+});
+
+router.register({ method: 'GET', path: '/stream' }, (ctx) => {
+  ctx.set('Content-Type', 'text/plain');
+  ctx.body = Readable.from(['chunk-1,', 'chunk-2']);
+});
+
+router.register({ method: 'GET', path: '/internal/stats' }, () => ({ uptime: 1 }), 'private');
+
+router.register({ method: 'GET', path: '/players/:id' }, (ctx) => {
+  ctx.set('X-Player', ctx.params.id);
+  return { id: ctx.params.id };
+}, 'protected');
+
+// 发送请求
+function request(port, method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        text: Buffer.concat(chunks).toString('utf8')
+      }));
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+async function runTests() {
+  const server = router.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  try {
+    console.log('=== 测试请求体解析 ===');
+    const json = await request(port, 'POST', '/echo?page=2', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'cat' })
+    });
+    const jsonBody = JSON.parse(json.text);
+    check('JSON请求体', json.status === 200 && jsonBody.body.username === 'cat' && jsonBody.query.page === '2', json.text);
+
+    const form = await request(port, 'POST', '/echo', {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'username=knight&level=3'
+    });
+    check('urlencoded请求体', JSON.parse(form.text).body.level === '3', form.text);
+
+    const text = await request(port, 'POST', '/echo', {
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'meow'
+    });
+    check('text请求体', JSON.parse(text.text).body === 'meow', text.text);
+
+    const invalid = await request(port, 'POST', '/echo', {
+      headers: { 'Content-Type': 'application/json' },
+      body: '{invalid'
+    });
+    const invalidBody = JSON.parse(invalid.text);
+    check('非法JSON返回400，由error-handler格式化', invalid.status === 400 && invalidBody.error.code === 400
+      && /Invalid JSON body/.test(invalidBody.error.message), invalid.text);
+
+    const large = await request(port, 'POST', '/echo', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'x'.repeat(2048) })
+    });
+    check('请求体过大返回413', large.status === 413 && JSON.parse(large.text).error.code === 413, large.text);
+    check('请求体错误经过全局中间件', invalid.headers['x-recorded'] === 'yes' && large.headers['x-recorded'] === 'yes'
+      && JSON.stringify(recorded) === '[400,413]', JSON.stringify(recorded));
+
+    console.log('\n=== 测试响应序列化 ===');
+    const buffer = await request(port, 'GET', '/buffer');
+    check('Buffer响应', buffer.text === 'binary-data' && buffer.headers['content-type'] === 'application/octet-stream');
+
+    const stream = await request(port, 'GET', '/stream');
+    check('流响应', stream.text === 'chunk-1,chunk-2' && stream.headers['content-type'] === 'text/plain', stream.text);
+
+    const missing = await request(port, 'GET', '/missing');
+    check('未匹配返回404', missing.status === 404, missing.text);
+
+    console.log('\n=== 测试安全级别解析器 ===');
+    const player = await request(port, 'GET', '/players/7', { headers: { 'X-Level': 'protected' } });
+    check('自定义解析器选择protected级别', player.status === 200 && player.headers['x-player'] === '7', player.text);
+
+    const internal = await request(port, 'GET', '/internal/stats');
+    check('本机请求可以访问private路由', internal.status === 200 && JSON.parse(internal.text).uptime === 1, internal.text);
+    const remoteCtx = address => ({ method: 'GET', path: '/internal/stats', headers: { 'x-forwarded-for': '127.0.0.1' }, req: { socket: { remoteAddress: address } } });
+    check('其他地址的请求不解析为private级别', defaultLevelResolver(remoteCtx('203.0.113.9'), router) === null
+      && defaultLevelResolver(remoteCtx('::ffff:10.0.0.8'), router) === null
+      && defaultLevelResolver(remoteCtx('::1'), router) === 'private' && defaultLevelResolver(remoteCtx('::ffff:127.0.0.1'), router) === 'private');
+
+    console.log('\n=== 测试中间件在http上下文中工作 ===');
+    router.use(responseFormatterMiddleware);
+    const formatted = await request(port, 'GET', '/players/9');
+    const formattedBody = JSON.parse(formatted.text);
+    check('响应格式化中间件包装结果', formattedBody.success === true && formattedBody.data.id === '9', formatted.text);
+  } finally {
+    server.close();
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
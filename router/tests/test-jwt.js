@@ -0,0 +1,165 @@
+// 测试JWT认证：签名算法、密钥轮换、声明校验、刷新令牌和吊销
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+const jwt = require('../middlewares/jwt');
+const JSONAdapter = require('../../storage/adapters/JSONAdapter');
+const SQLiteAdapter = require('../../storage/adapters/SQLiteAdapter');
+
+const { jwtUtils } = jwt;
+const defaults = { ...jwt.config.options };
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+const router = new Router();
+router.use(jwt);
+router.register({ method: 'GET', path: '/profile' }, async (ctx) => ({ id: ctx.user.id }), 'protected');
+
+// 使用指定配置重置中间件
+function configure(options) {
+  Object.assign(jwt.config.options, defaults, options);
+}
+
+// 执行一次请求
+async function request(token) {
+  const handler = router.getRouteHandler('protected', '/profile', 'GET');
+  const ctx = {
+    path: '/profile',
+    method: 'GET',
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    status: null,
+    body: null,
+    set() {}
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+// 使用指定负载手工签发HS256 token
+function forge(payload, secret) {
+  const data = `${Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url')}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+  return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：签名算法 ===');
+  configure({ secret: 'hs-secret' });
+  const legacy = jwtUtils.generateToken({ id: 1 }, 'hs-secret');
+  check('兼容旧接口', jwtUtils.verifyToken(legacy, 'hs-secret').id === 1 && jwtUtils.verifyToken(legacy, 'other') === null);
+  check('HS256请求通过认证', (await request(legacy)).body.id === 1);
+
+  configure({ keys: [{ kid: 'rsa-1', alg: 'RS256', privateKey: rsa.privateKey, publicKey: rsa.publicKey }] });
+  const rsToken = jwtUtils.signToken({ id: 2 });
+  check('RS256签发和验证', JSON.parse(Buffer.from(rsToken.split('.')[0], 'base64url')).kid === 'rsa-1' && (await request(rsToken)).body.id === 2);
+
+  configure({ keys: [{ kid: 'ec-1', alg: 'ES256', privateKey: ec.privateKey, publicKey: ec.publicKey }] });
+  const esToken = jwtUtils.signToken({ id: 3 });
+  check('ES256签发和验证', Buffer.from(esToken.split('.')[2], 'base64url').length === 64 && (await request(esToken)).body.id === 3);
+
+  const [header, payload] = esToken.split('.');
+  const tampered = `${header}.${Buffer.from(JSON.stringify({ id: 999 })).toString('base64url')}.${esToken.split('.')[2]}`;
+  check('篡改负载被拒绝', (await request(tampered)).status === 401 && jwtUtils.decodeToken(`${header}.${payload}.AAAA`).error === 'invalid signature');
+
+  // 用RSA公钥作为HMAC密钥伪造token（算法混淆）
+  configure({ keys: [{ kid: 'rsa-1', alg: 'RS256', publicKey: rsa.publicKey }] });
+  const publicPem = rsa.publicKey.export({ type: 'spki', format: 'pem' });
+  const confused = forge({ id: 4 }, publicPem).replace(/^[^.]+/, Buffer.from(JSON.stringify({ alg: 'HS256', kid: 'rsa-1' })).toString('base64url'));
+  check('拒绝与密钥算法不一致的token', (await request(confused)).status === 401 && jwtUtils.decodeToken(confused).error === 'unknown key or algorithm');
+
+  console.log('\n=== 测试2：密钥轮换 ===');
+  const oldKey = { kid: '2025', alg: 'HS256', secret: 'old-secret' };
+  const newKey = { kid: '2026', alg: 'HS256', secret: 'new-secret' };
+  configure({ keys: [oldKey] });
+  const oldToken = jwtUtils.signToken({ id: 5 });
+  configure({ keys: [newKey, oldKey], signingKid: '2026' });
+  const newToken = jwtUtils.signToken({ id: 6 });
+  check('按kid选择签名密钥', JSON.parse(Buffer.from(newToken.split('.')[0], 'base64url')).kid === '2026');
+  check('轮换期间新旧token都有效', (await request(oldToken)).body.id === 5 && (await request(newToken)).body.id === 6);
+  configure({ keys: [newKey], signingKid: '2026' });
+  check('移除旧密钥后旧token失效', (await request(oldToken)).status === 401);
+
+  console.log('\n=== 测试3：声明校验 ===');
+  configure({ secret: 'hs-secret', issuer: 'cat-knight', audience: ['game', 'admin'], clockTolerance: 30 });
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { id: 7, iss: 'cat-knight', aud: 'game', iat: now, exp: now + 60 };
+  check('签发时写入iss和aud', jwtUtils.decodeToken(jwtUtils.signToken({ id: 7 })).payload.iss === 'cat-knight');
+  check('过期时间在时钟偏差内仍有效', jwtUtils.decodeToken(forge({ ...claims, exp: now - 10 }, 'hs-secret')).payload !== null);
+  const errors = [
+    forge({ ...claims, exp: now - 60 }, 'hs-secret'),
+    forge({ ...claims, nbf: now + 120 }, 'hs-secret'),
+    forge({ ...claims, iat: now + 120 }, 'hs-secret'),
+    forge({ ...claims, iss: 'someone-else' }, 'hs-secret'),
+    forge({ ...claims, aud: ['shop'] }, 'hs-secret')
+  ].map(token => jwtUtils.decodeToken(token).error);
+  check('校验exp、nbf、iat、iss和aud', JSON.stringify(errors)
+    === '["expired","not active","issued in the future","invalid issuer","invalid audience"]', JSON.stringify(errors));
+
+  configure({ secret: null });
+  const previousSecret = process.env.JWT_SECRET;
+  delete process.env.JWT_SECRET;
+  const unconfigured = await request(legacy);
+  if (previousSecret !== undefined) process.env.JWT_SECRET = previousSecret;
+  check('未配置密钥时不使用默认密钥', unconfigured.status === 500, String(unconfigured.status));
+
+  console.log('\n=== 测试4：刷新令牌和吊销 ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-jwt-'));
+  try {
+    const adapter = new JSONAdapter(path.join(dir, 'jwt.json'));
+    await adapter.init();
+    const revocation = jwtUtils.createRevocationStore(adapter);
+    configure({ secret: 'hs-secret', revocation });
+
+    const pair = jwtUtils.issueTokenPair({ id: 8, roles: ['player'] });
+    check('签发令牌对', (await request(pair.accessToken)).body.id === 8 && pair.expiresIn === defaults.accessTokenTtl);
+    check('刷新令牌不能用于访问', (await request(pair.refreshToken)).status === 401);
+
+    const rotated = await jwtUtils.rotateRefreshToken(pair.refreshToken);
+    const rotatedPayload = rotated && jwtUtils.verifyToken(rotated.accessToken);
+    check('轮换刷新令牌保留业务负载', rotatedPayload && rotatedPayload.id === 8 && rotatedPayload.roles[0] === 'player'
+      && rotatedPayload.typ === 'access');
+    check('旧刷新令牌不能重复使用', await jwtUtils.rotateRefreshToken(pair.refreshToken) === null);
+    check('访问令牌不能用于刷新', await jwtUtils.rotateRefreshToken(rotated.accessToken) === null);
+
+    await revocation.revoke(jwtUtils.verifyToken(rotated.accessToken));
+    const revoked = await request(rotated.accessToken);
+    check('吊销的访问令牌被拒绝', revoked.status === 401 && revoked.body.error.message === 'Token has been revoked');
+    check('重复吊销返回false', await revocation.revoke(jwtUtils.verifyToken(rotated.accessToken)) === false);
+
+    // 同一个刷新令牌被并发使用时只有一个请求换取新令牌
+    const sqlite = new SQLiteAdapter(path.join(dir, 'jwt.db'));
+    await sqlite.init();
+    try {
+      configure({ secret: 'hs-secret', revocation: jwtUtils.createRevocationStore(sqlite) });
+      const stolen = jwtUtils.issueTokenPair({ id: 9 }).refreshToken;
+      const attempts = await Promise.all(Array.from({ length: 5 }, () => jwtUtils.rotateRefreshToken(stolen)));
+      const succeeded = attempts.filter(Boolean).length;
+      check('并发重复使用的刷新令牌只能轮换一次', succeeded === 1, String(succeeded));
+    } finally {
+      await sqlite.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(jwt.config.options, defaults);
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
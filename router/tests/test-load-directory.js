@@ -0,0 +1,126 @@
+// 测试按目录加载路由和中间件
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+
+// 在临时目录中创建路由目录结构
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-routes-'));
+
+const files = {
+  'middlewares/request-tag.js': `
+const config = { name: 'request-tag', level: ['global'], order: 1 };
+
+function before(ctx) {
+  ctx.state.tagged = true;
+}
+`,
+  'public/hello.js': `
+const config = { method: 'GET' };
+
+function hello(ctx) {
+  return { message: 'hello', tagged: ctx.state.tagged };
+}
+`,
+  'public/players/inventory.js': `
+const config = { method: 'GET' };
+
+function inventory(ctx) {
+  return { route: 'players-inventory' };
+}
+`,
+  'public/guild/index.js': `
+const config = { method: 'GET' };
+
+function index(ctx) {
+  return { route: 'guild-index' };
+}
+`,
+  'protected/account/reward-claim.js': `
+const config = { method: 'POST' };
+
+function rewardClaim(ctx) {
+  return { route: 'reward-claim' };
+}
+`,
+  'private/broken.js': `
+const config = { method: 'GET' };
+function broken( {
+`,
+  'private/health.js': `
+const config = { method: 'GET' };
+
+function health(ctx) {
+  return { status: 'ok' };
+}
+`,
+  'public/readme.txt': 'not a route'
+};
+
+Object.entries(files).forEach(([relativePath, content]) => {
+  const fullPath = path.join(rootDir, relativePath);
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content);
+});
+
+// 创建路由实例
+const router = new Router();
+
+// 执行一次请求
+async function request(securityLevel, requestPath, method = 'GET') {
+  const handler = router.getRouteHandler(securityLevel, requestPath, method);
+  if (!handler) return null;
+  const ctx = { path: requestPath, method, status: null, body: null };
+  await handler(ctx);
+  return ctx.body;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  try {
+    console.log('=== 测试目录加载 ===');
+    const loaded = router.loadDirectory(rootDir);
+
+    check('加载了5个路由', loaded.routes.length === 5, String(loaded.routes.length));
+    check('加载了1个中间件', loaded.middlewares.length === 1 && loaded.middlewares[0].fileName === 'request-tag');
+    check('错误文件被记录而不中断加载', loaded.errors.length === 1 && loaded.errors[0].file.endsWith('broken.js'), JSON.stringify(loaded.errors.map(e => e.error)));
+
+    console.log('\n=== 测试路径映射 ===');
+    const hello = await request('public', '/hello');
+    check('根目录路由', hello && hello.message === 'hello' && hello.tagged === true, JSON.stringify(hello));
+
+    const inventory = await request('public', '/players/inventory');
+    check('子目录映射为URL前缀', inventory && inventory.route === 'players-inventory');
+
+    const guild = await request('public', '/guild');
+    check('index文件响应目录路径', guild && guild.route === 'guild-index');
+
+    const reward = await request('protected', '/account/rewardClaim', 'POST');
+    check('protected目录中的驼峰式路径', reward && reward.route === 'reward-claim');
+
+    const health = await request('private', '/health');
+    check('private目录路由', health && health.status === 'ok');
+
+    check('路由记录源文件路径', loaded.routes.every(route => route.filePath && route.filePath.startsWith(rootDir)));
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,155 @@
+// 测试结构化日志：级别过滤、传输器和脱敏
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+const logger = require('../middlewares/logger');
+const tracing = require('../middlewares/tracing');
+
+const defaults = { ...logger.config.options };
+const records = [];
+const lines = [];
+
+// 收集日志记录的自定义传输器
+const collect = (record, line) => {
+  records.push(record);
+  lines.push(line);
+};
+
+const router = new Router({ tools: { log: logger.log } });
+router.use(tracing);
+router.use(logger);
+router.register({ method: 'POST', path: '/api/auth/login' }, async (ctx) => {
+  ctx.user = { id: 42 };
+  return { token: 'jwt' };
+});
+router.register({ method: 'GET', path: '/missing' }, async (ctx) => {
+  ctx.status = 404;
+  ctx.body = { success: false };
+});
+router.register({ method: 'GET', path: '/broken' }, async () => {
+  throw new Error('boom');
+});
+router.loadRouteCode(`
+const config = { method: 'POST' };
+
+async function claim(ctx) {
+  log('info', 'reward claimed', { rewardId: 7 });
+  return { ok: true };
+}
+`, 'claim', 'public');
+
+// 执行一次请求
+async function request(requestPath, method, { headers = {}, body, url = requestPath } = {}) {
+  const handler = router.getRouteHandler('public', requestPath, method);
+  const ctx = {
+    path: requestPath,
+    url,
+    method,
+    headers: { 'user-agent': 'cat-client/1.0', ...headers },
+    request: { body },
+    status: null,
+    body: null,
+    set() {}
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+// 使用指定配置重置日志
+function configure(options) {
+  records.length = 0;
+  lines.length = 0;
+  Object.assign(logger.config.options, defaults, { transports: [collect] }, options);
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：结构化记录 ===');
+  check('默认输出combined格式的日志行', defaults.format === 'combined', defaults.format);
+  configure({ format: 'json' });
+  const login = await request('/api/auth/login', 'POST', { headers: { 'x-real-ip': '10.0.0.1' } });
+  const record = records[0];
+  check('包含请求字段', record && record.method === 'POST' && record.url === '/api/auth/login' && record.status === 200
+    && record.ip === '10.0.0.1' && record.userId === 42 && typeof record.durationMs === 'number', JSON.stringify(record));
+  check('包含请求ID', record.requestId === login.state.requestId && typeof record.time === 'string');
+  check('contentLength为序列化后的响应体字节数', record.contentLength === Buffer.byteLength(JSON.stringify({ token: 'jwt' })),
+    String(record.contentLength));
+  check('json格式每条记录一行', JSON.parse(lines[0]).requestId === login.state.requestId);
+
+  console.log('\n=== 测试2：级别 ===');
+  configure({});
+  await request('/missing', 'GET');
+  await request('/broken', 'GET');
+  check('4xx为warn，5xx为error并记录错误', records[0].level === 'warn' && records[1].level === 'error'
+    && records[1].status === 500 && records[1].error.message === 'boom', JSON.stringify(records.map(r => r.level)));
+
+  configure({ logLevel: 'warn' });
+  await request('/api/auth/login', 'POST');
+  await request('/missing', 'GET');
+  check('低于logLevel的记录被过滤', records.length === 1 && records[0].status === 404, String(records.length));
+
+  console.log('\n=== 测试3：脱敏 ===');
+  configure({ logHeaders: true, logBody: true });
+  await request('/api/auth/login', 'POST', {
+    headers: { Authorization: 'Bearer secret-token', 'x-real-ip': '10.0.0.1' },
+    body: { username: 'knight', password: 'hunter2', profile: { token: 'abc' } }
+  });
+  const redacted = records[0];
+  check('隐藏Authorization请求头', redacted.headers.Authorization === '[REDACTED]' && redacted.headers['x-real-ip'] === '10.0.0.1',
+    JSON.stringify(redacted.headers));
+  check('递归隐藏请求体中的password和token', redacted.body.password === '[REDACTED]' && redacted.body.profile.token === '[REDACTED]'
+    && redacted.body.username === 'knight', JSON.stringify(redacted.body));
+  check('日志行中不包含敏感值', !/hunter2|secret-token/.test(lines[0]));
+
+  configure({});
+  await request('/api/auth/login', 'POST', { url: '/api/auth/login?API_KEY=k1.secret&page=2&access_token=abc' });
+  check('隐藏URL中的API Key和令牌查询参数', records[0].url === '/api/auth/login?API_KEY=[REDACTED]&page=2&access_token=[REDACTED]'
+    && !/k1\.secret|abc/.test(lines[0]), records[0].url);
+
+  console.log('\n=== 测试4：业务日志和文本格式 ===');
+  configure({ format: 'combined' });
+  const claim = await request('/claim', 'POST');
+  check('路由中调用log()自动带上请求ID', records[0].msg === 'reward claimed' && records[0].rewardId === 7
+    && records[0].requestId === claim.state.requestId, JSON.stringify(records[0]));
+  check('combined格式', lines[1].includes(`[INFO] [${claim.state.requestId}] unknown - POST /claim 200`)
+    && lines[1].includes('"cat-client/1.0"') && lines[1].includes(` 200 ${Buffer.byteLength(JSON.stringify({ ok: true }))} `), lines[1]);
+
+  console.log('\n=== 测试5：文件传输器 ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-logger-'));
+  try {
+    const filePath = path.join(dir, 'logs', 'access.log');
+    const fileTransport = logger.createFileTransport({ path: filePath, maxSize: 400, maxFiles: 2 });
+    configure({ format: 'json', transports: [fileTransport] });
+    for (let i = 0; i < 6; i++) {
+      await request('/api/auth/login', 'POST');
+    }
+    await fileTransport.close();
+
+    const files = fs.readdirSync(path.dirname(filePath)).sort();
+    check('超过大小后轮转并限制历史文件数', JSON.stringify(files) === '["access.log","access.log.1","access.log.2"]', JSON.stringify(files));
+    const current = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    check('每行都是完整的JSON记录', current.every(line => JSON.parse(line).url === '/api/auth/login'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(logger.config.options, defaults);
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,114 @@
+// 测试指标统计：请求指标、事务指标和Prometheus输出
+const Router = require('../router');
+const metrics = require('../middlewares/metrics');
+const responseFormatter = require('../middlewares/response-formatter');
+const { MetricsRegistry, createTransactionRecorder } = require('../metrics');
+const SqlFunctionParser = require('../../storage/SqlFunctionParser');
+
+const registry = new MetricsRegistry();
+metrics.config.options.registry = registry;
+
+// 只实现事务接口的存储适配器，failCommit为true时提交失败
+const adapter = {
+  failCommit: false,
+  async beginTransaction() {},
+  async commit() {
+    if (this.failCommit) {
+      throw new Error('disk I/O error');
+    }
+  },
+  async rollback() {}
+};
+const parser = new SqlFunctionParser(adapter, { onTransactionEnd: createTransactionRecorder(registry) });
+
+const router = new Router();
+router.use(metrics);
+router.use(responseFormatter);
+router.register({ method: 'GET', path: '/players/:id' }, async (ctx) => ({ id: ctx.params.id }));
+router.register({ method: 'GET', path: '/broken' }, async () => {
+  throw new Error('boom');
+});
+router.register({ method: 'POST', path: '/rewards' }, async () => {
+  await parser.executeTransaction({ name: 'GrantReward', params: [], body: [] }, {});
+  return { ok: true };
+});
+router.exposeMetrics({ registry });
+
+// 执行一次请求
+async function request(level, requestPath, method = 'GET') {
+  const handler = router.getRouteHandler(level, requestPath, method);
+  const responseHeaders = {};
+  const ctx = {
+    path: requestPath,
+    method,
+    headers: {},
+    status: null,
+    body: null,
+    responseHeaders,
+    set(name, value) { responseHeaders[name] = value; },
+    get(name) { return responseHeaders[name] || ''; }
+  };
+  await handler(ctx);
+  // onFinish 在 nextTick 中执行
+  await new Promise(resolve => setImmediate(resolve));
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  const requests = registry.counter('http_requests_total', '', ['method', 'route', 'level', 'status_class']);
+  const duration = registry.histogram('http_request_duration_seconds', '', ['method', 'route', 'level']);
+
+  console.log('=== 测试1：请求指标 ===');
+  await request('public', '/players/1');
+  await request('public', '/players/2');
+  await request('public', '/broken');
+  check('按规范路径和状态码分类计数', requests.get({ method: 'GET', route: '/players/:id', level: 'public', status_class: '2xx' }) === 2);
+  check('错误请求同样记录', requests.get({ method: 'GET', route: '/broken', level: 'public', status_class: '5xx' }) === 1);
+  const observed = duration.get({ method: 'GET', route: '/players/:id', level: 'public' });
+  check('记录耗时直方图', observed.count === 2 && observed.sum > 0 && observed.sum < 1, JSON.stringify(observed));
+
+  console.log('\n=== 测试2：事务指标 ===');
+  await request('public', '/rewards', 'POST');
+  adapter.failCommit = true;
+  const failed = await request('public', '/rewards', 'POST');
+  adapter.failCommit = false;
+  const transactions = registry.counter('db_transactions_total', '', ['transaction', 'outcome']);
+  check('记录提交和回滚次数', transactions.get({ transaction: 'GrantReward', outcome: 'commit' }) === 1
+    && transactions.get({ transaction: 'GrantReward', outcome: 'rollback' }) === 1 && failed.status === 500);
+  const txDuration = registry.histogram('db_transaction_duration_seconds', '', ['transaction', 'outcome']);
+  check('记录事务耗时', txDuration.get({ transaction: 'GrantReward', outcome: 'commit' }).count === 1);
+
+  console.log('\n=== 测试3：Prometheus输出 ===');
+  const scrape = await request('private', '/metrics');
+  const text = scrape.body.toString();
+  check('指标路由默认注册在private级别', router.getRouteHandler('public', '/metrics', 'GET') === null && scrape.status === 200);
+  check('返回Prometheus文本格式', scrape.responseHeaders['Content-Type'].startsWith('text/plain; version=0.0.4') && Buffer.isBuffer(scrape.body));
+  check('包含HELP和TYPE', text.includes('# TYPE http_requests_total counter') && text.includes('# TYPE http_request_duration_seconds histogram'));
+  check('计数样本', text.includes('http_requests_total{method="GET",route="/players/:id",level="public",status_class="2xx"} 2'));
+  check('直方图包含累计分桶、sum和count', text.includes('http_request_duration_seconds_bucket{method="GET",route="/players/:id",level="public",le="+Inf"} 2')
+    && text.includes('http_request_duration_seconds_count{method="GET",route="/players/:id",level="public"} 2'));
+  check('包含事务指标', text.includes('db_transactions_total{transaction="GrantReward",outcome="commit"} 1'));
+
+  const escaped = new MetricsRegistry();
+  escaped.counter('labels_total', 'Label escaping', ['value']).inc({ value: 'a"b\\c\nd' });
+  check('转义标签值', escaped.render().includes('labels_total{value="a\\"b\\\\c\\nd"} 1'), escaped.render());
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
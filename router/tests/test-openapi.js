@@ -0,0 +1,104 @@
+// 测试根据路由配置生成 OpenAPI 文档
+const Router = require('../router');
+
+const router = new Router();
+
+router.loadRouteCode(`
+const config = {
+  method: 'GET',
+  path: '/players/:id(\\\\d+)/inventory/:slot?',
+  summary: '查询玩家背包',
+  params: { id: 'number', slot: 'str[20]' },
+  query: { page: 'number?', category: 'str[10]' },
+  responses: {
+    200: { items: ['str'], gold: 'number[10.2]' },
+    404: '玩家不存在'
+  }
+};
+
+function inventory(ctx) {
+  return { items: [], gold: 0 };
+}
+`, 'inventory', 'protected');
+
+router.loadRouteCode(`
+const config = {
+  method: 'POST',
+  summary: '登录',
+  body: { username: 'str[50]', password: 'str', remember: 'bool?' },
+  responses: { 201: { description: '登录成功', schema: { token: 'str' } } }
+};
+
+function login(ctx) {
+  return { token: 'x' };
+}
+`, 'login', 'public');
+
+router.register({ method: 'GET', path: '/health' }, async () => ({ ok: true }), 'public');
+router.exposeMetrics();
+
+function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  const doc = router.toOpenAPI({ title: 'Cat Knight API', version: '2.0.0', servers: ['https://api.example.com'] });
+
+  console.log('=== 测试1：文档结构 ===');
+  check('OpenAPI版本和信息', doc.openapi === '3.1.0' && doc.info.title === 'Cat Knight API' && doc.info.version === '2.0.0');
+  check('服务器地址', doc.servers[0].url === 'https://api.example.com');
+  check('Bearer安全方案', doc.components.securitySchemes.bearerAuth.scheme === 'bearer');
+
+  console.log('\n=== 测试2：路径和参数 ===');
+  const paths = Object.keys(doc.paths).sort();
+  check('可选段展开为两个路径', paths.includes('/players/{id}/inventory/{slot}') && paths.includes('/players/{id}/inventory'), paths.join(', '));
+  const inventory = doc.paths['/players/{id}/inventory/{slot}'].get;
+  const param = name => inventory.parameters.find(p => p.name === name);
+  check('路径参数类型和约束', param('id').in === 'path' && param('id').schema.type === 'number' && param('id').schema.pattern === '^(?:\\d+)$',
+    JSON.stringify(param('id')));
+  check('str[20]转换为maxLength', param('slot').schema.maxLength === 20);
+  check('查询参数的必填性', param('page').required === false && param('category').required === true);
+  check('省略可选段的路径不含该参数', !doc.paths['/players/{id}/inventory'].get.parameters.some(p => p.name === 'slot'));
+  check('summary和operationId', inventory.summary === '查询玩家背包' && inventory.operationId === 'inventory');
+
+  console.log('\n=== 测试3：请求体和响应 ===');
+  const login = doc.paths['/login'].post;
+  const body = login.requestBody.content['application/json'].schema;
+  check('请求体Schema', body.properties.username.maxLength === 50 && JSON.stringify(body.required) === '["username","password"]',
+    JSON.stringify(body));
+  const created = login.responses['201'];
+  const envelope = created.content['application/json'].schema;
+  check('成功响应使用response-formatter格式', created.description === '登录成功'
+    && envelope.properties.success.const === true && envelope.properties.data.properties.token.type === 'string'
+    && 'timestamp' in envelope.properties && 'status' in envelope.properties);
+  const gold = inventory.responses['200'].content['application/json'].schema.properties.data.properties.gold;
+  check('number[10.2]转换为数值范围', gold.multipleOf === 0.01 && gold.maximum === 99999999.99, JSON.stringify(gold));
+  check('错误响应引用ErrorResponse', inventory.responses['404'].description === '玩家不存在'
+    && inventory.responses['404'].content['application/json'].schema.$ref === '#/components/schemas/ErrorResponse');
+  check('未声明响应时默认200', doc.paths['/health'].get.responses['200'] !== undefined);
+
+  console.log('\n=== 测试4：安全级别 ===');
+  check('protected路由需要Bearer认证', JSON.stringify(inventory.security) === '[{"bearerAuth":[]}]' && inventory.responses['401'] !== undefined);
+  check('public路由无需认证', login.security === undefined && login.tags[0] === 'public');
+  const publicOnly = router.toOpenAPI({ level: 'public' });
+  check('按安全级别过滤', !Object.keys(publicOnly.paths).some(p => p.startsWith('/players')));
+  check('默认不包含private路由', doc.paths['/metrics'] === undefined, Object.keys(doc.paths).join(', '));
+  const withPrivate = router.toOpenAPI({ levels: ['public', 'protected', 'private'] });
+  check('通过levels包含private路由', withPrivate.paths['/metrics'].get.tags[0] === 'private'
+    && withPrivate.paths['/login'] !== undefined && withPrivate.paths['/players/{id}/inventory'] !== undefined);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,133 @@
+// 测试路径参数、可选段、通配符和约束匹配
+const Router = require('../router');
+
+// 创建路由实例
+const router = new Router();
+
+// 注册带参数的路由
+router.register(
+  { method: 'GET', path: '/players/:id/inventory/:slot' },
+  (ctx) => ({ route: 'inventory-slot', params: ctx.params })
+);
+
+router.register(
+  { method: 'GET', path: '/players/:id(\\d+)' },
+  (ctx) => ({ route: 'player-by-id', params: ctx.params })
+);
+
+router.register(
+  { method: 'GET', path: '/players/me' },
+  (ctx) => ({ route: 'player-me', params: ctx.params })
+);
+
+router.register(
+  { method: 'GET', path: '/players/:name' },
+  (ctx) => ({ route: 'player-by-name', params: ctx.params })
+);
+
+router.register(
+  { method: 'GET', path: '/maps/:region/:zone?' },
+  (ctx) => ({ route: 'map', params: ctx.params })
+);
+
+router.register(
+  { method: 'GET', path: '/saves/:file([^/]+\\.sav)' },
+  (ctx) => ({ route: 'save-file', params: ctx.params })
+);
+
+router.register(
+  { method: 'GET', path: '/assets/*' },
+  (ctx) => ({ route: 'assets', params: ctx.params })
+);
+
+// 通过代码加载的路由同样支持路径参数
+router.loadRouteCode(`
+const config = {
+  method: 'GET',
+  path: '/guilds/:guildId/members/:memberId'
+};
+
+function guildMember(ctx) {
+  return { route: 'guild-member', params: ctx.params };
+}
+`, 'guild-member', 'public');
+
+// 测试用例：[路径, 预期路由, 预期参数]
+const testCases = [
+  ['/players/42/inventory/sword', 'inventory-slot', { id: '42', slot: 'sword' }],
+  ['/players/42', 'player-by-id', { id: '42' }],
+  ['/players/me', 'player-me', {}],
+  ['/players/cat%20knight', 'player-by-name', { name: 'cat knight' }],
+  ['/maps/forest', 'map', { region: 'forest' }],
+  ['/maps/forest/north', 'map', { region: 'forest', zone: 'north' }],
+  ['/saves/slot1.sav', 'save-file', { file: 'slot1.sav' }],
+  ['/assets/img/cat.png', 'assets', { '*': 'img/cat.png' }],
+  ['/assets', 'assets', { '*': '' }],
+  ['/guilds/7/members/3', 'guild-member', { guildId: '7', memberId: '3' }],
+  ['/guild-member', 'guild-member', {}],
+  ['/players/42/inventory/sword/', 'inventory-slot', { id: '42', slot: 'sword' }]
+];
+
+async function runTests() {
+  console.log('=== 测试路径参数匹配 ===');
+  let passedCount = 0;
+
+  for (const [path, expectedRoute, expectedParams] of testCases) {
+    const handler = router.getRouteHandler('public', path, 'GET');
+    if (!handler) {
+      console.error(`✗ ${path} 未匹配到路由`);
+      continue;
+    }
+
+    const ctx = { path, method: 'GET', status: null, body: null };
+    await handler(ctx);
+
+    const passed = ctx.body.route === expectedRoute &&
+      JSON.stringify(ctx.params) === JSON.stringify(expectedParams);
+
+    if (passed) {
+      console.log(`✓ ${path} -> ${ctx.body.route} ${JSON.stringify(ctx.params)}`);
+      passedCount++;
+    } else {
+      console.error(`✗ ${path} -> ${ctx.body.route} ${JSON.stringify(ctx.params)}，预期 ${expectedRoute} ${JSON.stringify(expectedParams)}`);
+    }
+  }
+
+  // 不匹配的路径应返回null
+  const missing = router.getRouteHandler('public', '/players/42/inventory', 'GET');
+  if (missing === null) {
+    console.log('✓ /players/42/inventory 未匹配任何路由');
+    passedCount++;
+  } else {
+    console.error('✗ /players/42/inventory 不应匹配任何路由');
+  }
+
+  // 约束正则要求匹配斜杠时注册即报错，否则逐段匹配的路由永远不会命中
+  const invalidPatterns = ['/docs/:page(guide/.+)', '/docs/:page([a-z/]+)', '/docs/:page(a\\/b)'];
+  for (const pattern of invalidPatterns) {
+    let error = null;
+    try {
+      router.register({ method: 'GET', path: pattern }, () => ({}));
+    } catch (e) {
+      error = e;
+    }
+    if (error && /must not match "\/"/.test(error.message)) {
+      console.log(`✓ ${pattern} 注册时报错: ${error.message}`);
+      passedCount++;
+    } else {
+      console.error(`✗ ${pattern} 注册时应报错`);
+    }
+  }
+
+  const totalCount = testCases.length + 1 + invalidPatterns.length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${totalCount}`);
+
+  if (passedCount !== totalCount) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,181 @@
+// 测试限流中间件：三种策略、限流键、路由级配置、存储和并发计数
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+const rateLimit = require('../middlewares/rate-limit');
+const errorHandler = require('../middlewares/error-handler');
+const JSONAdapter = require('../../storage/adapters/JSONAdapter');
+const SQLiteAdapter = require('../../storage/adapters/SQLiteAdapter');
+
+const defaults = { ...rateLimit.config.options };
+
+// 创建带限流中间件的路由
+function createRouter(options = {}) {
+  Object.assign(rateLimit.config.options, defaults, { store: new rateLimit.MemoryStore() }, options);
+  const router = new Router();
+  router.use(rateLimit);
+  router.use(errorHandler);
+  router.register({ method: 'POST', path: '/api/auth/login' }, async () => ({ token: 't' }));
+  router.register({ method: 'POST', path: '/rewards/:id/claim', rateLimit: { max: 1, windowMs: 60000 } }, async () => ({ claimed: true }));
+  router.register({ method: 'GET', path: '/health', rateLimit: false }, async () => ({ ok: true }));
+  return router;
+}
+
+// 执行一次请求
+async function request(router, requestPath, method, { ip = '10.0.0.1', forwardedFor, user } = {}) {
+  const handler = router.getRouteHandler('public', requestPath, method);
+  const headers = {};
+  const ctx = {
+    path: requestPath,
+    method,
+    headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+    socket: { remoteAddress: ip },
+    user,
+    status: null,
+    body: null,
+    responseHeaders: headers,
+    set(name, value) { headers[name] = value; }
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+// 连续请求并返回状态码列表
+async function burst(router, count, requestPath, method, options) {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    statuses.push((await request(router, requestPath, method, options)).status);
+  }
+  return statuses;
+}
+
+// 并发请求并返回允许通过的次数
+async function concurrent(router, count, requestPath, method, options) {
+  const responses = await Promise.all(Array.from({ length: count }, () => request(router, requestPath, method, options)));
+  return responses.filter(ctx => ctx.status === 200).length;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：固定窗口 ===');
+  const fixed = createRouter({ max: 3 });
+  const fixedStatuses = await burst(fixed, 4, '/api/auth/login', 'POST');
+  check('超出max后返回429', JSON.stringify(fixedStatuses) === '[200,200,200,429]', JSON.stringify(fixedStatuses));
+  const limited = await request(fixed, '/api/auth/login', 'POST');
+  check('429响应经过error-handler', limited.body.error.code === 429 && limited.body.error.message === defaults.message);
+  check('返回Retry-After和RateLimit头', limited.responseHeaders['Retry-After'] === '60'
+    && limited.responseHeaders['RateLimit-Remaining'] === '0' && limited.responseHeaders['RateLimit-Policy'] === '3;w=60',
+  JSON.stringify(limited.responseHeaders));
+  const other = await request(fixed, '/api/auth/login', 'POST', { ip: '10.0.0.2' });
+  check('不同IP分别计数', other.status === 200 && other.responseHeaders['RateLimit-Remaining'] === '2');
+
+  console.log('\n=== 测试2：路由级配置 ===');
+  const first = await request(fixed, '/rewards/1/claim', 'POST', { ip: '10.0.0.3' });
+  const second = await request(fixed, '/rewards/2/claim', 'POST', { ip: '10.0.0.3' });
+  check('config.rateLimit覆盖默认值且按路由计数', first.status === 200 && second.status === 429
+    && first.responseHeaders['RateLimit-Limit'] === '1', `${first.status} ${second.status}`);
+  const health = await burst(fixed, 5, '/health', 'GET');
+  check('rateLimit: false关闭限流', health.every(status => status === 200));
+
+  console.log('\n=== 测试3：滑动窗口和令牌桶 ===');
+  const sliding = createRouter({ strategy: 'sliding-window', max: 2, windowMs: 1000 });
+  const slidingStatuses = await burst(sliding, 3, '/api/auth/login', 'POST');
+  check('滑动窗口限制窗口内请求数', JSON.stringify(slidingStatuses) === '[200,200,429]', JSON.stringify(slidingStatuses));
+
+  const now = 1000000;
+  const strategy = rateLimit.strategies['sliding-window'];
+  const carried = strategy({ windowStart: now - 1000, count: 2, previousCount: 0 }, { max: 2, windowMs: 1000 }, now + 250);
+  check('上一个窗口的计数按剩余比例计入', carried.allowed === false, JSON.stringify(carried));
+
+  const bucket = createRouter({ strategy: 'token-bucket', max: 2, windowMs: 100 });
+  const bucketStatuses = await burst(bucket, 3, '/api/auth/login', 'POST');
+  await new Promise(resolve => setTimeout(resolve, 80));
+  const refilled = await request(bucket, '/api/auth/login', 'POST');
+  check('令牌桶允许突发并按速率补充', JSON.stringify(bucketStatuses) === '[200,200,429]' && refilled.status === 200,
+    `${JSON.stringify(bucketStatuses)} ${refilled.status}`);
+
+  console.log('\n=== 测试4：限流键 ===');
+  const byUser = createRouter({ max: 1, keyBy: 'user' });
+  const alice = await request(byUser, '/api/auth/login', 'POST', { ip: '10.0.0.9', user: { id: 1 } });
+  const bob = await request(byUser, '/api/auth/login', 'POST', { ip: '10.0.0.9', user: { id: 2 } });
+  check('按ctx.user.id计数', alice.status === 200 && bob.status === 200);
+
+  const byHeader = createRouter({ max: 1, keyBy: ctx => ctx.socket.remoteAddress.split('.')[0] });
+  const custom = [await request(byHeader, '/api/auth/login', 'POST', { ip: '10.0.0.1' }), await request(byHeader, '/api/auth/login', 'POST', { ip: '10.9.9.9' })];
+  check('自定义限流键函数', custom[0].status === 200 && custom[1].status === 429);
+
+  const spoofed = createRouter({ max: 2 });
+  const spoofedStatuses = [];
+  for (let i = 0; i < 5; i++) {
+    spoofedStatuses.push((await request(spoofed, '/api/auth/login', 'POST', { forwardedFor: `203.0.113.${i}` })).status);
+  }
+  check('默认忽略伪造的X-Forwarded-For', JSON.stringify(spoofedStatuses) === '[200,200,429,429,429]', JSON.stringify(spoofedStatuses));
+
+  const proxied = createRouter({ max: 1, trustProxy: true });
+  const viaProxy = [
+    await request(proxied, '/api/auth/login', 'POST', { ip: '10.0.0.254', forwardedFor: '203.0.113.1, 10.0.0.254' }),
+    await request(proxied, '/api/auth/login', 'POST', { ip: '10.0.0.254', forwardedFor: '203.0.113.2' }),
+    await request(proxied, '/api/auth/login', 'POST', { ip: '10.0.0.254', forwardedFor: '203.0.113.1' })
+  ].map(ctx => ctx.status);
+  check('trustProxy按转发头中的客户端地址计数', JSON.stringify(viaProxy) === '[200,200,429]', JSON.stringify(viaProxy));
+
+  console.log('\n=== 测试5：存储适配器 ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-rate-limit-'));
+  try {
+    const dbPath = path.join(dir, 'rate-limit.json');
+    const adapter = new JSONAdapter(dbPath);
+    await adapter.init();
+    const shared = createRouter({ max: 2, store: new rateLimit.AdapterStore(adapter) });
+    const sharedStatuses = await burst(shared, 3, '/api/auth/login', 'POST');
+    check('通过适配器保存计数', JSON.stringify(sharedStatuses) === '[200,200,429]', JSON.stringify(sharedStatuses));
+
+    // 另一个进程使用同一个数据文件
+    const reopened = new JSONAdapter(dbPath);
+    await reopened.init();
+    const other = createRouter({ max: 2, store: new rateLimit.AdapterStore(reopened) });
+    const shared429 = await request(other, '/api/auth/login', 'POST');
+    check('多个实例共享计数', shared429.status === 429, String(shared429.status));
+
+    console.log('\n=== 测试6：并发请求 ===');
+    const memoryAllowed = await concurrent(createRouter({ max: 2 }), 10, '/api/auth/login', 'POST');
+    check('内存存储并发计数准确', memoryAllowed === 2, String(memoryAllowed));
+    const jsonAllowed = await concurrent(createRouter({ max: 2, store: new rateLimit.AdapterStore(adapter, { table: 'ConcurrentLimit' }) }),
+      10, '/api/auth/login', 'POST');
+    check('JSON适配器并发计数准确', jsonAllowed === 2, String(jsonAllowed));
+
+    const sqlite = new SQLiteAdapter(path.join(dir, 'rate-limit.db'));
+    await sqlite.init();
+    try {
+      const sqliteRouter = createRouter({ max: 2, store: new rateLimit.AdapterStore(sqlite) });
+      const sqliteAllowed = await concurrent(sqliteRouter, 10, '/api/auth/login', 'POST');
+      check('SQLite适配器并发计数准确', sqliteAllowed === 2, String(sqliteAllowed));
+      const bucketAllowed = await concurrent(createRouter({ strategy: 'token-bucket', max: 3, store: new rateLimit.AdapterStore(sqlite) }),
+        10, '/api/auth/login', 'POST');
+      check('令牌桶并发计数准确', bucketAllowed === 3, String(bucketAllowed));
+    } finally {
+      await sqlite.close();
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(rateLimit.config.options, defaults);
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,140 @@
+// 测试路由输出Schema：字段过滤和开发环境下的响应校验
+const Router = require('../router');
+const Entity = require('../../storage/Entity');
+const responseFormatter = require('../middlewares/response-formatter');
+const errorHandler = require('../middlewares/error-handler');
+
+const userEntityDef = {
+  name: 'User',
+  fields: {
+    id: { rawType: 'str[36][primary]' },
+    username: { rawType: 'str[50][unique][not null]' },
+    password: { rawType: 'str[255][not null]' },
+    gold: { rawType: 'number[10.2]' }
+  }
+};
+
+const createUser = (data = {}) => new Entity(userEntityDef, {
+  id: 'u-1',
+  username: 'knight',
+  password: 'hashed-secret',
+  gold: 12.5,
+  ...data
+});
+
+const output = { id: 'str', username: 'str[50]', gold: 'number[10.2]' };
+
+// 执行一次请求
+async function request(router, path) {
+  const handler = router.getRouteHandler('public', path, 'GET');
+  const ctx = { path, method: 'GET', status: null, body: null, set() {}, get() { return ''; } };
+  await handler(ctx);
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  const router = new Router({ tools: { createUser }, validateResponses: false });
+  router.use(responseFormatter);
+  router.loadRouteCode(`
+const config = { method: 'GET', output: ${JSON.stringify(output)} };
+
+async function profile(ctx) {
+  return createUser();
+}
+`, 'profile', 'public');
+  router.register({ method: 'GET', path: '/list', output: { users: [output] } }, async () => ({
+    users: [createUser(), createUser({ id: 'u-2', username: 'cat' })],
+    debug: true
+  }));
+  router.register({ method: 'GET', path: '/wrapped', output }, async (ctx) => {
+    ctx.body = { success: true, data: { id: 'u-1', username: 'knight', password: 'x', gold: '1.00' } };
+  });
+
+  console.log('=== 测试1：过滤未声明的字段 ===');
+  const profile = await request(router, '/profile');
+  check('Entity结果被解析并去掉password', JSON.stringify(profile.body.data) === '{"id":"u-1","username":"knight","gold":"12.50"}',
+    JSON.stringify(profile.body));
+  check('在response-formatter包装之前执行', profile.body.success === true && 'timestamp' in profile.body);
+
+  const list = await request(router, '/list');
+  check('嵌套数组中的Entity同样被过滤', JSON.stringify(list.body.data) === '{"users":[{"id":"u-1","username":"knight","gold":"12.50"},{"id":"u-2","username":"cat","gold":"12.50"}]}',
+    JSON.stringify(list.body.data));
+
+  const wrapped = await request(router, '/wrapped');
+  check('已包装的响应只过滤data', JSON.stringify(wrapped.body) === '{"success":true,"data":{"id":"u-1","username":"knight","gold":"1.00"}}',
+    JSON.stringify(wrapped.body));
+
+  console.log('\n=== 测试2：开发环境下的响应校验 ===');
+  const strict = new Router({ validateResponses: true });
+  strict.use(errorHandler);
+  strict.register({ method: 'GET', path: '/ok', output }, async () => createUser());
+  strict.register({ method: 'GET', path: '/broken', output }, async () => ({ id: 'u-1', gold: 'lots' }));
+
+  const ok = await request(strict, '/ok');
+  check('Entity的字符串数字通过number校验', ok.status === 200 && ok.body.gold === '12.50', JSON.stringify(ok.body));
+
+  let thrown = null;
+  strict.use({ config: { name: 'capture' }, onError: async (ctx, error) => { thrown = error; } });
+  const broken = await request(strict, '/broken');
+  const rules = thrown ? thrown.errors.map(e => `${e.field}:${e.rule}`) : [];
+  check('不符合Schema时返回500', broken.status === 500 && broken.body.error.message === 'Response validation failed', JSON.stringify(broken.body.error.message));
+  check('错误对象列出字段级错误，响应中不暴露', JSON.stringify(rules) === '["username:required","gold:type"]'
+    && broken.body.error.errors === undefined, JSON.stringify(broken.body.error));
+
+  const bare = new Router({ validateResponses: true });
+  bare.register({ method: 'GET', path: '/broken', output }, async () => ({ id: 'u-1', gold: 'lots' }));
+  const bareBroken = await request(bare, '/broken');
+  check('未使用error-handler时同样不暴露', bareBroken.status === 500 && bareBroken.body.error.errors === undefined, JSON.stringify(bareBroken.body));
+
+  const lenient = new Router({ validateResponses: false });
+  lenient.register({ method: 'GET', path: '/broken', output }, async () => ({ id: 'u-1', gold: 'lots', secret: 1 }));
+  const filtered = await request(lenient, '/broken');
+  check('关闭校验时只过滤字段', filtered.status === 200 && JSON.stringify(filtered.body) === '{"id":"u-1","gold":"lots"}', JSON.stringify(filtered.body));
+
+  lenient.register({ method: 'GET', path: '/quest', output: { title: 'str', description: 'str' } }, async () => ({
+    title: 'Rescue', description: 'Find the cat', reward: 500
+  }));
+  const quest = await request(lenient, '/quest');
+  check('字段名与JSON Schema关键字相同时同样过滤', JSON.stringify(quest.body) === '{"title":"Rescue","description":"Find the cat"}',
+    JSON.stringify(quest.body));
+
+  const reward = {
+    oneOf: [
+      { type: 'object', properties: { kind: { type: 'string', enum: ['gold'] }, amount: { type: 'number' } }, required: ['kind', 'amount'] },
+      { type: 'object', properties: { kind: { type: 'string', enum: ['item'] }, itemId: { type: 'string' } }, required: ['kind', 'itemId'] }
+    ]
+  };
+  lenient.register({ method: 'GET', path: '/rewards', output: { type: 'array', items: reward } }, async () => ([
+    { kind: 'gold', amount: 5, itemId: 'leak', secret: 1 },
+    { kind: 'item', itemId: 'sword', amount: 9 },
+    { kind: 'unknown', itemId: 'x', token: 't' }
+  ]));
+  const rewards = await request(lenient, '/rewards');
+  check('oneOf按匹配的子Schema过滤，都不匹配时只保留声明过的字段',
+    JSON.stringify(rewards.body) === '[{"kind":"gold","amount":5},{"kind":"item","itemId":"sword"},{"kind":"unknown","itemId":"x"}]',
+    JSON.stringify(rewards.body));
+
+  console.log('\n=== 测试3：OpenAPI使用输出Schema ===');
+  const doc = router.toOpenAPI();
+  const data = doc.paths['/profile'].get.responses['200'].content['application/json'].schema.properties.data;
+  check('200响应的data使用output', JSON.stringify(Object.keys(data.properties)) === '["id","username","gold"]', JSON.stringify(data));
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,108 @@
+// 测试路由树与中间件链的编译缓存及自动失效
+const Router = require('../router');
+
+// 创建路由实例
+const router = new Router();
+
+// 用于记录after中间件的执行顺序
+const afterOrder = [];
+
+router.use({
+  config: { name: 'after-1', level: ['global'], order: 1 },
+  async after(ctx) {
+    afterOrder.push('after-1');
+  }
+});
+
+router.use({
+  config: { name: 'after-2', level: ['global'], order: 2 },
+  async after(ctx) {
+    afterOrder.push('after-2');
+  }
+});
+
+router.register(
+  { method: 'GET', path: '/items/:id' },
+  (ctx) => ({ route: 'item-by-id' })
+);
+
+// 执行一次请求
+async function request(path) {
+  const handler = router.getRouteHandler('public', path, 'GET');
+  if (!handler) return null;
+  const ctx = { path, method: 'GET', status: null, body: null };
+  await handler(ctx);
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  // 测试1：多次请求时after中间件顺序保持稳定
+  console.log('=== 测试1：缓存的中间件链顺序稳定 ===');
+  await request('/items/1');
+  await request('/items/2');
+  const expectedAfter = ['after-2', 'after-1', 'after-2', 'after-1'];
+  const orderPassed = JSON.stringify(afterOrder) === JSON.stringify(expectedAfter);
+  console.log(`${orderPassed ? '✓' : '✗'} after执行顺序: ${JSON.stringify(afterOrder)}`);
+  results.push(orderPassed);
+
+  // 测试2：register后路由树自动重建
+  console.log('\n=== 测试2：register后路由树失效 ===');
+  const cachedTree = router._getRouteTree('public');
+  router.register(
+    { method: 'GET', path: '/items/featured' },
+    (ctx) => ({ route: 'item-featured' })
+  );
+  const rebuilt = router._getRouteTree('public') !== cachedTree;
+  const ctx2 = await request('/items/featured');
+  const registerPassed = rebuilt && ctx2.body.route === 'item-featured';
+  console.log(`${registerPassed ? '✓' : '✗'} 新注册的静态路由优先: ${ctx2.body.route}`);
+  results.push(registerPassed);
+
+  // 测试3：loadRouteCode后路由树自动重建
+  console.log('\n=== 测试3：loadRouteCode后路由树失效 ===');
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function shopList(ctx) {
+  return { route: 'shop-list' };
+}
+`, 'shop-list', 'public');
+  const ctx3 = await request('/shop-list');
+  const loadPassed = ctx3 && ctx3.body.route === 'shop-list';
+  console.log(`${loadPassed ? '✓' : '✗'} 加载的路由可以匹配`);
+  results.push(loadPassed);
+
+  // 测试4：use和loadMiddlewareCode后中间件链自动重建
+  console.log('\n=== 测试4：中间件变化后中间件链失效 ===');
+  router.use({
+    config: { name: 'late-use', level: ['public'], order: 3 },
+    async before(ctx) {
+      ctx.lateUse = true;
+    }
+  });
+  router.loadMiddlewareCode(`
+const config = { name: 'late-code', level: ['global'], order: 4 };
+
+function before(ctx) {
+  ctx.lateCode = true;
+}
+`, 'late-code');
+  const ctx4 = await request('/items/3');
+  const middlewarePassed = ctx4.lateUse === true && ctx4.lateCode === true;
+  console.log(`${middlewarePassed ? '✓' : '✗'} 新注册的中间件已执行`);
+  results.push(middlewarePassed);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,176 @@
+// 测试路由级中间件：config.middlewares 附加和覆盖配置、config.skipMiddlewares 跳过
+const Router = require('../router');
+const logger = require('../middlewares/logger');
+const cors = require('../middlewares/cors');
+const cache = require('../middlewares/cache');
+const rateLimit = require('../middlewares/rate-limit');
+
+const loggerDefaults = { ...logger.config.options };
+const rateLimitDefaults = { ...rateLimit.config.options };
+const rateLimitLevel = rateLimit.config.level;
+const records = [];
+
+Object.assign(logger.config.options, { transports: [record => records.push(record)] });
+Object.assign(rateLimit.config.options, { max: 1, store: new rateLimit.MemoryStore() });
+// 不属于任何级别，只作用于按名称附加它的路由
+rateLimit.config.level = [];
+
+const router = new Router();
+router.use(logger);
+router.use(cors);
+router.use(cache);
+router.use(rateLimit);
+
+router.register({ method: 'GET', path: '/health', skipMiddlewares: ['logger', 'cache'] }, async () => ({ ok: true }));
+router.register({ method: 'POST', path: '/login', middlewares: ['rate-limit'] }, async () => ({ token: 't' }));
+router.register({ method: 'POST', path: '/chat', middlewares: [{ name: 'rate-limit', options: { max: 3 } }] }, async () => ({ sent: true }));
+router.register({ method: 'POST', path: '/move' }, async () => ({ moved: true }));
+router.register({ method: 'GET', path: '/leaderboard', middlewares: [{ name: 'cache', options: { ttl: 60 } }] }, async () => ({ top: ['cat'] }));
+router.register({ method: 'GET', path: '/players' }, async () => ({ players: [] }));
+router.register({
+  method: 'GET',
+  path: '/partner/feed',
+  middlewares: [{ name: 'cors', options: { origin: ['https://partner.example.com'], credentials: false } }]
+}, async () => ({ feed: [] }));
+router.register({ method: 'POST', path: '/report', middlewares: [{ name: 'logger', options: { logBody: true } }] }, async () => ({ ok: true }));
+router.register({
+  method: 'POST',
+  path: '/profile',
+  middlewares: [{ name: 'logger', options: { logBody: true, logHeaders: true, redact: { fields: ['phone'] } } }]
+}, async () => ({ ok: true }));
+router.loadRouteCode(`
+const config = { method: 'POST', middlewares: ['rate-limit'] };
+
+async function redeem(ctx) {
+  return { redeemed: true };
+}
+`, 'redeem', 'public');
+
+// 执行一次请求
+async function request(requestPath, method = 'GET', { headers = {}, body, ip = '10.0.0.1' } = {}) {
+  const handler = router.getRouteHandler('public', requestPath, method);
+  const responseHeaders = {};
+  const ctx = {
+    path: requestPath,
+    url: requestPath,
+    method,
+    headers,
+    socket: { remoteAddress: ip },
+    request: { body },
+    status: null,
+    body: null,
+    responseHeaders,
+    set(name, value) { responseHeaders[name] = value; },
+    get(name) { return responseHeaders[name] || ''; }
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+// 连续请求并返回状态码
+async function burst(count, requestPath, method, options) {
+  const statuses = [];
+  for (let i = 0; i < count; i++) {
+    statuses.push((await request(requestPath, method, options)).status);
+  }
+  return statuses;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  try {
+    console.log('=== 测试1：附加中间件 ===');
+    const login = await burst(2, '/login', 'POST');
+    check('按名称附加中间件', JSON.stringify(login) === '[200,429]', JSON.stringify(login));
+    const move = await burst(3, '/move', 'POST');
+    check('未附加的路由不执行', JSON.stringify(move) === '[200,200,200]', JSON.stringify(move));
+    // 未覆盖配置时与其他路由共用全局计数，换一个客户端
+    const redeem = await burst(2, '/redeem', 'POST', { ip: '10.0.0.2' });
+    check('加载的路由代码同样支持', JSON.stringify(redeem) === '[200,429]', JSON.stringify(redeem));
+
+    const entry = router.describe().find(item => item.path === '/login');
+    check('路由清单包含附加的中间件', JSON.stringify(entry.middlewares.map(mw => mw.name)) === '["logger","cors","rate-limit","cache"]',
+      JSON.stringify(entry.middlewares.map(mw => mw.name)));
+
+    console.log('\n=== 测试2：覆盖中间件配置 ===');
+    const chat = await burst(4, '/chat', 'POST');
+    check('覆盖限流配置并单独计数', JSON.stringify(chat) === '[200,200,200,429]', JSON.stringify(chat));
+
+    await request('/leaderboard');
+    const leaderboard = await request('/leaderboard');
+    await request('/players');
+    const players = await request('/players');
+    check('覆盖缓存TTL', leaderboard.responseHeaders['X-Cache'] === 'HIT' && players.responseHeaders['X-Cache'] === undefined
+      && players.responseHeaders.ETag !== undefined);
+
+    const partner = await request('/partner/feed', 'GET', { headers: { origin: 'https://partner.example.com' } });
+    const stranger = await request('/partner/feed', 'GET', { headers: { origin: 'https://evil.example.com' } });
+    const open = await request('/players', 'GET', { headers: { origin: 'https://evil.example.com' } });
+    check('覆盖CORS允许的源', partner.responseHeaders['Access-Control-Allow-Origin'] === 'https://partner.example.com'
+      && partner.responseHeaders['Access-Control-Allow-Credentials'] === undefined
+      && stranger.responseHeaders['Access-Control-Allow-Origin'] === undefined
+      && open.responseHeaders['Access-Control-Allow-Origin'] === '*');
+
+    records.length = 0;
+    await request('/report', 'POST', { body: { reason: 'cheating' } });
+    await request('/move', 'POST', { body: { x: 1 } });
+    check('覆盖日志配置', records[0].body.reason === 'cheating' && records[1].body === undefined);
+    records.length = 0;
+    await request('/profile', 'POST', { headers: { authorization: 'Bearer secret' }, body: { nickname: 'cat', phone: '123' } });
+    check('嵌套配置深度合并', records[0].body.phone === '[REDACTED]' && records[0].body.nickname === 'cat'
+      && records[0].headers.authorization === '[REDACTED]' && !logger.config.options.redact.fields.includes('phone'), JSON.stringify(records[0]));
+    check('覆盖不修改中间件的默认配置', cache.config.options.ttl === 0 && cors.config.options.origin === '*' && logger.config.options.logBody === false);
+
+    console.log('\n=== 测试3：跳过中间件 ===');
+    records.length = 0;
+    const health = await request('/health');
+    check('跳过全局中间件', records.length === 0 && health.responseHeaders.ETag === undefined && health.body.ok === true);
+    const healthEntry = router.describe().find(item => item.path === '/health');
+    check('路由清单不包含跳过的中间件', JSON.stringify(healthEntry.middlewares.map(mw => mw.name)) === '["cors"]');
+
+    console.log('\n=== 测试4：配置错误 ===');
+    router.register({ method: 'GET', path: '/broken', middlewares: ['missing-middleware'] }, async () => ({ ok: true }));
+    let failure = null;
+    let broken = null;
+    try {
+      broken = await request('/broken');
+    } catch (error) {
+      failure = error;
+    }
+    check('引用未注册的中间件时返回500', !failure && broken.status === 500
+      && /Unknown middleware "missing-middleware"/.test(broken.body.error.message), failure ? failure.message : JSON.stringify(broken.body));
+    const brokenEntry = router.describe().find(item => item.path === '/broken');
+    check('路由清单和OpenAPI文档不受影响', brokenEntry && JSON.stringify(brokenEntry.middlewares.map(mw => mw.name)) === '["logger","cors","cache"]'
+      && router.toOpenAPI().paths['/broken'] !== undefined && (await request('/players')).status === 200);
+
+    let invalid = null;
+    try {
+      router.register({ method: 'GET', path: '/invalid', middlewares: [{ options: {} }] }, async () => ({}));
+    } catch (error) {
+      invalid = error;
+    }
+    check('注册时校验配置格式', invalid && /Invalid middleware reference/.test(invalid.message));
+  } finally {
+    Object.assign(logger.config.options, loggerDefaults);
+    Object.assign(rateLimit.config.options, rateLimitDefaults);
+    rateLimit.config.level = rateLimitLevel;
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
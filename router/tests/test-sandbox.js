@@ -0,0 +1,286 @@
+// 测试路由沙箱：超时、工具白名单、只读工具和宿主隔离
+const Router = require('../router');
+const { SandboxViolation } = require('../sandbox');
+
+// 共享工具：计数器通过自身方法维护内部状态
+const tools = {
+  settings: { mode: 'production', limits: { max: 10 } },
+  counter: {
+    value: 0,
+    increment() {
+      this.value++;
+      return this.value;
+    }
+  },
+  secrets: { apiKey: 'top-secret' },
+  // 返回内部状态和以回调遍历的工具
+  shared: {
+    state: { counter: 0 },
+    players: [{ name: 'cat' }, { name: 'dog' }],
+    getState() {
+      return this.state;
+    },
+    fail() {
+      throw new Error('tool failed');
+    },
+    eachPlayer(callback) {
+      this.players.forEach(player => callback(player));
+    }
+  }
+};
+
+const router = new Router({
+  tools,
+  sandbox: {
+    default: { timeout: 50 },
+    private: { tools: ['settings', 'counter', 'secrets'] },
+    public: { tools: ['settings', 'counter', 'shared'] }
+  }
+});
+
+// 执行一次请求
+async function request(level, requestPath) {
+  const handler = router.getRouteHandler(level, requestPath, 'GET');
+  const headers = {};
+  const ctx = { path: requestPath, method: 'GET', status: null, body: null, state: {}, headers, set(name, value) { headers[name] = value; } };
+  await handler(ctx);
+  return ctx;
+}
+
+// 捕获同步抛出的错误
+function catchError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：处理函数执行超时 ===');
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function spin(ctx) {
+  while (true) {}
+}
+`, 'spin', 'public');
+  const spun = await request('public', '/spin');
+  check('超时返回500', spun.status === 500, JSON.stringify(spun.body));
+  check('错误信息说明超时', /timed out/.test(spun.body.error.message), spun.body.error.message);
+
+  console.log('\n=== 测试2：顶层代码执行超时 ===');
+  const loadError = catchError(() => router.loadRouteCode('while (true) {}', 'loop', 'public'));
+  check('加载时抛出SandboxViolation', loadError instanceof SandboxViolation && loadError.type === 'timeout', loadError && loadError.message);
+
+  console.log('\n=== 测试3：访问未授权的工具 ===');
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function leak(ctx) {
+  return { key: secrets.apiKey };
+}
+`, 'leak', 'public');
+  const leaked = await request('public', '/leak');
+  check('安全级别策略拒绝访问', leaked.status === 500 && /not allowed/.test(leaked.body.error.message), JSON.stringify(leaked.body));
+
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function reveal(ctx) {
+  return { key: secrets.apiKey };
+}
+`, 'reveal', 'private');
+  const revealed = await request('private', '/reveal');
+  check('private级别允许访问', revealed.body.key === 'top-secret', JSON.stringify(revealed.body));
+
+  router.loadRouteCode(`
+const config = { method: 'GET', tools: ['settings'] };
+
+function narrow(ctx) {
+  return { mode: settings.mode, count: counter.value };
+}
+`, 'narrow', 'private');
+  const narrowed = await request('private', '/narrow');
+  check('路由级白名单收窄可用工具', narrowed.status === 500 && /"counter"/.test(narrowed.body.error.message), JSON.stringify(narrowed.body));
+
+  console.log('\n=== 测试4：修改共享工具 ===');
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function tamper(ctx) {
+  settings.limits.max = 1000;
+}
+`, 'tamper', 'public');
+  const tampered = await request('public', '/tamper');
+  check('修改嵌套属性被拒绝', tampered.status === 500 && /read-only/.test(tampered.body.error.message), JSON.stringify(tampered.body));
+  check('共享状态未被修改', tools.settings.limits.max === 10);
+
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function swap(ctx) {
+  settings = {};
+}
+`, 'swap', 'public');
+  const swapped = await request('public', '/swap');
+  check('重新赋值工具被拒绝', swapped.status === 500 && /reassign/.test(swapped.body.error.message), JSON.stringify(swapped.body));
+
+  console.log('\n=== 测试5：工具方法可以维护自身状态 ===');
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+async function count(ctx) {
+  await new Promise(resolve => setTimeout(resolve, 10));
+  return { value: counter.increment() };
+}
+`, 'count', 'public');
+  const first = await request('public', '/count');
+  const second = await request('public', '/count');
+  check('方法调用正常执行', first.body.value === 1 && second.body.value === 2, JSON.stringify([first.body, second.body]));
+
+  console.log('\n=== 测试6：中间件同样受沙箱限制 ===');
+  const middlewareError = catchError(() => router.loadMiddlewareCode(`
+const config = { name: 'greedy', level: ['global'] };
+const key = secrets.apiKey;
+`, 'greedy'));
+  check('默认策略允许中间件访问全部工具', middlewareError === null, middlewareError && middlewareError.message);
+
+  const strict = new Router({ tools, sandbox: { global: { tools: [] } } });
+  const strictError = catchError(() => strict.loadMiddlewareCode(`
+const config = { name: 'greedy', level: ['global'] };
+const key = secrets.apiKey;
+`, 'greedy'));
+  check('global策略限制中间件访问工具', strictError instanceof SandboxViolation && strictError.type === 'tool', strictError && strictError.message);
+
+  console.log('\n=== 测试7：隔离宿主 ===');
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function mutate(ctx) {
+  shared.getState().counter = 99;
+}
+`, 'mutate', 'public');
+  const mutated = await request('public', '/mutate');
+  check('方法返回的对象同样只读', mutated.status === 500 && /read-only/.test(mutated.body.error.message) && tools.shared.state.counter === 0,
+    JSON.stringify(mutated.body));
+
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function visit(ctx) {
+  shared.eachPlayer(player => { player.name = 'hacked'; });
+}
+`, 'visit', 'public');
+  const visited = await request('public', '/visit');
+  check('工具传给回调的参数同样只读', visited.status === 500 && tools.shared.players[0].name === 'cat', JSON.stringify(visited.body));
+
+  const escapes = {
+    method: 'shared.getState.constructor("return process")()',
+    result: 'shared.getState().constructor.constructor("return process")()',
+    prototype: 'Object.getPrototypeOf(shared.getState).constructor("return process")()',
+    proto: 'shared.__proto__.constructor.constructor("return process")()',
+    console: 'console.log.constructor("return process")()',
+    timer: 'setTimeout.constructor("return process")()'
+  };
+  for (const [name, expression] of Object.entries(escapes)) {
+    router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function escape_${name}(ctx) {
+  return { pid: ${expression}.pid };
+}
+`, `escape_${name}`, 'public');
+    const escaped = await request('public', `/escape_${name}`);
+    check(`无法取得宿主process：${expression}`, escaped.status === 500 && /Cannot access/.test(escaped.body.error.message),
+      JSON.stringify(escaped.body));
+  }
+
+  // 处理函数的参数、工具抛出的错误、全局访问器和宿主等待的返回值同样不能取得宿主的 Function
+  const argumentEscapes = {
+    ctx: 'ctx.constructor.constructor("return process")()',
+    state: 'ctx.state.constructor.constructor("return process")()',
+    error: '(() => { try { shared.fail(); } catch (e) { return e.constructor.constructor("return process")(); } })()',
+    violation: '(() => { try { settings.mode = 1; } catch (e) { return e.constructor.constructor("return process")(); } })()',
+    accessor: 'Object.getOwnPropertyDescriptor(globalThis, "settings").get.constructor("return process")()',
+    invoke: '__sandboxInvoke.constructor("return process")()'
+  };
+  for (const [name, expression] of Object.entries(argumentEscapes)) {
+    router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function escape_${name}(ctx) {
+  const host = ${expression};
+  return { pid: host && host.pid };
+}
+`, `escape_${name}`, 'public');
+    const escaped = await request('public', `/escape_${name}`);
+    check(`无法取得宿主process：${expression}`, escaped.status === 500 && /Cannot access|process is not defined/.test(escaped.body.error.message),
+      JSON.stringify(escaped.body));
+  }
+
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function escape_then(ctx) {
+  return { then(resolve) { resolve({ pid: resolve.constructor.constructor('return process')().pid }); } };
+}
+`, 'escape_then', 'public');
+  const thenEscaped = await request('public', '/escape_then');
+  check('宿主等待返回的thenable时不传入宿主函数', thenEscaped.status === 500 && /Cannot access/.test(thenEscaped.body.error.message),
+    JSON.stringify(thenEscaped.body));
+
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+function edit(ctx) {
+  ctx.state.user = { name: 'cat' };
+  ctx.set('X-Edited', ctx.state.user.name);
+  ctx.status = 201;
+  ctx.body = { keys: Object.keys(ctx.state), user: ctx.state.user };
+}
+`, 'edit', 'public');
+  const edited = await request('public', '/edit');
+  check('处理函数仍然可以修改ctx', edited.status === 201 && edited.headers['X-Edited'] === 'cat' && edited.state.user.name === 'cat'
+    && edited.body.keys.includes('user') && edited.body.user.name === 'cat', JSON.stringify(edited.body));
+
+  router.loadRouteCode(`
+const config = { method: 'GET' };
+
+async function inspect(ctx) {
+  await new Promise(resolve => setTimeout(resolve, 1));
+  return {
+    keys: Object.keys(settings),
+    json: JSON.stringify(shared.getState()),
+    isArray: Array.isArray(shared.players),
+    names: shared.players.map(player => player.name),
+    buffer: typeof Buffer,
+    process: typeof process
+  };
+}
+`, 'inspect', 'public');
+  const inspected = await request('public', '/inspect');
+  check('只读代理可以正常读取和遍历', JSON.stringify(inspected.body.keys) === '["mode","limits"]' && inspected.body.json === '{"counter":0}'
+    && inspected.body.isArray === true && JSON.stringify(inspected.body.names) === '["cat","dog"]', JSON.stringify(inspected.body));
+  check('沙箱中没有宿主的Buffer和process', inspected.body.buffer === 'undefined' && inspected.body.process === 'undefined');
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,202 @@
+// 测试会话中间件：签名Cookie、会话轮换、过期、CSRF和存储适配器
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Router = require('../router');
+const session = require('../middlewares/session');
+const JSONAdapter = require('../../storage/adapters/JSONAdapter');
+
+const defaults = { ...session.config.options };
+
+// 创建带会话中间件的路由
+function createRouter(options = {}) {
+  Object.assign(session.config.options, defaults, { secret: 'session-secret', store: new session.MemorySessionStore() }, options);
+  const router = new Router();
+  router.use(session);
+  router.register({ method: 'GET', path: '/' }, async () => ({ ok: true }));
+  router.register({ method: 'POST', path: '/cart' }, async (ctx) => {
+    ctx.session.data.cart = ['fish'];
+    return { ok: true };
+  });
+  router.register({ method: 'POST', path: '/login' }, async (ctx) => {
+    ctx.session.regenerate({ ...ctx.session.data, user: { id: 1, roles: ['admin'] } });
+    ctx.set('Set-Cookie', 'theme=dark; Path=/');
+    return { csrfToken: ctx.session.csrfToken };
+  });
+  router.register({ method: 'GET', path: '/profile' }, async (ctx) => ({ id: ctx.user.id, cart: ctx.session.data.cart }), 'protected');
+  router.register({ method: 'POST', path: '/ban' }, async () => ({ banned: true }), 'protected');
+  router.register({ method: 'POST', path: '/logout' }, async (ctx) => {
+    ctx.session.destroy();
+    return { ok: true };
+  }, 'protected');
+  return router;
+}
+
+// 执行一次请求，返回上下文和响应Cookie
+async function request(router, level, requestPath, method, { cookies = {}, headers = {} } = {}) {
+  const handler = router.getRouteHandler(level, requestPath, method);
+  const responseHeaders = {};
+  const ctx = {
+    path: requestPath,
+    method,
+    headers: {
+      ...headers,
+      cookie: Object.entries(cookies).map(([name, value]) => `${name}=${encodeURIComponent(value)}`).join('; ')
+    },
+    status: null,
+    body: null,
+    set(name, value) { responseHeaders[name] = value; },
+    get(name) { return responseHeaders[name] || ''; }
+  };
+  await handler(ctx);
+  ctx.setCookies = [].concat(responseHeaders['Set-Cookie'] || []);
+  return ctx;
+}
+
+// 从Set-Cookie中取出Cookie值
+function readCookies(setCookies) {
+  const cookies = {};
+  setCookies.forEach(line => {
+    const [pair] = line.split(';');
+    const index = pair.indexOf('=');
+    cookies[pair.slice(0, index)] = decodeURIComponent(pair.slice(index + 1));
+  });
+  return cookies;
+}
+
+// 登录并返回Cookie
+async function login(router, cookies = {}) {
+  const ctx = await request(router, 'public', '/login', 'POST', { cookies });
+  return { ctx, cookies: readCookies(ctx.setCookies) };
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：登录和Cookie ===');
+  let router = createRouter();
+  const anonymous = await request(router, 'public', '/', 'GET');
+  check('匿名请求不创建会话', anonymous.setCookies.length === 0 && session.config.options.store.sessions.size === 0);
+
+  const first = await login(router);
+  const sidCookie = first.ctx.setCookies.find(line => line.startsWith('sid='));
+  check('会话Cookie为HttpOnly、SameSite、Secure并带有效期', /HttpOnly/.test(sidCookie) && /SameSite=Lax/.test(sidCookie)
+    && /Secure/.test(sidCookie) && /Max-Age=43200/.test(sidCookie) && /Path=\//.test(sidCookie), sidCookie);
+  const csrfCookie = first.ctx.setCookies.find(line => line.startsWith('XSRF-TOKEN='));
+  check('CSRF Cookie可以被脚本读取', !/HttpOnly/.test(csrfCookie) && first.cookies['XSRF-TOKEN'] === first.ctx.body.csrfToken);
+
+  const profile = await request(router, 'protected', '/profile', 'GET', { cookies: first.cookies });
+  check('protected路由读取会话用户', profile.body.id === 1 && profile.user.id === 1 && profile.state.user.roles[0] === 'admin');
+  check('未登录访问protected路由返回401', (await request(router, 'protected', '/profile', 'GET')).status === 401);
+
+  const [sid] = first.cookies.sid.split('.');
+  const forged = await request(router, 'protected', '/profile', 'GET', { cookies: { sid: `${sid}.forged` } });
+  check('签名无效的Cookie被忽略', forged.status === 401);
+
+  console.log('\n=== 测试2：会话轮换 ===');
+  const cart = await request(router, 'public', '/cart', 'POST');
+  const anonymousCookies = readCookies(cart.setCookies);
+  const upgraded = await login(router, anonymousCookies);
+  check('登录时更换会话ID并保留数据', upgraded.cookies.sid !== anonymousCookies.sid
+    && (await request(router, 'protected', '/profile', 'GET', { cookies: upgraded.cookies })).body.cart[0] === 'fish');
+  const fixated = await request(router, 'protected', '/profile', 'GET', { cookies: anonymousCookies });
+  check('登录前的会话ID失效', fixated.status === 401 && !session.config.options.store.sessions.has(anonymousCookies.sid.split('.')[0]));
+
+  console.log('\n=== 测试3：CSRF ===');
+  const noToken = await request(router, 'protected', '/ban', 'POST', { cookies: first.cookies });
+  const wrongToken = await request(router, 'protected', '/ban', 'POST', { cookies: first.cookies, headers: { 'x-csrf-token': 'guess' } });
+  const withToken = await request(router, 'protected', '/ban', 'POST', {
+    cookies: first.cookies,
+    headers: { 'x-csrf-token': first.cookies['XSRF-TOKEN'] }
+  });
+  check('非安全方法缺少或提交错误的CSRF token返回403', noToken.status === 403 && wrongToken.status === 403
+    && noToken.body.error.message === 'Invalid CSRF token');
+  check('携带正确的CSRF token通过', withToken.body.banned === true);
+
+  console.log('\n=== 测试4：过期和登出 ===');
+  router = createRouter({ idleTimeout: 60, maxAge: 3600 });
+  const idle = await login(router);
+  session.config.options.store.sessions.get(idle.cookies.sid.split('.')[0]).lastSeenAt -= 61 * 1000;
+  check('超过空闲时间后会话失效', (await request(router, 'protected', '/profile', 'GET', { cookies: idle.cookies })).status === 401);
+
+  const absolute = await login(router);
+  const record = session.config.options.store.sessions.get(absolute.cookies.sid.split('.')[0]);
+  record.createdAt -= 3601 * 1000;
+  check('超过绝对有效期后会话失效，即使一直有请求', (await request(router, 'protected', '/profile', 'GET', { cookies: absolute.cookies })).status === 401);
+
+  const active = await login(router);
+  const logout = await request(router, 'protected', '/logout', 'POST', {
+    cookies: active.cookies,
+    headers: { 'x-csrf-token': active.cookies['XSRF-TOKEN'] }
+  });
+  check('登出清除Cookie并销毁会话', logout.setCookies.some(line => /^sid=;.*Max-Age=0/.test(line))
+    && (await request(router, 'protected', '/profile', 'GET', { cookies: active.cookies })).status === 401);
+
+  const theme = await login(router);
+  check('保留处理函数设置的Set-Cookie', theme.cookies.theme === 'dark' && theme.cookies.sid !== undefined && theme.cookies['XSRF-TOKEN'] !== undefined,
+    JSON.stringify(theme.ctx.setCookies));
+
+  const limited = new session.MemorySessionStore({ maxSessions: 2 });
+  for (const sid of ['a', 'b', 'c']) {
+    await limited.set(sid, { data: {}, createdAt: Date.now(), lastSeenAt: Date.now() });
+  }
+  await limited.set('b', { data: {}, createdAt: Date.now(), lastSeenAt: Date.now() });
+  await limited.set('d', { data: {}, createdAt: Date.now(), lastSeenAt: Date.now() });
+  check('内存存储超过上限时淘汰最久未访问的会话', JSON.stringify([...limited.sessions.keys()]) === '["b","d"]',
+    JSON.stringify([...limited.sessions.keys()]));
+  await limited.set('stale', { data: {}, createdAt: Date.now(), lastSeenAt: Date.now() - 61 * 1000 });
+  limited.prune();
+  check('清理空闲过期的会话', !limited.sessions.has('stale') && limited.sessions.has('d'));
+
+  createRouter({ secret: null });
+  const previousSecret = process.env.SESSION_SECRET;
+  delete process.env.SESSION_SECRET;
+  const unconfigured = await request(router, 'public', '/', 'GET');
+  if (previousSecret !== undefined) process.env.SESSION_SECRET = previousSecret;
+  check('未配置签名密钥时返回500', unconfigured.status === 500, String(unconfigured.status));
+
+  console.log('\n=== 测试5：存储适配器 ===');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cat-knight-session-'));
+  try {
+    const dbPath = path.join(dir, 'session.json');
+    const adapter = new JSONAdapter(dbPath);
+    await adapter.init();
+    router = createRouter({ store: new session.AdapterSessionStore(adapter) });
+    const stored = await login(router);
+
+    // 另一个进程使用同一个数据文件
+    const reopened = new JSONAdapter(dbPath);
+    await reopened.init();
+    session.config.options.store = new session.AdapterSessionStore(reopened);
+    const shared = await request(router, 'protected', '/profile', 'GET', { cookies: stored.cookies });
+    check('多个实例共享会话', shared.body && shared.body.id === 1, String(shared.status));
+
+    await request(router, 'protected', '/logout', 'POST', {
+      cookies: stored.cookies,
+      headers: { 'x-csrf-token': stored.cookies['XSRF-TOKEN'] }
+    });
+    const row = await reopened.findOne('Session', { sid: stored.cookies.sid.split('.')[0] });
+    check('销毁的会话标记为已销毁', row.destroyed === '1'
+      && (await request(router, 'protected', '/profile', 'GET', { cookies: stored.cookies })).status === 401);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.assign(session.config.options, defaults);
+  }
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,191 @@
+// 测试流式响应：异步迭代器、可读流、SSE推送、心跳、Last-Event-ID续传，以及格式化和缓存中间件跳过流
+const http = require('http');
+const { Readable } = require('stream');
+const Router = require('../router');
+const formatter = require('../middlewares/response-formatter');
+const cache = require('../middlewares/cache');
+const errorHandler = require('../middlewares/error-handler');
+const { formatEvent } = require('../streaming');
+
+const router = new Router();
+router.use(formatter);
+router.use(cache);
+router.use(errorHandler);
+
+// 比赛事件，客户端重连时按 Last-Event-ID 补发
+const matchEvents = [
+  { id: 1, event: 'goal', data: { team: 'red', score: '1:0' } },
+  { id: 2, event: 'goal', data: { team: 'blue', score: '1:1' } },
+  { id: 3, event: 'end', data: { winner: null } }
+];
+let scoreboardCalls = 0;
+let liveClosed = 0;
+let tickerFinalized = false;
+
+router.register({ method: 'GET', path: '/scoreboard', cache: { ttl: 60 }, output: { rank: 'number' } }, async () => {
+  scoreboardCalls++;
+  return (async function* () {
+    yield { rank: 1, name: 'cat' };
+    yield { rank: 2, name: 'dog' };
+  })();
+});
+router.register({ method: 'GET', path: '/replay' }, async () => Readable.from(['frame-1,', 'frame-2']));
+router.register({ method: 'GET', path: '/matches/:id/events', sse: true }, async (ctx) => {
+  const after = Number(ctx.sse.lastEventId || 0);
+  ctx.sse.send('hello', { match: ctx.params.id });
+  return (async function* () {
+    for (const item of matchEvents.filter(e => e.id > after)) {
+      yield item;
+    }
+    yield 'bye';
+  })();
+});
+router.register({ method: 'GET', path: '/lobby', sse: { heartbeat: 20, retry: 3000 } }, async (ctx) => {
+  setTimeout(() => ctx.sse.close(), 100);
+});
+router.register({ method: 'GET', path: '/live', sse: true }, async (ctx) => {
+  const timer = setInterval(() => ctx.sse.send('tick', Date.now()), 10);
+  ctx.sse.onClose(() => {
+    clearInterval(timer);
+    liveClosed++;
+  });
+});
+router.register({ method: 'GET', path: '/ticker', sse: { heartbeat: false } }, async () => (async function* () {
+  try {
+    for (let i = 0; ; i++) {
+      yield { event: 'tick', data: i };
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  } finally {
+    tickerFinalized = true;
+  }
+})());
+router.register({ method: 'GET', path: '/private-match', sse: true }, async () => {
+  const error = new Error('Match not found');
+  error.status = 404;
+  throw error;
+});
+
+// 发送HTTP请求并读取完整响应
+function request(port, requestPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: requestPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text: Buffer.concat(chunks).toString('utf8') }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// 读取到第一段数据后断开连接
+function disconnectAfterFirstChunk(port, requestPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: requestPath }, (res) => {
+      res.once('data', (chunk) => {
+        req.destroy();
+        resolve({ status: res.statusCode, headers: res.headers, text: chunk.toString('utf8') });
+      });
+    });
+    // 主动断开连接时的错误可以忽略
+    req.on('error', () => {});
+    req.end();
+    setTimeout(() => reject(new Error('timeout')), 2000).unref();
+  });
+}
+
+// 解析SSE事件
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => block && !block.startsWith(':') && !block.startsWith('retry:')).map((block) => {
+    const event = { data: [] };
+    for (const line of block.split('\n')) {
+      const [field, ...rest] = line.split(': ');
+      if (field === 'data') event.data.push(rest.join(': '));
+      else event[field] = rest.join(': ');
+    }
+    event.data = event.data.join('\n');
+    return event;
+  });
+}
+
+// 等待条件成立
+async function waitFor(condition, timeout = 1000) {
+  const started = Date.now();
+  while (!condition() && Date.now() - started < timeout) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return condition();
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  const server = router.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+
+  try {
+    console.log('=== 测试1：流式响应 ===');
+    const scoreboard = await request(port, '/scoreboard');
+    check('异步迭代器按行输出JSON', scoreboard.status === 200
+      && scoreboard.text === '{"rank":1,"name":"cat"}\n{"rank":2,"name":"dog"}\n', JSON.stringify(scoreboard.text));
+    check('默认类型为NDJSON', scoreboard.headers['content-type'] === 'application/x-ndjson; charset=utf-8'
+      && scoreboard.headers['content-length'] === undefined);
+    await request(port, '/scoreboard');
+    check('流式响应不被缓存', scoreboardCalls === 2 && scoreboard.headers['x-cache'] === undefined && scoreboard.headers.etag === undefined);
+
+    const replay = await request(port, '/replay');
+    check('可读流原样输出，不被包装为JSON', replay.text === 'frame-1,frame-2'
+      && replay.headers['content-type'] === 'application/octet-stream', replay.headers['content-type']);
+
+    console.log('\n=== 测试2：SSE ===');
+    const events = await request(port, '/matches/7/events');
+    const parsed = parseEvents(events.text);
+    check('SSE响应头', events.headers['content-type'] === 'text/event-stream; charset=utf-8'
+      && events.headers['cache-control'] === 'no-cache' && events.headers['x-accel-buffering'] === 'no');
+    check('ctx.sse.send推送事件', parsed[0].event === 'hello' && parsed[0].data === '{"match":"7"}');
+    check('返回的异步迭代器逐条推送，结束后关闭连接', parsed.length === 5 && parsed[1].id === '1' && parsed[1].event === 'goal'
+      && parsed[3].event === 'end' && parsed[4].event === undefined && parsed[4].data === 'bye', JSON.stringify(parsed));
+
+    const resumed = parseEvents((await request(port, '/matches/7/events', { 'Last-Event-ID': '2' })).text);
+    check('Last-Event-ID续传', resumed.length === 3 && resumed[1].id === '3', JSON.stringify(resumed));
+
+    const lobby = await request(port, '/lobby');
+    check('心跳和重连间隔', lobby.text.startsWith('retry: 3000\n\n') && (lobby.text.match(/: heartbeat\n\n/g) || []).length >= 1, JSON.stringify(lobby.text));
+
+    const failed = await request(port, '/private-match');
+    check('处理函数出错时返回普通错误响应', failed.status === 404 && JSON.parse(failed.text).error.message === 'Match not found'
+      && failed.headers['content-type'] !== 'text/event-stream; charset=utf-8');
+
+    console.log('\n=== 测试3：客户端断开 ===');
+    const live = await disconnectAfterFirstChunk(port, '/live');
+    check('推送中的事件到达客户端', live.status === 200 && live.text.includes('event: tick'));
+    check('断开后触发onClose', await waitFor(() => liveClosed === 1));
+    await disconnectAfterFirstChunk(port, '/ticker');
+    check('断开后结束异步迭代器', await waitFor(() => tickerFinalized));
+  } finally {
+    server.close();
+  }
+
+  console.log('\n=== 测试4：事件格式 ===');
+  check('多行数据拆分为多个data行', formatEvent('note', 'line1\nline2', 9) === 'id: 9\nevent: note\ndata: line1\ndata: line2\n\n');
+  check('事件名称中的换行被去掉', formatEvent('a\nb', 1) === 'event: ab\ndata: 1\n\n');
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
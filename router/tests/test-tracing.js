@@ -0,0 +1,123 @@
+// 测试请求ID和追踪上下文的传递
+const Router = require('../router');
+const tracing = require('../middlewares/tracing');
+const { parseTraceparent, getTraceContext, getTraceHeaders } = require('../tracing');
+const SqlFunctionParser = require('../../storage/SqlFunctionParser');
+
+// 模拟需要关联日志的工具：记录调用时的请求ID
+const toolCalls = [];
+const audit = {
+  async record(action) {
+    await new Promise(resolve => setImmediate(resolve));
+    const trace = getTraceContext();
+    toolCalls.push({ action, requestId: trace && trace.requestId, headers: getTraceHeaders() });
+  }
+};
+
+// 只实现事务接口的存储适配器
+const adapter = {
+  async beginTransaction() {},
+  async commit() {},
+  async rollback() {}
+};
+const parser = new SqlFunctionParser(adapter, { getTraceContext });
+const api = {
+  grantReward: () => parser.executeTransaction({ name: 'GrantReward', params: [], body: [] }, {})
+};
+
+const router = new Router({ tools: { audit, api } });
+router.use(tracing);
+router.loadRouteCode(`
+const config = { method: 'POST' };
+
+async function claim(ctx) {
+  await audit.record('claim');
+  await api.grantReward();
+  return { requestId: ctx.state.requestId };
+}
+`, 'claim', 'public');
+
+// 执行一次请求
+async function request(headers = {}) {
+  const handler = router.getRouteHandler('public', '/claim', 'POST');
+  const responseHeaders = {};
+  const ctx = {
+    path: '/claim',
+    method: 'POST',
+    headers,
+    status: null,
+    body: null,
+    responseHeaders,
+    set(name, value) { responseHeaders[name] = value; }
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+// 捕获console.log输出
+async function captureLogs(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return lines;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：生成请求ID和traceparent ===');
+  const fresh = await request();
+  const generated = parseTraceparent(fresh.responseHeaders.traceparent);
+  check('生成请求ID并写入ctx.state', /^[0-9a-f-]{36}$/.test(fresh.state.requestId) && fresh.body.requestId === fresh.state.requestId,
+    fresh.state.requestId);
+  check('通过响应头返回', fresh.responseHeaders['X-Request-ID'] === fresh.state.requestId && generated !== null,
+    JSON.stringify(fresh.responseHeaders));
+  check('新的trace没有父span', fresh.state.trace.parentSpanId === null && generated.flags === '01');
+
+  console.log('\n=== 测试2：沿用上游的追踪信息 ===');
+  const upstream = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+  const propagated = await request({ 'x-request-id': 'gateway-123', traceparent: upstream, tracestate: 'congo=t61rcWkgMzE' });
+  const trace = propagated.state.trace;
+  check('沿用传入的请求ID', propagated.state.requestId === 'gateway-123');
+  check('沿用traceId并生成新的spanId', trace.traceId === '4bf92f3577b34da6a3ce929d0e0e4736'
+    && trace.parentSpanId === '00f067aa0ba902b7' && trace.spanId !== '00f067aa0ba902b7', JSON.stringify(trace));
+  check('返回tracestate', propagated.responseHeaders.tracestate === 'congo=t61rcWkgMzE');
+
+  const invalid = await request({ 'x-request-id': 'bad id\n', traceparent: '00-00000000000000000000000000000000-00f067aa0ba902b7-01' });
+  check('非法的请求ID和traceparent被替换', invalid.state.requestId !== 'bad id\n' && invalid.state.trace.traceId !== '0'.repeat(32));
+
+  console.log('\n=== 测试3：工具和存储层读取追踪上下文 ===');
+  toolCalls.length = 0;
+  let concurrent;
+  const lines = await captureLogs(async () => {
+    concurrent = await Promise.all([request({ 'x-request-id': 'req-a' }), request({ 'x-request-id': 'req-b' })]);
+  });
+  check('沙箱路由中调用的工具读取到当前请求ID', JSON.stringify(toolCalls.map(call => call.requestId).sort()) === '["req-a","req-b"]',
+    JSON.stringify(toolCalls.map(call => call.requestId)));
+  check('getTraceHeaders用于向下游传递', toolCalls[0].headers.traceparent === concurrent.find(ctx => ctx.state.requestId === toolCalls[0].requestId).state.trace.traceparent);
+  check('事务日志带上请求ID', lines.includes('[EXEC] [req-a] Starting Transaction: GrantReward')
+    && lines.includes('[EXEC] [req-b] Starting Transaction: GrantReward'), JSON.stringify(lines));
+  check('请求作用域之外没有追踪上下文', getTraceContext() === null && JSON.stringify(getTraceHeaders()) === '{}');
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
@@ -0,0 +1,159 @@
+// 测试路由配置中声明的请求参数校验
+const Router = require('../router');
+const errorHandler = require('../middlewares/error-handler');
+const { ValidationError } = require('../validator');
+
+const router = new Router();
+router.use(errorHandler);
+
+router.loadRouteCode(`
+const config = {
+  method: 'POST',
+  path: '/api/auth/register',
+  validate: {
+    body: {
+      username: { type: 'str[50]', minLength: 3 },
+      password: { type: 'str', minLength: 8 },
+      email: { type: 'str[100]', pattern: '^[^@]+@[^@]+$' },
+      remember: 'bool?'
+    }
+  }
+};
+
+function register(ctx) {
+  return ctx.request.body;
+}
+`, 'register', 'public');
+
+router.register({
+  method: 'GET',
+  path: '/players/:id/gold',
+  validate: {
+    params: { id: { type: 'integer', minimum: 1 } },
+    query: { amount: 'number[10.2]', tags: { type: 'array', items: 'str', default: [] }, page: { type: 'integer', default: 1 } },
+    headers: { 'X-Client-Version': 'str' }
+  }
+}, async (ctx) => ({ params: ctx.params, query: ctx.query }), 'public');
+
+// 字段名与 JSON Schema 关键字相同
+router.register({
+  method: 'POST',
+  path: '/guilds',
+  validate: {
+    body: { title: 'str[10]', description: 'str[20]' },
+    query: { color: { $schema: 'http://json-schema.org/draft-07/schema#', enum: ['red', 'blue'] } }
+  }
+}, async (ctx) => ctx.request.body, 'public');
+
+router.register({
+  method: 'POST',
+  path: '/items',
+  validate: { body: { type: 'str[20]', title: 'str[50]' } }
+}, async (ctx) => ctx.request.body, 'public');
+
+// 执行一次请求
+async function request(path, method, { body, query = {}, headers = {} } = {}) {
+  const handler = router.getRouteHandler('public', path, method);
+  const ctx = {
+    path,
+    method,
+    query,
+    headers,
+    request: { body, query, headers },
+    status: null,
+    body: null,
+    set() {}
+  };
+  await handler(ctx);
+  return ctx;
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：请求体校验 ===');
+  const missing = await request('/api/auth/register', 'POST', { body: { username: 'ab' } });
+  const fields = missing.body.error.errors.map(e => `${e.field}:${e.rule}`);
+  check('缺少字段返回400', missing.status === 400 && missing.body.success === false, JSON.stringify(missing.body.error.message));
+  check('字段级错误列表', JSON.stringify(fields) === JSON.stringify(['password:required', 'email:required', 'username:minLength']),
+    JSON.stringify(fields));
+  check('错误包含位置和消息', missing.body.error.errors[0].location === 'body' && missing.body.error.errors[0].message === 'password is required');
+
+  const tooLong = await request('/api/auth/register', 'POST', {
+    body: { username: 'x'.repeat(51), password: 'secret123', email: 'cat@knight' }
+  });
+  check('str[50]限制最大长度', tooLong.status === 400 && tooLong.body.error.errors[0].rule === 'maxLength', JSON.stringify(tooLong.body.error.errors));
+
+  const valid = await request('/api/auth/register', 'POST', {
+    body: { username: 'knight', password: 'secret123', email: 'cat@knight', remember: 'true' }
+  });
+  check('校验通过后执行处理函数并转换类型', valid.status === 200 && valid.body.remember === true, JSON.stringify(valid.body));
+
+  console.log('\n=== 测试2：路径参数、查询参数和请求头 ===');
+  const gold = await request('/players/42/gold', 'GET', {
+    query: { amount: '12.50', tags: 'vip' },
+    headers: { 'x-client-version': '1.2.0' }
+  });
+  check('转换路径参数和查询参数', gold.body.params.id === 42 && gold.body.query.amount === 12.5, JSON.stringify(gold.body));
+  check('单值转换为数组并应用默认值', JSON.stringify(gold.body.query.tags) === '["vip"]' && gold.body.query.page === 1);
+
+  const badGold = await request('/players/0/gold', 'GET', { query: { amount: '1.234' } });
+  const badFields = badGold.body.error.errors.map(e => `${e.location}.${e.field}:${e.rule}`);
+  check('各部分的错误一起返回', badGold.status === 400
+    && JSON.stringify(badFields) === JSON.stringify(['params.id:minimum', 'query.amount:multipleOf', 'headers.x-client-version:required']),
+    JSON.stringify(badFields));
+
+  const notNumber = await request('/players/abc/gold', 'GET', { query: { amount: '1' }, headers: { 'x-client-version': '1' } });
+  check('无法转换的值报告类型错误', notNumber.body.error.errors[0].rule === 'type', JSON.stringify(notNumber.body.error.errors));
+
+  console.log('\n=== 测试3：未注册error-handler时的默认错误格式 ===');
+  const bare = new Router();
+  bare.register({ method: 'POST', path: '/echo', validate: { body: { name: 'str' } } }, async (ctx) => ctx.request.body);
+  const handler = bare.getRouteHandler('public', '/echo', 'POST');
+  const ctx = { path: '/echo', method: 'POST', request: { body: {} }, status: null, body: null };
+  await handler(ctx);
+  check('默认错误响应同样包含字段级错误', ctx.status === 400 && ctx.body.error.errors.length === 1, JSON.stringify(ctx.body));
+
+  console.log('\n=== 测试4：字段名与JSON Schema关键字相同 ===');
+  const guild = await request('/guilds', 'POST', { body: { title: 'x'.repeat(11) }, query: { color: 'red' } });
+  const guildErrors = guild.status === 400 ? guild.body.error.errors.map(e => `${e.field}:${e.rule}`) : [];
+  check('只有关键字名称的对象按字段描述校验', JSON.stringify(guildErrors) === '["description:required","title:maxLength"]',
+    JSON.stringify(guild.body));
+  const guildOk = await request('/guilds', 'POST', { body: { title: 'Knights', description: 'Cats only' }, query: { color: 'red' } });
+  check('符合字段描述时通过', guildOk.status === 200 && guildOk.body.title === 'Knights', JSON.stringify(guildOk.body));
+  const badColor = await request('/guilds', 'POST', { body: { title: 'Knights', description: 'Cats only' }, query: { color: 'green' } });
+  check('$schema声明的对象按JSON Schema校验', badColor.status === 400 && badColor.body.error.errors[0].rule === 'enum',
+    JSON.stringify(badColor.body));
+  const item = await request('/items', 'POST', { body: { type: 'sword', title: 'Excalibur' } });
+  check('type为类型写法且其他字段也是类型写法时按字段描述校验', item.status === 200 && item.body.type === 'sword', JSON.stringify(item.body));
+  const badItem = await request('/items', 'POST', { body: { type: 'x'.repeat(21) } });
+  const itemErrors = badItem.status === 400 ? badItem.body.error.errors.map(e => `${e.field}:${e.rule}`) : [];
+  check('字段type和title分别校验', JSON.stringify(itemErrors) === '["title:required","type:maxLength"]', JSON.stringify(badItem.body));
+
+  console.log('\n=== 测试5：配置错误在加载时报告 ===');
+  let configError = null;
+  try {
+    bare.register({ method: 'GET', path: '/broken', validate: { query: { page: 'int' } } }, async () => ({}));
+  } catch (error) {
+    configError = error;
+  }
+  check('未知类型在注册时抛出', configError && /Unknown field type/.test(configError.message), configError && configError.message);
+  check('ValidationError继承AppError', new ValidationError([]) instanceof errorHandler.AppError && new ValidationError([]).status === 400);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
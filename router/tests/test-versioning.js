@@ -0,0 +1,158 @@
+// 测试API版本：URL前缀、Accept-Version请求头、自定义解析器、默认版本和弃用响应头
+const http = require('http');
+const Router = require('../router');
+const errorHandler = require('../middlewares/error-handler');
+
+const router = new Router({
+  versioning: {
+    defaultVersion: 'v2',
+    resolver: ctx => (ctx.query && ctx.query.api) || null,
+    deprecated: {
+      v1: { date: '2026-06-01T00:00:00Z', sunset: '2027-01-01T00:00:00Z', link: 'https://docs.example.com/migrate-v2' }
+    }
+  }
+});
+router.use(errorHandler);
+
+router.register({ method: 'GET', path: '/players/:id', version: 'v1' }, async (ctx) => ({ version: 1, id: ctx.params.id }));
+router.register({ method: 'GET', path: '/players/:id', version: 2 }, async (ctx) => ({ version: 2, id: ctx.params.id, level: 10 }));
+router.register({ method: 'POST', path: '/players/:id', version: ['v1', 'v2'] }, async () => ({ saved: true }));
+router.register({ method: 'GET', path: '/news', version: 'v3' }, async () => ({ news: [] }));
+router.register({ method: 'GET', path: '/status' }, async () => ({ ok: true }));
+router.register({ method: 'GET', path: '/status', version: 'v3' }, async () => ({ ok: true, build: 3 }));
+router.register({ method: 'GET', path: '/profile', version: 'v2' }, async () => ({ name: 'cat' }), 'protected');
+
+// 执行一次分发
+async function dispatch(requestPath, { method = 'GET', headers = {}, query = {}, level = 'public' } = {}) {
+  const responseHeaders = {};
+  const ctx = {
+    path: requestPath,
+    method,
+    headers,
+    query,
+    status: null,
+    body: null,
+    responseHeaders,
+    set(name, value) { responseHeaders[name] = value; },
+    get(name) { return responseHeaders[name] || ''; }
+  };
+  await router.dispatch(ctx, level);
+  return ctx;
+}
+
+// 发送HTTP请求
+function request(port, requestPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, path: requestPath, headers }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+async function runTests() {
+  const results = [];
+
+  function check(name, passed, detail) {
+    console.log(`${passed ? '✓' : '✗'} ${name}${detail ? `: ${detail}` : ''}`);
+    results.push(passed);
+  }
+
+  console.log('=== 测试1：解析版本 ===');
+  const prefixed = await dispatch('/v1/players/7');
+  check('URL前缀选择版本', prefixed.body.version === 1 && prefixed.body.id === '7' && prefixed.state.apiVersion === 'v1');
+  check('URL前缀去掉后使用规范路径', prefixed.state.routePath === '/players/:id' && prefixed.responseHeaders.Vary === undefined);
+
+  const headerVersion = await dispatch('/players/7', { headers: { 'accept-version': '1' } });
+  check('Accept-Version请求头选择版本', headerVersion.body.version === 1 && headerVersion.responseHeaders.Vary === 'Accept-Version');
+  check('URL前缀优先于请求头', (await dispatch('/v2/players/7', { headers: { 'accept-version': 'v1' } })).body.version === 2);
+  check('自定义解析器', (await dispatch('/players/7', { query: { api: 'v1' } })).body.version === 1);
+
+  const fallback = await dispatch('/players/7');
+  check('未携带版本时使用默认版本', fallback.body.version === 2 && fallback.state.apiVersion === 'v2'
+    && fallback.responseHeaders.Vary === 'Accept-Version');
+
+  console.log('\n=== 测试2：匹配路由 ===');
+  check('路由可以声明多个版本', (await dispatch('/v1/players/7', { method: 'POST' })).body.saved === true
+    && (await dispatch('/v2/players/7', { method: 'POST' })).body.saved === true);
+  check('未声明版本的路由对所有版本生效', (await dispatch('/v1/status')).body.ok === true && (await dispatch('/status')).body.build === undefined);
+  check('同一路径上声明了版本的路由优先', (await dispatch('/v3/status')).body.build === 3);
+
+  const missing = await dispatch('/v2/news');
+  check('路由不属于请求的版本时返回404', missing.status === 404 && (await dispatch('/v3/news')).status === 200);
+  const notAllowed = await dispatch('/v3/players/7', { method: 'DELETE' });
+  check('405和Allow按版本计算，路径不属于该版本时返回404', notAllowed.status === 404
+    && (await dispatch('/v1/players/7', { method: 'DELETE' })).responseHeaders.Allow === 'GET, HEAD, OPTIONS, POST');
+  check('未知版本的前缀不会被去掉', (await dispatch('/v9/status')).status === 404);
+  check('getRouteHandler 和 getAllowedMethods 接收版本', router.getRouteHandler('public', '/news', 'GET') === null
+    && router.getRouteHandler('public', '/news', 'GET', 'v3') !== null
+    && router.getAllowedMethods('public', '/news', 'v3').includes('GET'));
+
+  console.log('\n=== 测试3：弃用响应头 ===');
+  check('已弃用的版本返回Deprecation、Sunset和Link', prefixed.responseHeaders.Deprecation === `@${Date.parse('2026-06-01T00:00:00Z') / 1000}`
+    && prefixed.responseHeaders.Sunset === 'Fri, 01 Jan 2027 00:00:00 GMT'
+    && prefixed.responseHeaders.Link === '<https://docs.example.com/migrate-v2>; rel="deprecation"');
+  check('未弃用的版本没有弃用响应头', fallback.responseHeaders.Deprecation === undefined && fallback.responseHeaders.Sunset === undefined);
+  check('路由清单包含版本', JSON.stringify(router.describe({ level: 'public' }).map(entry => entry.versions))
+    === '[["v1"],["v2"],["v1","v2"],["v3"],null,["v3"]]');
+
+  console.log('\n=== 测试4：HTTP服务 ===');
+  const server = router.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+  try {
+    const v1 = await request(port, '/v1/players/3');
+    check('HTTP服务按URL前缀分发', v1.status === 200 && v1.body.version === 1 && v1.headers.deprecation !== undefined);
+    const profile = await request(port, '/profile', { 'Accept-Version': 'v2' });
+    check('默认级别解析器按版本查找安全级别', profile.status === 200 && profile.body.name === 'cat');
+    check('默认级别解析器在其他版本中找不到路由', (await request(port, '/v1/profile')).status === 404);
+  } finally {
+    server.close();
+  }
+
+  console.log('\n=== 测试5：OpenAPI文档 ===');
+  const doc = router.toOpenAPI({ level: 'public' });
+  check('同一路径的不同版本输出到带版本前缀的路径', doc.paths['/v1/players/{id}'].get.operationId === 'playersIdV1'
+    && doc.paths['/v2/players/{id}'].get.operationId === 'playersIdV2' && doc.paths['/players/{id}'] === undefined,
+    JSON.stringify(Object.keys(doc.paths)));
+  check('多版本路由按每个版本输出，已弃用的版本标记deprecated', doc.paths['/v1/players/{id}'].post.deprecated === true
+    && doc.paths['/v2/players/{id}'].post.deprecated === undefined && doc.paths['/status'].get !== undefined);
+  const v1Doc = router.toOpenAPI({ level: 'public', apiVersion: 1 });
+  check('指定apiVersion时生成单个版本的文档', v1Doc.info.version === 'v1' && v1Doc.paths['/players/{id}'].get.operationId === 'playersId'
+    && v1Doc.paths['/news'] === undefined && v1Doc.paths['/status'] !== undefined, JSON.stringify(Object.keys(v1Doc.paths)));
+  const v3Doc = router.toOpenAPI({ level: 'public', apiVersion: 'v3' });
+  check('单个版本的文档中声明了版本的路由优先', Object.keys(v3Doc.paths['/status']).length === 1
+    && v3Doc.paths['/status'].get.operationId === 'status' && v3Doc.paths['/players/{id}'] === undefined);
+
+  let invalid = null;
+  try {
+    router.register({ method: 'GET', path: '/invalid', version: [] }, async () => ({}));
+  } catch (error) {
+    invalid = error;
+  }
+  check('注册时校验版本格式', invalid && /Invalid route config.version/.test(invalid.message));
+
+  let invalidSunset = null;
+  try {
+    new Router({ versioning: { deprecated: { v1: { sunset: 'next spring' } } } });
+  } catch (error) {
+    invalidSunset = error;
+  }
+  check('创建Router时校验弃用日期', invalidSunset && invalidSunset.message === 'Invalid date in versioning.deprecated.v1.sunset: next spring',
+    invalidSunset && invalidSunset.message);
+
+  const passedCount = results.filter(Boolean).length;
+  console.log('\n=== 测试结果汇总 ===');
+  console.log(`通过测试数: ${passedCount}/${results.length}`);
+
+  if (passedCount !== results.length) {
+    console.log('❌ 有测试用例失败！');
+    process.exit(1);
+  }
+  console.log('✅ 所有测试用例均通过！');
+}
+
+runTests();
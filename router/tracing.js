@@ -0,0 +1,117 @@
+// 请求追踪上下文
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * 请求追踪上下文
+ * 解析和生成 W3C traceparent，Router 在请求作用域（AsyncLocalStorage）中执行生命周期，
+ * 路由注入的工具和存储层事务可以通过 getTraceContext 读取当前请求的追踪信息，无需传递 ctx
+ */
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const scope = new AsyncLocalStorage();
+
+/**
+ * 生成随机的十六进制ID
+ * @param {number} bytes - 字节数
+ * @returns {string} - 十六进制字符串
+ */
+function randomHex(bytes) {
+  let id = crypto.randomBytes(bytes).toString('hex');
+  // 全零ID无效
+  while (/^0+$/.test(id)) {
+    id = crypto.randomBytes(bytes).toString('hex');
+  }
+  return id;
+}
+
+/**
+ * 解析 traceparent 请求头
+ * @param {string} header - traceparent 请求头
+ * @returns {Object|null} - { version, traceId, parentId, flags }，格式无效返回null
+ */
+function parseTraceparent(header) {
+  const match = typeof header === 'string' && TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+  const [, version, traceId, parentId, flags] = match;
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentId)) {
+    return null;
+  }
+  return { version, traceId, parentId, flags };
+}
+
+/**
+ * 生成 traceparent 请求头
+ * @param {Object} trace - { traceId, spanId, flags }
+ * @returns {string} - traceparent
+ */
+function formatTraceparent(trace) {
+  return `00-${trace.traceId}-${trace.spanId}-${trace.flags}`;
+}
+
+/**
+ * 根据请求头创建追踪上下文：沿用上游的 traceId，为本服务生成新的 spanId
+ * @param {Object} headers - 请求头（小写键名）
+ * @param {Object} options - 可选项 { requestId: 已确定的请求ID }
+ * @returns {Object} - { requestId, traceId, spanId, parentSpanId, flags, traceparent, tracestate }
+ */
+function createTraceContext(headers = {}, options = {}) {
+  const parent = parseTraceparent(headers.traceparent);
+  const trace = {
+    requestId: options.requestId || crypto.randomUUID(),
+    traceId: parent ? parent.traceId : randomHex(16),
+    spanId: randomHex(8),
+    parentSpanId: parent ? parent.parentId : null,
+    flags: parent ? parent.flags : '01',
+    tracestate: parent && headers.tracestate ? headers.tracestate : null
+  };
+  trace.traceparent = formatTraceparent(trace);
+  return trace;
+}
+
+/**
+ * 在请求作用域中执行函数
+ * @param {Object} state - 请求的 ctx.state，追踪中间件写入 state.trace
+ * @param {Function} fn - 要执行的函数
+ * @returns {any} - 函数返回值
+ */
+function runInTraceScope(state, fn) {
+  return scope.run(state, fn);
+}
+
+/**
+ * 获取当前请求的追踪上下文
+ * @returns {Object|null} - 追踪上下文，不在请求作用域中或未启用追踪中间件时返回null
+ */
+function getTraceContext() {
+  const state = scope.getStore();
+  return (state && state.trace) || null;
+}
+
+/**
+ * 获取向下游服务传递的追踪请求头
+ * @returns {Object} - { 'x-request-id', traceparent, tracestate }，没有追踪上下文时返回空对象
+ */
+function getTraceHeaders() {
+  const trace = getTraceContext();
+  if (!trace) {
+    return {};
+  }
+  const headers = { 'x-request-id': trace.requestId, traceparent: trace.traceparent };
+  if (trace.tracestate) {
+    headers.tracestate = trace.tracestate;
+  }
+  return headers;
+}
+
+module.exports = {
+  parseTraceparent,
+  formatTraceparent,
+  createTraceContext,
+  runInTraceScope,
+  getTraceContext,
+  getTraceHeaders
+};
@@ -0,0 +1,331 @@
+// 请求参数校验
+const Decimal = require('decimal.js');
+const { AppError } = require('./middlewares/error-handler');
+const { toJSONSchema } = require('./schema');
+
+/**
+ * 请求参数校验
+ * 根据路由 config.validate 中声明的 { params, query, headers, body } 校验请求，
+ * 字段描述与 config.params 等相同（类型写法或 JSON Schema）。校验时会按声明的类型转换字符串值，
+ * 校验失败抛出 400 的 ValidationError，由 error-handler 中间件统一格式化。
+ */
+
+// 可校验的请求部分，按校验顺序排列
+const VALIDATION_TARGETS = ['params', 'query', 'headers', 'body'];
+
+/**
+ * 请求参数校验错误
+ * errors 为字段级错误列表 [{ location, field, rule, message }]
+ */
+class ValidationError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, 400, { errors });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * 编译路由的校验配置
+ * @param {Object} validate - config.validate
+ * @returns {Object|null} - 各请求部分的 JSON Schema，未配置时返回null
+ */
+function compileValidation(validate) {
+  if (!validate) {
+    return null;
+  }
+
+  const compiled = {};
+  for (const target of VALIDATION_TARGETS) {
+    if (validate[target] === undefined) continue;
+
+    let schema = toJSONSchema(validate[target]);
+    // 请求头名称不区分大小写，统一转换为小写
+    if (target === 'headers' && schema.properties) {
+      schema = {
+        ...schema,
+        properties: Object.fromEntries(
+          Object.entries(schema.properties).map(([name, fieldSchema]) => [name.toLowerCase(), fieldSchema])
+        ),
+        required: (schema.required || []).map(name => name.toLowerCase())
+      };
+    }
+    compiled[target] = schema;
+  }
+  return compiled;
+}
+
+/**
+ * 按声明的类型转换字符串值
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - 原始值
+ * @returns {any} - 转换后的值
+ */
+function coerce(schema, value) {
+  const types = [].concat(schema.type || []);
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+  // 查询串中只出现一次的数组参数
+  if (types.includes('array')) {
+    return [value];
+  }
+  if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean')) {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+  }
+  return value;
+}
+
+/**
+ * 判断值是否符合类型
+ * @param {string} type - JSON Schema 类型名
+ * @param {any} value - 值
+ * @returns {boolean} - 是否符合
+ */
+function matchesType(type, value) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+/**
+ * 校验单个值
+ * @param {Object} schema - JSON Schema
+ * @param {any} input - 原始值
+ * @param {Object} scope - { location, field, errors }
+ * @returns {any} - 转换后的值
+ */
+function validateValue(schema, input, scope) {
+  const { location, field, errors } = scope;
+  const fail = (rule, message) => errors.push({ location, field, rule, message: `${field || location} ${message}` });
+  const value = coerce(schema, input);
+
+  // 类型
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(type, value))) {
+    fail('type', `must be ${types.join(' or ')}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    fail('enum', `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  // 字符串
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail('minLength', `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      fail('format', 'must be a valid date-time');
+    }
+  }
+
+  // 数字：multipleOf 使用 Decimal 计算，避免 0.1 + 0.2 之类的浮点误差
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !new Decimal(value).mod(schema.multipleOf).isZero()) {
+      fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  // 数组
+  let result = value;
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      result = value.map((item, index) => validateValue(schema.items, item, {
+        location,
+        field: `${field}[${index}]`,
+        errors
+      }));
+    }
+  }
+
+  // 对象
+  if (matchesType('object', value) && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    result = validateObject(schema, value, scope);
+  }
+
+  // 组合
+  if (schema.allOf) {
+    for (const subSchema of schema.allOf) {
+      result = validateValue(subSchema, result, scope);
+    }
+  }
+  if (schema.anyOf || schema.oneOf) {
+    const candidates = schema.anyOf || schema.oneOf;
+    const passed = candidates
+      .map(subSchema => {
+        const subErrors = [];
+        const subResult = validateValue(subSchema, result, { location, field, errors: subErrors });
+        return { subResult, valid: subErrors.length === 0 };
+      })
+      .filter(candidate => candidate.valid);
+    if (passed.length === 0 || (schema.oneOf && passed.length > 1)) {
+      fail(schema.oneOf ? 'oneOf' : 'anyOf', schema.oneOf ? 'must match exactly one schema' : 'must match at least one schema');
+    } else {
+      result = passed[0].subResult;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 校验对象的属性
+ * @param {Object} schema - JSON Schema
+ * @param {Object} value - 对象值
+ * @param {Object} scope - { location, field, errors }
+ * @returns {Object} - 转换后的对象
+ */
+function validateObject(schema, value, scope) {
+  const { location, field, errors } = scope;
+  const properties = schema.properties || {};
+  const result = { ...value };
+  const childField = name => (field ? `${field}.${name}` : name);
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined && (!properties[name] || properties[name].default === undefined)) {
+      errors.push({ location, field: childField(name), rule: 'required', message: `${childField(name)} is required` });
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(properties)) {
+    if (value[name] === undefined) {
+      if (propertySchema.default !== undefined) {
+        result[name] = propertySchema.default;
+      }
+      continue;
+    }
+    result[name] = validateValue(propertySchema, value[name], { location, field: childField(name), errors });
+  }
+
+  for (const name of Object.keys(value)) {
+    if (name in properties) continue;
+    if (schema.additionalProperties === false) {
+      errors.push({ location, field: childField(name), rule: 'additionalProperties', message: `${childField(name)} is not allowed` });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      result[name] = validateValue(schema.additionalProperties, value[name], { location, field: childField(name), errors });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 校验值，返回转换后的值和错误列表
+ * @param {Object} schema - JSON Schema
+ * @param {any} value - 值
+ * @param {string} location - 值所在的请求部分
+ * @returns {Object} - { value, errors }
+ */
+function validate(schema, value, location = 'value') {
+  const errors = [];
+  const result = validateValue(schema, value, { location, field: '', errors });
+  return { value: result, errors };
+}
+
+/**
+ * 校验请求，通过后将转换后的值写回上下文
+ * @param {Object} ctx - 上下文对象
+ * @param {Object} compiled - compileValidation 的返回值
+ * @throws {ValidationError} - 校验失败
+ */
+function validateRequest(ctx, compiled) {
+  const request = ctx.request || {};
+  const sources = {
+    params: ctx.params || {},
+    query: ctx.query || request.query || {},
+    headers: ctx.headers || request.headers || {},
+    body: request.body
+  };
+
+  const errors = [];
+  const validated = {};
+  for (const target of VALIDATION_TARGETS) {
+    const schema = compiled[target];
+    if (!schema) continue;
+
+    let value = sources[target];
+    if (value === undefined && [].concat(schema.type || []).includes('object')) {
+      value = {};
+    }
+    if (value === undefined) {
+      errors.push({ location: target, field: '', rule: 'required', message: `${target} is required` });
+      continue;
+    }
+    const result = validate(schema, value, target);
+    errors.push(...result.errors);
+    validated[target] = result.value;
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  // 写回转换后的值，请求头保持原样，转换结果可从 ctx.state.validated 读取
+  if (validated.params) ctx.params = validated.params;
+  if (validated.query) {
+    ctx.query = validated.query;
+    if (ctx.request) ctx.request.query = validated.query;
+  }
+  if (validated.body !== undefined) {
+    ctx.request = ctx.request || {};
+    ctx.request.body = validated.body;
+  }
+  ctx.state.validated = validated;
+}
+
+module.exports = {
+  ValidationError,
+  compileValidation,
+  validate,
+  validateRequest
+};
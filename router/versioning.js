@@ -0,0 +1,189 @@
+// API版本
+/**
+ * API版本
+ * 路由通过 config.version 声明所属版本（字符串或数组），未声明的路由对所有版本生效。
+ * Router.dispatch 依次从 URL 前缀（/v2/...）、Accept-Version 请求头、自定义解析器中解析请求的版本，
+ * 都没有时使用默认版本；已弃用的版本在响应中附加 Deprecation、Sunset 和 Link 响应头
+ */
+
+// URL 版本前缀，如 /v2/players
+const PREFIX_PATTERN = /^\/(v\d+(?:\.\d+)?)(?=\/|$)/i;
+
+/**
+ * 默认配置
+ * defaultVersion: 请求未携带版本时使用的版本，null 表示只匹配未声明版本的路由
+ * prefix: 是否从 URL 前缀解析版本
+ * header: 携带版本的请求头，false 表示不读取
+ * resolver: 自定义解析器 (ctx) => version，在前缀和请求头都没有版本时调用
+ * deprecated: 已弃用的版本 { v1: { date, sunset, link } }，值为 true 时只输出 Deprecation
+ */
+const DEFAULT_OPTIONS = {
+  defaultVersion: null,
+  prefix: true,
+  header: 'Accept-Version',
+  resolver: null,
+  deprecated: {}
+};
+
+/**
+ * 规范化版本号：'2'、'v2'、'V2' 统一为 'v2'，其他格式原样保留
+ * @param {string|number} version - 版本号
+ * @returns {string|null} - 规范化后的版本号，空值返回null
+ */
+function normalizeVersion(version) {
+  if (version === undefined || version === null || version === '') {
+    return null;
+  }
+  const text = String(version).trim();
+  return /^v?\d+(?:\.\d+)?$/i.test(text) ? `v${text.replace(/^v/i, '')}` : text;
+}
+
+/**
+ * 规范化路由的 config.version
+ * @param {string|number|Array} version - 版本号或版本号列表
+ * @returns {Array<string>|null} - 版本号列表，未声明版本返回null
+ */
+function normalizeRouteVersions(version) {
+  if (version === undefined || version === null) {
+    return null;
+  }
+  const versions = (Array.isArray(version) ? version : [version]).map(normalizeVersion).filter(Boolean);
+  if (versions.length === 0) {
+    throw new Error(`Invalid route config.version: ${JSON.stringify(version)}`);
+  }
+  return versions;
+}
+
+/**
+ * 解析弃用策略中的日期
+ * @param {Date|string|number} value - 日期
+ * @param {string} field - 配置项名称，用于错误消息
+ * @returns {Date} - 日期对象
+ * @throws {Error} - 日期无效
+ */
+function parseDate(value, field) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date in versioning.deprecated.${field}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * 合并版本配置，弃用策略中的日期在此解析，配置错误在创建 Router 时抛出
+ * @param {Object} options - Router 构造函数的 versioning 选项
+ * @returns {Object} - 合并后的配置
+ * @throws {Error} - deprecated 中的 date 或 sunset 无效
+ */
+function createVersioningOptions(options = {}) {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+  merged.defaultVersion = normalizeVersion(merged.defaultVersion);
+  merged.deprecated = {};
+  for (const [version, policy] of Object.entries(options.deprecated || {})) {
+    if (!policy) {
+      continue;
+    }
+    const { date, sunset, link } = policy === true ? {} : policy;
+    merged.deprecated[normalizeVersion(version)] = {
+      date: date ? parseDate(date, `${version}.date`) : null,
+      sunset: sunset ? parseDate(sunset, `${version}.sunset`) : null,
+      link: link || null
+    };
+  }
+  return merged;
+}
+
+/**
+ * 读取请求头
+ * @param {Object} ctx - 上下文对象
+ * @param {string} name - 请求头名称
+ * @returns {string} - 请求头的值，不存在返回空字符串
+ */
+function getHeader(ctx, name) {
+  const headers = ctx.headers || {};
+  const value = headers[name.toLowerCase()] || headers[name];
+  return Array.isArray(value) ? value[0] : (value || '');
+}
+
+/**
+ * 解析请求的版本和用于匹配路由的路径
+ * 只有已知版本（路由声明的版本、默认版本和已弃用的版本）的 URL 前缀会被去掉，
+ * 未启用版本的项目中形如 /v1/... 的路由路径不受影响
+ * @param {Object} ctx - 上下文对象
+ * @param {Object} options - 版本配置
+ * @param {Set<string>} knownVersions - 已知版本
+ * @returns {Object} - { version, path, source: 'prefix' | 'header' | 'resolver' | 'default' | null }
+ */
+function resolveVersion(ctx, options, knownVersions) {
+  const path = ctx.path || '/';
+
+  if (options.prefix) {
+    const match = path.match(PREFIX_PATTERN);
+    const version = match ? normalizeVersion(match[1]) : null;
+    if (version && knownVersions.has(version)) {
+      return { version, path: path.slice(match[0].length) || '/', source: 'prefix' };
+    }
+  }
+
+  if (options.header) {
+    const version = normalizeVersion(getHeader(ctx, options.header));
+    if (version) {
+      return { version, path, source: 'header' };
+    }
+  }
+
+  if (options.resolver) {
+    const version = normalizeVersion(options.resolver(ctx));
+    if (version) {
+      return { version, path, source: 'resolver' };
+    }
+  }
+
+  return { version: options.defaultVersion, path, source: options.defaultVersion ? 'default' : null };
+}
+
+/**
+ * 在 Vary 响应头中追加请求头名称，保留已有的值
+ * @param {Object} ctx - 上下文对象
+ * @param {string} name - 请求头名称
+ */
+function appendVary(ctx, name) {
+  const current = typeof ctx.get === 'function' ? ctx.get('Vary') : '';
+  const values = current ? current.split(',').map(value => value.trim()) : [];
+  if (!values.some(value => value.toLowerCase() === name.toLowerCase())) {
+    ctx.set('Vary', [...values, name].join(', '));
+  }
+}
+
+/**
+ * 为已弃用的版本设置响应头：Deprecation（RFC 9745）、Sunset（RFC 8594）和 Link
+ * @param {Object} ctx - 上下文对象
+ * @param {string|null} version - 请求的版本
+ * @param {Object} options - 版本配置
+ * @returns {boolean} - 版本是否已弃用
+ */
+function setDeprecationHeaders(ctx, version, options) {
+  const policy = version ? options.deprecated[version] : null;
+  if (!policy) {
+    return false;
+  }
+
+  const { date, sunset, link } = policy;
+  ctx.set('Deprecation', date ? `@${Math.floor(date.getTime() / 1000)}` : 'true');
+  if (sunset) {
+    ctx.set('Sunset', sunset.toUTCString());
+  }
+  if (link) {
+    ctx.set('Link', `<${link}>; rel="deprecation"`);
+  }
+  return true;
+}
+
+module.exports = {
+  normalizeVersion,
+  normalizeRouteVersions,
+  createVersioningOptions,
+  resolveVersion,
+  appendVary,
+  setDeprecationHeaders
+};
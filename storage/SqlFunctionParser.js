@@ -6,12 +6,17 @@ const { DBType, DBNumber, DBString, DBBool, DBDateTime } = require('./DataTypes'
 class SqlFunctionParser {
     /**
      * @param {Object} adapter - The database adapter instance (must implement required interface) - 数据库适配器实例（必须实现所需接口）
+     * @param {Object} [options] - Optional settings - 可选配置
+     * @param {Function} [options.getTraceContext] - Returns the current request trace ({ requestId, traceId, spanId }) or null - 返回当前请求的追踪上下文或null
+     * @param {Function} [options.onTransactionEnd] - Called with { name, durationMs, outcome: 'commit' | 'rollback', error } after each transaction - 每个事务结束后调用，用于记录指标
      */
-    constructor(adapter) {
+    constructor(adapter, options = {}) {
         this.entities = {};
         this.transactions = {};
         this.adapter = adapter;
         this.relationRegistry = []; // Stores { source, target, table, sourceCol, targetCol } - 存储关系信息 { 源实体, 目标实体, 表名, 源列名, 目标列名 }
+        this.getTraceContext = options.getTraceContext || (() => null);
+        this.onTransactionEnd = options.onTransactionEnd || null;
     }
 
     /**
@@ -407,8 +412,11 @@ class SqlFunctionParser {
      * @returns {any} The result of the transaction execution. - 事务执行的结果。
      */
     async executeTransaction(tx, args) {
-        console.log(`[EXEC] Starting Transaction: ${tx.name}`);
-        const context = { vars: {}, entities: this.entities, adapter: this.adapter };
+        // Tag logs with the request ID so DB logs line up with HTTP logs - 日志带上请求ID，与HTTP日志关联
+        const trace = this.getTraceContext();
+        const tag = trace ? `[EXEC] [${trace.requestId}]` : '[EXEC]';
+        console.log(`${tag} Starting Transaction: ${tx.name}`);
+        const context = { vars: {}, entities: this.entities, adapter: this.adapter, trace };
         
         // Initialize Params - 初始化参数
         for (const p of tx.params) {
@@ -430,6 +438,7 @@ class SqlFunctionParser {
         }
 
         // Execute Body with Transaction Safety - 使用事务安全执行主体
+        const startTime = process.hrtime.bigint();
         try {
             // Start REAL DB Transaction - 开始真实的数据库事务
             await this.adapter.beginTransaction();
@@ -438,15 +447,37 @@ class SqlFunctionParser {
             
             // Commit if successful - 如果成功则提交
             await this.adapter.commit();
+            this._reportTransaction(tx.name, startTime, 'commit');
             return result;
         } catch (e) {
             // Rollback on any error - 任何错误都回滚
-            console.error(`[EXEC] Error in ${tx.name}, rolling back:`, e.message);
+            console.error(`${tag} Error in ${tx.name}, rolling back:`, e.message);
             await this.adapter.rollback();
+            this._reportTransaction(tx.name, startTime, 'rollback', e);
             throw e;
         }
     }
 
+    /**
+     * Report a finished transaction to the onTransactionEnd hook. - 将结束的事务报告给 onTransactionEnd 钩子。
+     * @param {string} name - The transaction name. - 事务名称。
+     * @param {bigint} startTime - process.hrtime.bigint() at start. - 开始时的高精度时间。
+     * @param {string} outcome - 'commit' or 'rollback'. - 提交或回滚。
+     * @param {Error} [error] - The error that caused the rollback. - 导致回滚的错误。
+     */
+    _reportTransaction(name, startTime, outcome, error = null) {
+        if (!this.onTransactionEnd) {
+            return;
+        }
+        const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+        try {
+            this.onTransactionEnd({ name, durationMs, outcome, error });
+        } catch (hookError) {
+            // Metrics must never break a transaction - 指标记录失败不影响事务
+            console.error('[EXEC] onTransactionEnd hook failed:', hookError.message);
+        }
+    }
+
     /**
      * Execute a block of statements. - 执行语句块。
      * @param {Array<Object>} block - The block of statements to execute. - 要执行的语句块。
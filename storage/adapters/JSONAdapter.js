@@ -271,9 +271,10 @@ class JSONAdapter {
                 continue;
             }
 
-            if (rawType.includes('[unique]')) {
+            // Primary keys are unique too, matching the SQLite PRIMARY KEY constraint
+            if (rawType.includes('[unique]') || rawType.includes('[primary]')) {
                 const entities = this.data[entityName] || [];
-                const uniqueValue = value.getValue();
+                const uniqueValue = value instanceof DBType ? value.getValue() : value;
                 
                 for (const entity of entities) {
                     // Skip the entity being updated (identified by pkCriteria)
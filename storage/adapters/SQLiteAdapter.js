@@ -195,7 +195,9 @@ class SQLiteAdapter {
         const setClause = updateKeys.map(k => `${k} = ?`).join(', ');
         
         const sql = `UPDATE "${entityName}" SET ${setClause} WHERE ${where}`;
-        await this.db.run(sql, [...updateValues, ...whereParams]);
+        const result = await this.db.run(sql, [...updateValues, ...whereParams]);
+        // Report whether a row matched, like JSONAdapter
+        return result.changes > 0;
     }
 
     // --- Transaction Management ---